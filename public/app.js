@@ -1,21 +1,53 @@
 const els = {
   bookTitle: document.getElementById('bookTitle'),
+  author: document.getElementById('author'),
+  language: document.getElementById('language'),
+  readerAge: document.getElementById('readerAge'),
   story: document.getElementById('story'),
   numImages: document.getElementById('numImages'),
   artStyle: document.getElementById('artStyle'),
   customStyleLabel: document.getElementById('customStyleLabel'),
   customStyleInput: document.getElementById('customStyleInput'),
+  textLayout: document.getElementById('textLayout'),
+  printProfile: document.getElementById('printProfile'),
+  spreads: document.getElementById('spreads'),
+  cropMarks: document.getElementById('cropMarks'),
+  narrate: document.getElementById('narrate'),
   charContainer: document.getElementById('charContainer'),
   addCharBtn: document.getElementById('addCharBtn'),
+  pickCharBtn: document.getElementById('pickCharBtn'),
+  characterPicker: document.getElementById('characterPicker'),
+  characterSearch: document.getElementById('characterSearch'),
+  characterResults: document.getElementById('characterResults'),
   generateBtn: document.getElementById('generateBtn'),
+  costEstimate: document.getElementById('costEstimate'),
   generateFromScratchBtn: document.getElementById('generateFromScratchBtn'),
   status: document.getElementById('status'),
   loader: document.getElementById('loader'),
   loaderText: document.getElementById('loaderText'),
+  progressBar: document.getElementById('progressBar'),
+  progressEta: document.getElementById('progressEta'),
+  cancelBtn: document.getElementById('cancelBtn'),
   result: document.getElementById('result'),
+  preview: document.getElementById('preview'),
+  warnings: document.getElementById('warnings'),
+  pageEditor: document.getElementById('pageEditor'),
+  planEditor: document.getElementById('planEditor'),
+  planFirst: document.getElementById('planFirst'),
   installBtn: document.getElementById('installBtn'),
   libraryList: document.getElementById('libraryList'),
-  emptyLibrary: document.getElementById('emptyLibrary')
+  emptyLibrary: document.getElementById('emptyLibrary'),
+  accountStatus: document.getElementById('accountStatus'),
+  accountConnect: document.getElementById('accountConnect'),
+  accountName: document.getElementById('accountName'),
+  createAccountBtn: document.getElementById('createAccountBtn'),
+  apiKeyInput: document.getElementById('apiKeyInput'),
+  connectBtn: document.getElementById('connectBtn'),
+  disconnectBtn: document.getElementById('disconnectBtn'),
+  seriesControls: document.getElementById('seriesControls'),
+  series: document.getElementById('series'),
+  seriesHint: document.getElementById('seriesHint'),
+  newSeriesBtn: document.getElementById('newSeriesBtn')
 };
 
 function addCharacterCard(data){
@@ -23,17 +55,22 @@ function addCharacterCard(data){
   const card = document.createElement('div');
   card.className = 'char-card';
   card.dataset.id = id;
+  if (data?.characterId) card.dataset.characterId = data.characterId;
   card.innerHTML = `
     <div class="row">
-      <img alt="preview" src="${data?.image||''}" />
+      <img alt="preview" src="${escapeHtml(data?.image||'')}" />
       <div class="meta">
-        <label>Name <input class="ch-name" placeholder="Character name" value="${data?.name||''}"></label>
-        <label>Age <input class="ch-age" placeholder="e.g., 7 years old" value="${data?.age||''}"></label>
-        <label>Description <input class="ch-desc" placeholder="e.g., Jewish, curious, loves books" value="${data?.description||''}"></label>
-        <label>Role <input class="ch-role" placeholder="e.g., main character, friend, teacher" value="${data?.role||''}"></label>
+        <span class="ch-saved" ${data?.characterId ? '' : 'hidden'}>Saved character: photo and look come from your library</span>
+        <label>Name <input class="ch-name" placeholder="Character name" value="${escapeHtml(data?.name||'')}"></label>
+        <label>Age <input class="ch-age" placeholder="e.g., 7 years old" value="${escapeHtml(data?.age||'')}"></label>
+        <label>Description <input class="ch-desc" placeholder="e.g., Jewish, curious, loves books" value="${escapeHtml(data?.description||'')}"></label>
+        <label>Role <input class="ch-role" placeholder="e.g., main character, friend, teacher" value="${escapeHtml(data?.role||'')}"></label>
         <input class="ch-file" type="file" accept="image/*">
       </div>
-      <div><button class="secondary ch-remove">Remove</button></div>
+      <div>
+        <button class="secondary ch-remove">Remove</button>
+        <button class="secondary ch-save">Save</button>
+      </div>
     </div>
   `;
   els.charContainer.appendChild(card);
@@ -42,9 +79,13 @@ function addCharacterCard(data){
   const img = card.querySelector('img');
   file.addEventListener('change', async (e)=>{
     const f = e.target.files[0]; if(!f) return;
-    const b64 = await fileToDataURL(f); img.src = b64;
+    const b64 = await shrinkPhoto(await fileToDataURL(f)); img.src = b64;
+    // A new photo makes this a different character from the saved one
+    delete card.dataset.characterId;
+    card.querySelector('.ch-saved').hidden = true;
   });
   card.querySelector('.ch-remove').addEventListener('click', ()=> card.remove());
+  card.querySelector('.ch-save').addEventListener('click', ()=> saveCharacter(card));
 }
 
 function fileToDataURL(file){
@@ -56,6 +97,25 @@ function fileToDataURL(file){
   });
 }
 
+// Photos go up as JPEGs of at most 1024px, which is all the server keeps, so uploads stay
+// well under its size limit. Anything the browser cannot draw is sent as it is.
+const PHOTO_MAX_SIZE = 1024;
+function shrinkPhoto(dataUrl){
+  return new Promise((res)=>{
+    const img = new Image();
+    img.onload = ()=>{
+      const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      res(canvas.toDataURL('image/jpeg', 0.9));
+    };
+    img.onerror = ()=>res(dataUrl);
+    img.src = dataUrl;
+  });
+}
+
 // Helper functions for random generation
 function getRandomArtStyle() {
   const styles = ['Watercolor', 'Oil Painting', 'Digital Art', 'Cartoon', 'Sketchy', 'Realistic'];
@@ -124,7 +184,8 @@ function gather(){
       age: c.querySelector('.ch-age').value.trim(),
       description: c.querySelector('.ch-desc').value.trim(),
       role: c.querySelector('.ch-role').value.trim(),
-      image: hasValidImage ? imgSrc : ''
+      // Saved characters are sent by id; the server supplies their photo and bible
+      ...(c.dataset.characterId ? { characterId: c.dataset.characterId, image: '' } : { image: hasValidImage ? imgSrc : '' })
     };
   });
   
@@ -135,16 +196,43 @@ function gather(){
   
   return {
     title: els.bookTitle.value.trim() || 'Untitled Book',
+    author: els.author.value.trim(),
+    language: els.language.value || 'en',
     story: els.story.value.trim(),
     numImages: parseInt(els.numImages.value||'9', 10),
     artStyle: artStyle,
-    characters
+    textLayout: els.textLayout.value || 'below',
+    printProfile: els.printProfile.value || 'screen',
+    spreads: els.spreads.checked,
+    cropMarks: els.cropMarks.checked,
+    narrate: els.narrate.checked,
+    readerAge: els.readerAge.value || 'early-reader',
+    planOnly: els.planFirst.checked,
+    characters,
+    // A series supplies its own cast and art style; the cards above join as guests
+    ...(els.series.value && { seriesId: els.series.value })
   };
 }
 
 function setLoading(on, msg){
   els.loader.hidden = !on;
   els.loaderText.textContent = msg || (on ? 'Working...' : '');
+  els.progressBar.hidden = true;
+  els.progressEta.textContent = '';
+}
+
+function formatTimeLeft(seconds) {
+  if (seconds < 60) return 'less than a minute left';
+  const minutes = Math.round(seconds / 60);
+  return `about ${minutes} minute${minutes === 1 ? '' : 's'} left`;
+}
+
+// Share of the expected work that is done, and the server's estimate of the time left
+function showProgress(job) {
+  if (!job.totalSteps || typeof job.progress !== 'number') return;
+  els.progressBar.hidden = false;
+  els.progressBar.value = job.progress;
+  els.progressEta.textContent = `${job.progress}%` + (job.etaSeconds > 0 ? `, ${formatTimeLeft(job.etaSeconds)}` : '');
 }
 
 els.generateFromScratchBtn.addEventListener('click', async ()=>{
@@ -155,7 +243,8 @@ els.generateFromScratchBtn.addEventListener('click', async ()=>{
 
     const res = await fetch('/api/generate-story-idea', {
       method:'POST',
-      headers:{'Content-Type':'application/json'}
+      headers:{'Content-Type':'application/json'},
+      body: JSON.stringify({ language: els.language.value })
     });
     if(!res.ok){ throw new Error(await res.text()); }
     const storyIdea = await res.json();
@@ -194,20 +283,22 @@ els.generateBtn.addEventListener('click', async ()=>{
     els.generateBtn.disabled = true;
     els.status.textContent = '';
     els.result.innerHTML = '';
+    closePageEditor();
+    closePlanEditor();
     setLoading(true, 'Starting generation...');
 
     const payload = gather();
     const res = await fetch('/api/generate', {
       method:'POST',
-      headers:{'Content-Type':'application/json'},
+      headers: {'Content-Type':'application/json'},
       body: JSON.stringify(payload)
     });
     if(!res.ok){ throw new Error(await res.text()); }
     const data = await res.json();
     
-    // Start polling for job progress
+    // Follow job progress
     if (data.jobId) {
-      await pollJobProgress(data.jobId);
+      watchJob(data.jobId);
     } else {
       throw new Error('No job ID received');
     }
@@ -220,46 +311,69 @@ els.generateBtn.addEventListener('click', async ()=>{
   }
 });
 
+// Apply a job snapshot to the UI; returns true once the job needs no more watching
+async function handleJobState(jobId, job) {
+  const finished = ['completed', 'awaiting_approval', 'failed', 'cancelled'].includes(job.status);
+  els.cancelBtn.hidden = finished;
+  if (job.status === 'cancelled') {
+    setLoading(false, '');
+    els.status.textContent = 'Generation cancelled.';
+    els.generateBtn.disabled = false;
+    return true;
+  }
+  if (job.status === 'completed') {
+    setLoading(false, 'Done!');
+    if (job.result && job.result.pdf) {
+      const pdf = job.result.pdf;
+      const { pdfUrl, epubUrl } = showPdfResult(jobId, job.result);
+      
+      // Save to library
+      const bookData = job.result.editionOf ? editionBookData(job) : gather();
+      const epub = job.result.epub ? { url: epubUrl, filename: job.result.epub.filename } : null;
+      saveToLibrary(bookData, pdfUrl, pdf.filename, jobId, epub);
+      // Books made while connected are saved server-side; swap in the synced entry
+      syncLibrary();
+      // The next volume number and the story so far changed
+      if (els.series.value) loadSeries();
+    }
+    els.generateBtn.disabled = false;
+    els.status.textContent = (job.result?.editionOf ? 'Language edition ready!' : 'Book generated successfully!') +
+      (job.usage ? ` It cost ${formatUSD(job.usage.cost)}.` : '');
+    if (isSignedIn()) showUsage();
+    return true;
+  }
+  if (job.status === 'awaiting_approval') {
+    setLoading(false, '');
+    els.status.textContent = 'Your story plan is ready. Review it below, then approve it to start illustrating.';
+    els.generateBtn.disabled = false;
+    await openPlanEditor(jobId);
+    return true;
+  }
+  if (job.status === 'failed') {
+    setLoading(false, '');
+    els.status.textContent = 'Error: ' + (job.error || 'Generation failed');
+    if (job.runId) {
+      showResumeButton(jobId);
+    }
+    els.generateBtn.disabled = false;
+    return true;
+  }
+  // Still in progress
+  if (job.currentPhase) {
+    setLoading(true, job.currentPhase);
+    showProgress(job);
+  }
+  return false;
+}
+
 async function pollJobProgress(jobId) {
   try {
     const res = await fetch(`/api/job/${jobId}`);
     if (!res.ok) { throw new Error('Failed to get job status'); }
     const job = await res.json();
+    (job.warnings || []).forEach(showWarning);
     
-    // Update UI with current progress
-    if (job.currentPhase) {
-      setLoading(true, job.currentPhase);
-    }
-    
-    if (job.status === 'completed') {
-      setLoading(false, 'Done!');
-      if (job.result && job.result.pdf) {
-        const pdf = job.result.pdf;
-        let pdfUrl = '';
-        
-        if (pdf.type === 'url') {
-          // Firebase Storage URL - direct link
-          pdfUrl = pdf.url;
-          els.result.innerHTML = `<a href="${pdf.url}" target="_blank">View PDF</a> | <a href="${pdf.url}" download="${pdf.filename}">Download PDF</a>`;
-        } else if (pdf.type === 'download') {
-          // Base64 data - create blob URL
-          const pdfBlob = new Blob([Uint8Array.from(atob(pdf.data), c => c.charCodeAt(0))], {type: 'application/pdf'});
-          pdfUrl = URL.createObjectURL(pdfBlob);
-          els.result.innerHTML = `<a href="${pdfUrl}" target="_blank">View PDF</a> | <a href="${pdfUrl}" download="${pdf.filename}">Download PDF</a>`;
-        }
-        
-        // Save to library
-        const bookData = gather();
-        saveToLibrary(bookData, pdfUrl, pdf.filename);
-      }
-      els.generateBtn.disabled = false;
-      els.status.textContent = 'Book generated successfully!';
-    } else if (job.status === 'failed') {
-      setLoading(false, '');
-      els.status.textContent = 'Error: ' + (job.error || 'Generation failed');
-      els.generateBtn.disabled = false;
-    } else {
-      // Still in progress, poll again
+    if (!(await handleJobState(jobId, job))) {
       setTimeout(() => pollJobProgress(jobId), 2000); // Poll every 2 seconds
     }
   } catch (err) {
@@ -270,19 +384,434 @@ async function pollJobProgress(jobId) {
   }
 }
 
+// Follow a job over Server-Sent Events, falling back to polling when the stream is unavailable
+function watchJob(jobId) {
+  resetPreview();
+  els.cancelBtn.dataset.jobId = jobId;
+  els.cancelBtn.hidden = false;
+  if (!window.EventSource) {
+    return pollJobProgress(jobId);
+  }
+  const source = new EventSource(`/api/job/${jobId}/events`);
+  let finished = false;
+  const finish = async (job) => {
+    if (finished) return;
+    finished = true;
+    source.close();
+    await handleJobState(jobId, job);
+  };
+  const on = (type, handler) => source.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+
+  on('progress', (data) => {
+    if (data.currentPhase) setLoading(true, data.currentPhase);
+    showProgress(data);
+  });
+  on('image-start', (data) => showPreviewTile(data, 'pending'));
+  on('image-done', (data) => showPreviewTile(data, 'done'));
+  on('image-failed', (data) => showPreviewTile(data, 'failed'));
+  on('warning', showWarning);
+  on('complete', (data) => finish(data.job));
+  on('failed', (data) => finish(data.job));
+  on('awaiting_approval', (data) => finish(data.job));
+  on('cancelled', (data) => finish(data.job));
+
+  source.onerror = () => {
+    // The server closes the stream after the final event; anything else means we lost it
+    if (finished) return;
+    finished = true;
+    source.close();
+    console.warn('Progress stream lost, falling back to polling');
+    pollJobProgress(jobId);
+  };
+}
+
+// Stops the watched job; the server aborts its requests and deletes its files
+els.cancelBtn.addEventListener('click', async ()=>{
+  const jobId = els.cancelBtn.dataset.jobId;
+  if (!jobId || !confirm('Cancel this book? Pages drawn so far will be discarded.')) return;
+  try {
+    els.cancelBtn.disabled = true;
+    const res = await fetch(`/api/job/${jobId}`, { method: 'DELETE' });
+    const data = await res.json();
+    if (!res.ok) { throw new Error(data.error || res.statusText); }
+  } catch (err) {
+    console.error(err);
+    els.status.textContent = 'Error cancelling: ' + err.message;
+  } finally {
+    els.cancelBtn.disabled = false;
+  }
+});
+
+// ---- Live preview: thumbnails appear as each page is illustrated ----
+const shownWarnings = new Set();
+
+function resetPreview() {
+  els.preview.innerHTML = '';
+  els.preview.hidden = true;
+  els.warnings.innerHTML = '';
+  els.warnings.hidden = true;
+  shownWarnings.clear();
+}
+
+function showPreviewTile(data, state) {
+  let tile = els.preview.querySelector(`[data-page="${data.page}"]`);
+  if (!tile) {
+    tile = document.createElement('figure');
+    tile.className = 'preview-tile';
+    tile.dataset.page = data.page;
+    // keep tiles in page order even though images finish out of order
+    const next = [...els.preview.children].find(el => Number(el.dataset.page) > data.page);
+    els.preview.insertBefore(tile, next || null);
+  }
+  tile.dataset.state = state;
+  const caption = `${data.page}. ${escapeHtml(data.title || 'Untitled')}`;
+  if (state === 'done') {
+    tile.innerHTML = `<img src="${data.thumbnailUrl}" alt=""><figcaption>${caption}</figcaption>`;
+  } else {
+    tile.innerHTML = `<div class="preview-placeholder">${state === 'failed' ? 'Failed' : 'Drawing...'}</div><figcaption>${caption}</figcaption>`;
+  }
+  els.preview.hidden = false;
+}
+
+function showWarning(warning) {
+  const key = `${warning.at}:${warning.message}`;
+  if (shownWarnings.has(key)) return;
+  shownWarnings.add(key);
+  const li = document.createElement('li');
+  li.textContent = warning.message;
+  els.warnings.appendChild(li);
+  els.warnings.hidden = false;
+}
+
+function fileLink(file) {
+  if (file.type === 'url') {
+    // Firebase Storage URL - direct link
+    return file.url;
+  }
+  if (file.type === 'download') {
+    // Base64 data - create blob URL
+    const blob = new Blob([Uint8Array.from(atob(file.data), c => c.charCodeAt(0))], {type: file.contentType || 'application/pdf'});
+    return URL.createObjectURL(blob);
+  }
+  return '';
+}
+
+// Render view/download links for a finished book (PDF, EPUB, print cover and audio if any).
+// Returns the URLs to keep in the library.
+function showPdfResult(jobId, { pdf, epub, cover, audio, language = els.language.value }) {
+  const pdfUrl = fileLink(pdf);
+  const epubUrl = epub ? fileLink(epub) : '';
+  const epubLinks = epub ? ` | <a href="${epubUrl}" download="${epub.filename}">Download EPUB</a>` : '';
+  const coverLinks = cover ? ` | <a href="${fileLink(cover)}" download="${cover.filename}">Download cover</a>` : '';
+  const audioLinks = audio ? ` | <a href="${fileLink(audio)}" download="${audio.filename}">Download audio</a>` : '';
+  els.result.innerHTML = `<a href="${pdfUrl}" target="_blank">View PDF</a> | <a href="${pdfUrl}" download="${pdf.filename}">Download PDF</a>${epubLinks}${coverLinks}${audioLinks} | <button id="editPagesBtn" class="secondary">Edit pages</button>${editionControls(language)}`;
+  document.getElementById('editPagesBtn').addEventListener('click', ()=> openPageEditor(jobId));
+  document.getElementById('editionBtn').addEventListener('click', ()=> createEdition(jobId, document.getElementById('editionLanguage').value));
+  return { pdfUrl, epubUrl };
+}
+
+// ---- Language editions: the same illustrations with translated words ----
+function editionControls(bookLanguage) {
+  const options = [...els.language.options]
+    .filter(option => option.value !== bookLanguage)
+    .map(option => `<option value="${option.value}">${escapeHtml(option.textContent)}</option>`)
+    .join('');
+  return ` | <select id="editionLanguage" aria-label="Edition language">${options}</select> <button id="editionBtn" class="secondary">Create edition</button>`;
+}
+
+async function createEdition(jobId, language) {
+  try {
+    els.generateBtn.disabled = true;
+    els.status.textContent = '';
+    closePageEditor();
+    setLoading(true, 'Starting translation...');
+    const data = await pageRequest(jobId, '/editions', 'POST', { language });
+    els.result.innerHTML = '';
+    watchJob(data.jobId);
+  } catch (err) {
+    console.error(err);
+    setLoading(false, '');
+    els.status.textContent = 'Error creating edition: ' + err.message;
+    els.generateBtn.disabled = false;
+  }
+}
+
+// Library details for an edition come from the original book's entry
+function editionBookData(job) {
+  const original = getLibrary().find(book => book.jobId === job.result.editionOf) || {};
+  return {
+    ...original,
+    title: job.title,
+    language: job.result.language,
+    editionOf: job.result.editionOf
+  };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'})[c]);
+}
+
+// ---- Page editor: fix single pages of a finished book, then rebuild the PDF ----
+function closePageEditor() {
+  els.pageEditor.hidden = true;
+  els.pageEditor.innerHTML = '';
+}
+
+// Edited text that the content safety check flagged but did not block
+function safetyNote(page) {
+  return page.warnings ? `Content safety: ${page.warnings.join('; ')}` : '';
+}
+
+async function pageRequest(jobId, pathSuffix, method = 'GET', body) {
+  const res = await fetch(`/api/job/${jobId}${pathSuffix}`, {
+    method,
+    headers: body ? {'Content-Type':'application/json'} : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (!res.ok) { throw new Error(await res.text()); }
+  return res.json();
+}
+
+async function openPageEditor(jobId) {
+  try {
+    setLoading(true, 'Loading pages...');
+    const data = await pageRequest(jobId, '/pages');
+    renderPageEditor(jobId, data.pages);
+    setLoading(false, '');
+  } catch (err) {
+    console.error(err);
+    setLoading(false, '');
+    els.status.textContent = 'Error loading pages: ' + err.message;
+  }
+}
+
+function renderPageEditor(jobId, pages) {
+  els.pageEditor.hidden = false;
+  els.pageEditor.innerHTML = `
+    <h3>Edit pages</h3>
+    <div class="page-grid">
+      ${pages.map(p => `
+        <div class="page-card" data-page="${p.page}">
+          <img src="${p.imageUrl}" alt="Page ${p.page}">
+          <div class="page-meta">
+            <strong>Page ${p.page}</strong> · ${p.role}
+            <label>Text <textarea class="pg-text" rows="2">${escapeHtml(p.text)}</textarea></label>
+            <label>Illustration description <textarea class="pg-desc" rows="3">${escapeHtml(p.description)}</textarea></label>
+            <div class="page-actions">
+              <button class="secondary pg-save">Save text</button>
+              <button class="secondary pg-regen">Regenerate image</button>
+              ${p.role === 'story' && p.page > 2 ? '<button class="secondary pg-up">↑ Move up</button>' : ''}
+              ${p.role === 'story' && p.page < pages.length - 1 ? '<button class="secondary pg-down">↓ Move down</button>' : ''}
+            </div>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+    <button id="rebuildBtn">Rebuild PDF</button>
+  `;
+
+  els.pageEditor.querySelectorAll('.page-card').forEach(card => {
+    const page = parseInt(card.dataset.page, 10);
+    const text = () => card.querySelector('.pg-text').value;
+    const description = () => card.querySelector('.pg-desc').value;
+    const run = async (label, action) => {
+      try {
+        setLoading(true, label);
+        const note = await action();
+        setLoading(false, '');
+        els.status.textContent = ['Page changes saved. Rebuild the PDF to apply them.', note].filter(Boolean).join('\n');
+      } catch (err) {
+        console.error(err);
+        setLoading(false, '');
+        els.status.textContent = 'Error: ' + err.message;
+      }
+    };
+    const move = offset => run('Reordering pages...', async ()=>{
+      const order = pages.map(p => p.page);
+      [order[page - 1], order[page - 1 + offset]] = [order[page - 1 + offset], order[page - 1]];
+      const data = await pageRequest(jobId, '/pages/reorder', 'POST', { order });
+      renderPageEditor(jobId, data.pages);
+    });
+
+    card.querySelector('.pg-save').addEventListener('click', ()=> run(`Saving page ${page}...`, async ()=>{
+      const updated = await pageRequest(jobId, `/pages/${page}`, 'PATCH', { text: text(), description: description() });
+      return safetyNote(updated);
+    }));
+    card.querySelector('.pg-regen').addEventListener('click', ()=> run(`Regenerating page ${page}...`, async ()=>{
+      const updated = await pageRequest(jobId, `/pages/${page}/regenerate`, 'POST', { text: text(), description: description() });
+      card.querySelector('img').src = updated.imageUrl;
+      return safetyNote(updated);
+    }));
+    card.querySelector('.pg-up')?.addEventListener('click', ()=> move(-1));
+    card.querySelector('.pg-down')?.addEventListener('click', ()=> move(1));
+  });
+
+  document.getElementById('rebuildBtn').addEventListener('click', async ()=>{
+    try {
+      setLoading(true, 'Rebuilding PDF...');
+      // Rebuild with the output and narration settings currently selected in the form
+      const { printProfile, spreads, cropMarks, narrate } = gather();
+      const result = await pageRequest(jobId, '/rebuild', 'POST', { printProfile, spreads, cropMarks, narrate });
+      const { pdfUrl, epubUrl } = showPdfResult(jobId, result);
+      updateLibraryEntry(jobId, { pdfUrl, filename: result.pdf.filename, epubUrl, epubFilename: result.epub?.filename });
+      syncLibrary();
+      setLoading(false, '');
+      els.status.textContent = 'PDF rebuilt with your changes!';
+    } catch (err) {
+      console.error(err);
+      setLoading(false, '');
+      els.status.textContent = 'Error rebuilding PDF: ' + err.message;
+    }
+  });
+}
+
+// ---- Plan editor: review the story before any illustration is paid for ----
+let planDraft = null;
+
+function closePlanEditor() {
+  planDraft = null;
+  els.planEditor.hidden = true;
+  els.planEditor.innerHTML = '';
+}
+
+async function openPlanEditor(jobId) {
+  try {
+    const data = await pageRequest(jobId, '/plan');
+    planDraft = data.plan;
+    renderPlanEditor(jobId, data.cast);
+  } catch (err) {
+    console.error(err);
+    els.status.textContent = 'Error loading plan: ' + err.message;
+  }
+}
+
+// Copy what is typed in the editor back into the draft before re-rendering or submitting
+function syncPlanDraft() {
+  els.planEditor.querySelectorAll('.page-card').forEach(card => {
+    const page = planDraft.images[parseInt(card.dataset.index, 10)];
+    page.title = card.querySelector('.pl-title').value.trim();
+    page.description = card.querySelector('.pl-desc').value.trim();
+    page.characters = card.querySelector('.pl-chars').value.split(',').map(n => n.trim()).filter(Boolean);
+    page.environment = card.querySelector('.pl-env').value.trim();
+    page.text = card.querySelector('.pl-text').value.trim();
+  });
+}
+
+function renderPlanEditor(jobId, cast) {
+  const images = planDraft.images;
+  const roleOf = i => i === 0 ? 'Front cover' : (i === images.length - 1 ? 'Back cover' : `Page ${i}`);
+  els.planEditor.hidden = false;
+  els.planEditor.innerHTML = `
+    <h3>Review the story plan</h3>
+    <p class="hint">Characters: ${escapeHtml(cast.join(', ') || 'from the story')}</p>
+    <div class="page-grid">
+      ${images.map((p, i) => `
+        <div class="page-card" data-index="${i}">
+          <div class="page-meta">
+            <strong>${roleOf(i)}</strong>
+            <label>Title <input class="pl-title" value="${escapeHtml(p.title)}"></label>
+            <label>Illustration description <textarea class="pl-desc" rows="3">${escapeHtml(p.description)}</textarea></label>
+            <label>Characters (comma separated) <input class="pl-chars" value="${escapeHtml((p.characters || []).join(', '))}"></label>
+            <label>Environment <input class="pl-env" value="${escapeHtml(p.environment)}"></label>
+            <label>Text <textarea class="pl-text" rows="2">${escapeHtml(p.text)}</textarea></label>
+            ${i > 0 && i < images.length - 1 ? `
+              <div class="page-actions">
+                ${i > 1 ? '<button class="secondary pl-up">↑ Move up</button>' : ''}
+                ${i < images.length - 2 ? '<button class="secondary pl-down">↓ Move down</button>' : ''}
+                <button class="secondary pl-remove">Remove page</button>
+              </div>` : ''}
+          </div>
+        </div>
+      `).join('')}
+    </div>
+    <div class="page-actions">
+      <button id="addPlanPageBtn" class="secondary">+ Add page</button>
+      <button id="approvePlanBtn">Approve and illustrate</button>
+    </div>
+  `;
+
+  const restructure = change => {
+    syncPlanDraft();
+    change();
+    renderPlanEditor(jobId, cast);
+  };
+  els.planEditor.querySelectorAll('.page-card').forEach(card => {
+    const i = parseInt(card.dataset.index, 10);
+    const swap = j => restructure(()=> { [images[i], images[j]] = [images[j], images[i]]; });
+    card.querySelector('.pl-up')?.addEventListener('click', ()=> swap(i - 1));
+    card.querySelector('.pl-down')?.addEventListener('click', ()=> swap(i + 1));
+    card.querySelector('.pl-remove')?.addEventListener('click', ()=> restructure(()=> images.splice(i, 1)));
+  });
+  document.getElementById('addPlanPageBtn').addEventListener('click', ()=> restructure(()=> {
+    images.splice(images.length - 1, 0, { title: 'New scene', description: '', characters: [], environment: '', text: '' });
+  }));
+
+  document.getElementById('approvePlanBtn').addEventListener('click', async ()=>{
+    try {
+      syncPlanDraft();
+      els.generateBtn.disabled = true;
+      els.status.textContent = '';
+      setLoading(true, 'Starting illustration...');
+      const res = await fetch(`/api/job/${jobId}/approve`, {
+        method: 'POST',
+        headers: {'Content-Type':'application/json'},
+        body: JSON.stringify({ plan: planDraft })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error([data.error, ...(data.problems || [])].join('\n'));
+      }
+      closePlanEditor();
+      watchJob(jobId);
+    } catch (err) {
+      console.error(err);
+      setLoading(false, '');
+      els.status.textContent = 'Error: ' + err.message;
+      els.generateBtn.disabled = false;
+    }
+  });
+}
+
+// Offer to continue a failed job; finished images and the plan are reused server-side
+function showResumeButton(jobId) {
+  els.result.innerHTML = '<button id="resumeBtn" class="secondary">Resume from last completed step</button>';
+  document.getElementById('resumeBtn').addEventListener('click', async ()=>{
+    try {
+      els.generateBtn.disabled = true;
+      els.result.innerHTML = '';
+      els.status.textContent = '';
+      setLoading(true, 'Resuming generation...');
+      const res = await fetch(`/api/job/${jobId}/resume`, { method: 'POST' });
+      if (!res.ok) { throw new Error(await res.text()); }
+      watchJob(jobId);
+    } catch (err) {
+      console.error(err);
+      setLoading(false, '');
+      els.status.textContent = 'Error resuming: ' + err.message;
+      els.generateBtn.disabled = false;
+    }
+  });
+}
+
 // Library functions
-function saveToLibrary(bookData, pdfUrl, filename = null) {
+function saveToLibrary(bookData, pdfUrl, filename = null, jobId = null, epub = null) {
   try {
     const library = getLibrary();
     const bookEntry = {
       id: Date.now().toString(),
+      jobId: jobId,
       title: bookData.title,
       story: bookData.story,
       artStyle: bookData.artStyle,
       numImages: bookData.numImages,
-      characterCount: bookData.characters.length,
+      characterCount: bookData.characters ? bookData.characters.length : (bookData.characterCount || 0),
+      language: bookData.language || 'en',
+      editionOf: bookData.editionOf || null,
+      series: bookData.series || null,
       pdfUrl: pdfUrl,
       filename: filename || (bookData.title + '.pdf'),
+      epubUrl: epub ? epub.url : '',
+      epubFilename: epub ? epub.filename : '',
       createdAt: new Date().toISOString()
     };
     
@@ -300,6 +829,19 @@ function saveToLibrary(bookData, pdfUrl, filename = null) {
   }
 }
 
+function updateLibraryEntry(jobId, updates) {
+  try {
+    const library = getLibrary();
+    const entry = library.find(book => book.jobId === jobId);
+    if (!entry) return;
+    Object.assign(entry, updates);
+    localStorage.setItem('bookLibrary', JSON.stringify(library));
+    showLibrary();
+  } catch (error) {
+    console.error('Failed to update library entry:', error);
+  }
+}
+
 function getLibrary() {
   try {
     const stored = localStorage.getItem('bookLibrary');
@@ -310,14 +852,20 @@ function getLibrary() {
   }
 }
 
-function deleteFromLibrary(bookId) {
+async function deleteFromLibrary(bookId) {
   try {
     const library = getLibrary();
+    const book = library.find(entry => entry.id === bookId);
+    if (book?.server) {
+      const res = await fetch(`/api/library/${encodeURIComponent(bookId)}`, { method: 'DELETE' });
+      if (!res.ok && res.status !== 404) { throw new Error(await res.text()); }
+    }
     const filteredLibrary = library.filter(book => book.id !== bookId);
     localStorage.setItem('bookLibrary', JSON.stringify(filteredLibrary));
     showLibrary(); // Refresh the display
   } catch (error) {
     console.error('Failed to delete book from library:', error);
+    els.status.textContent = 'Error deleting book: ' + error.message;
   }
 }
 
@@ -336,26 +884,452 @@ function showLibrary() {
     els.libraryList.style.display = 'grid';
     els.emptyLibrary.hidden = true;
     
-    els.libraryList.innerHTML = library.map(book => `
-      <div class="library-item">
-        <div class="library-item-info">
-          <div class="library-item-title">${book.title}</div>
-          <div class="library-item-meta">
-            ${book.artStyle} style • ${book.numImages} images • ${book.characterCount} characters<br>
-            Created: ${formatDate(book.createdAt)}
-          </div>
-        </div>
-        <div class="library-item-actions">
-          <button onclick="window.open('${book.pdfUrl}', '_blank')" class="secondary">View PDF</button>
-          <button onclick="deleteFromLibrary('${book.id}')" style="background: #ff4757; color: white;">Delete</button>
-        </div>
+    // Volumes of a series are listed together, in volume order, where the newest volume would appear
+    const groups = [];
+    for (const book of library) {
+      const group = book.series && groups.find(other => other.series?.id === book.series.id);
+      if (group) group.books.push(book);
+      else groups.push({ series: book.series, books: [book] });
+    }
+    els.libraryList.innerHTML = groups.map(({ series, books }) => series ? `
+      <div class="library-series">
+        <div class="library-series-title" dir="auto">Series: ${escapeHtml(series.title)}</div>
+        ${books.sort((a, b) => a.series.volume - b.series.volume).map(book => libraryItemHtml(book, library)).join('')}
+      </div>` : libraryItemHtml(books[0], library)).join('');
+  }
+}
+
+function libraryItemHtml(book, library) {
+  const connected = !!isSignedIn();
+  const original = book.editionOf ? library.find(other => other.jobId === book.editionOf) : null;
+  const editionNote = book.editionOf ? `<br>Edition of ${original ? escapeHtml(original.title) : 'an earlier book'}` : '';
+  const volumeNote = book.series ? `Volume ${book.series.volume} • ` : '';
+  return `
+  <div class="library-item">
+    <div class="library-item-info">
+      <div class="library-item-title" dir="auto">${book.title}</div>
+      <div class="library-item-meta">
+        ${volumeNote}${(book.language || 'en').toUpperCase()} • ${book.artStyle} style • ${book.numImages} images • ${book.characterCount} characters${editionNote}<br>
+        Created: ${formatDate(book.createdAt)}
       </div>
-    `).join('');
+    </div>
+    <div class="library-item-actions">
+      ${book.server ? `
+      <button onclick="openLibraryFile('${book.id}', 'pdf')" class="secondary">View PDF</button>
+      ${book.epubUrl ? `<button onclick="openLibraryFile('${book.id}', 'epub', true)" class="secondary">EPUB</button>` : ''}
+      <button onclick="shareLibraryBook('${book.id}')" class="secondary">Share</button>` : `
+      <button onclick="window.open('${book.pdfUrl}', '_blank')" class="secondary">View PDF</button>
+      ${book.epubUrl ? `<a href="${book.epubUrl}" download="${escapeHtml(book.epubFilename)}" class="button secondary">EPUB</a>` : ''}
+      ${connected && book.jobId ? `<button onclick="claimLibraryBook('${book.jobId}')" class="secondary">Save to account</button>` : ''}`}
+      <button onclick="deleteFromLibrary('${book.id}')" style="background: #ff4757; color: white;">Delete</button>
+    </div>
+  </div>
+  `;
+}
+
+// ---- Account and server library: books follow the account across devices ----
+// The API key is traded for a session cookie on sign-in and not kept in the browser;
+// only the account name is remembered, to show who is signed in while offline.
+const LEGACY_API_KEY_STORAGE = 'bookMakerApiKey';
+const ACCOUNT_NAME_STORAGE = 'bookMakerAccountName';
+// Cache Storage the service worker keeps /api/library responses in (see service-worker.js)
+const LIBRARY_CACHE = 'cbg-library';
+
+// Books and files of the last account must not stay readable offline for the next one
+function clearLibraryCache() {
+  return 'caches' in window ? caches.delete(LIBRARY_CACHE).catch(err => console.warn('Could not clear library cache:', err)) : Promise.resolve();
+}
+
+function isSignedIn() {
+  return !!localStorage.getItem(ACCOUNT_NAME_STORAGE);
+}
+
+// The session ended on the server (expired or signed out elsewhere)
+function forgetAccount() {
+  localStorage.removeItem(ACCOUNT_NAME_STORAGE);
+  clearLibraryCache();
+  // Server books need the session, so only this browser's own books stay listed
+  localStorage.setItem('bookLibrary', JSON.stringify(getLibrary().filter(book => !book.server)));
+  showAccount();
+  showLibrary();
+}
+
+function showAccount() {
+  const connected = isSignedIn();
+  els.accountStatus.textContent = connected ? `Connected as ${localStorage.getItem(ACCOUNT_NAME_STORAGE) || 'your account'}` : '';
+  if (connected) showUsage();
+  els.accountConnect.hidden = connected;
+  els.disconnectBtn.hidden = !connected;
+  els.pickCharBtn.hidden = !connected;
+  if (!connected) els.characterPicker.hidden = true;
+  els.seriesControls.hidden = !connected;
+  if (connected) loadSeries();
+  else {
+    els.series.innerHTML = '<option value="">Standalone book</option>';
+    showSeriesHint();
+  }
+}
+
+async function connectAccount(apiKey) {
+  const res = await fetch('/api/session', {
+    method: 'POST',
+    headers: {'Content-Type':'application/json'},
+    body: JSON.stringify({ apiKey })
+  });
+  const data = await res.json();
+  if (!res.ok) { throw new Error(data.error || res.statusText); }
+  await clearLibraryCache();
+  localStorage.setItem(ACCOUNT_NAME_STORAGE, data.account.name);
+  showAccount();
+  await syncLibrary();
+}
+
+els.createAccountBtn.addEventListener('click', async ()=>{
+  try {
+    const res = await fetch('/api/accounts', {
+      method: 'POST',
+      headers: {'Content-Type':'application/json'},
+      body: JSON.stringify({ name: els.accountName.value.trim() })
+    });
+    const data = await res.json();
+    if (!res.ok) { throw new Error(data.error || res.statusText); }
+    await connectAccount(data.apiKey);
+    els.status.textContent = `Account created. Your API key is shown only once, keep it to open your library on other devices:\n${data.apiKey}`;
+  } catch (err) {
+    console.error(err);
+    els.status.textContent = 'Error creating account: ' + err.message;
+  }
+});
+
+els.connectBtn.addEventListener('click', async ()=>{
+  try {
+    await connectAccount(els.apiKeyInput.value.trim());
+    els.apiKeyInput.value = '';
+    els.status.textContent = 'Library connected.';
+  } catch (err) {
+    console.error(err);
+    els.status.textContent = 'Error connecting: ' + err.message;
   }
+});
+
+els.disconnectBtn.addEventListener('click', async ()=>{
+  try {
+    await fetch('/api/session', { method: 'DELETE' });
+  } catch (err) {
+    console.warn('Sign-out request failed:', err);
+  }
+  forgetAccount();
+});
+
+// Browsers that kept the API key from before sessions sign in with it once, then drop it
+async function migrateStoredApiKey() {
+  const apiKey = localStorage.getItem(LEGACY_API_KEY_STORAGE);
+  if (!apiKey) return;
+  localStorage.removeItem(LEGACY_API_KEY_STORAGE);
+  try {
+    await connectAccount(apiKey);
+  } catch (err) {
+    console.warn('Could not sign in with the stored API key:', err);
+  }
+}
+
+function libraryEntryFromServer(book) {
+  return {
+    id: book.id,
+    jobId: book.id,
+    server: true,
+    title: book.title,
+    artStyle: book.artStyle,
+    numImages: book.numImages,
+    characterCount: book.characterCount,
+    language: book.language,
+    editionOf: book.editionOf,
+    series: book.series,
+    pdfUrl: book.files.pdf?.url || '',
+    filename: book.files.pdf?.filename || '',
+    epubUrl: book.files.epub?.url || '',
+    epubFilename: book.files.epub?.filename || '',
+    createdAt: book.createdAt
+  };
+}
+
+// Replace the cached copy of the server library; books only made in this browser are kept.
+// Offline, the cached copy is shown as it is.
+async function syncLibrary() {
+  if (!isSignedIn()) return;
+  try {
+    const res = await fetch('/api/library');
+    if (res.status === 401) { forgetAccount(); return; }
+    if (!res.ok) { throw new Error(await res.text()); }
+    const { books } = await res.json();
+    const serverEntries = books.map(libraryEntryFromServer);
+    const serverJobs = new Set(serverEntries.map(book => book.jobId));
+    const localOnly = getLibrary().filter(book => !book.server && !serverJobs.has(book.jobId));
+    const library = [...serverEntries, ...localOnly].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    localStorage.setItem('bookLibrary', JSON.stringify(library));
+  } catch (error) {
+    console.warn('Library sync failed, showing the offline copy:', error);
+  }
+  showLibrary();
+}
+
+// Add a book made before connecting; works while the server still has its job
+async function claimLibraryBook(jobId) {
+  try {
+    const res = await fetch('/api/library', {
+      method: 'POST',
+      headers: {'Content-Type':'application/json'},
+      body: JSON.stringify({ jobId })
+    });
+    const data = await res.json();
+    if (!res.ok) { throw new Error(data.error || res.statusText); }
+    await syncLibrary();
+    els.status.textContent = `"${data.title}" saved to your account.`;
+  } catch (err) {
+    console.error(err);
+    els.status.textContent = 'Error saving to account: ' + err.message;
+  }
+}
+
+// Server files need the signed-in session, so they are fetched and opened as blobs
+async function openLibraryFile(bookId, kind, download = false) {
+  const book = getLibrary().find(entry => entry.id === bookId);
+  if (!book) return;
+  const url = kind === 'epub' ? book.epubUrl : book.pdfUrl;
+  const filename = kind === 'epub' ? book.epubFilename : book.filename;
+  // Open the window before awaiting so popup blockers treat it as a click
+  const win = download ? null : window.open('', '_blank');
+  try {
+    const res = await fetch(url);
+    if (!res.ok) { throw new Error(await res.text()); }
+    const blobUrl = URL.createObjectURL(await res.blob());
+    if (win) {
+      win.location = blobUrl;
+    } else {
+      const a = document.createElement('a');
+      a.href = blobUrl;
+      a.download = filename;
+      a.click();
+    }
+  } catch (err) {
+    console.error(err);
+    win?.close();
+    els.status.textContent = 'Error opening book: ' + err.message;
+  }
+}
+
+async function shareLibraryBook(bookId) {
+  const days = prompt('Share link expires after how many days? Leave empty for a link that does not expire.', '7');
+  if (days === null) return;
+  try {
+    const res = await fetch(`/api/library/${encodeURIComponent(bookId)}/shares`, {
+      method: 'POST',
+      headers: {'Content-Type':'application/json'},
+      body: JSON.stringify(days.trim() ? { expiresInHours: Number(days) * 24 } : {})
+    });
+    const share = await res.json();
+    if (!res.ok) { throw new Error(share.error || res.statusText); }
+    await navigator.clipboard?.writeText(share.url).catch(() => {});
+    els.status.textContent = `Share link${share.expiresAt ? ` (expires ${formatDate(share.expiresAt)})` : ''}:\n${share.url}`;
+  } catch (err) {
+    console.error(err);
+    els.status.textContent = 'Error creating share link: ' + err.message;
+  }
+}
+
+// Opened from a share link (/?share=<token>): show the shared book's files
+async function showSharedBook(token) {
+  try {
+    const res = await fetch(`/api/shared/${encodeURIComponent(token)}`);
+    const book = await res.json();
+    if (!res.ok) { throw new Error(book.error || res.statusText); }
+    const labels = { pdf: 'Download PDF', epub: 'Download EPUB', cover: 'Download cover', audio: 'Download audio' };
+    const links = Object.entries(book.files).map(([kind, file]) =>
+      `<a href="${file.url}?download=1" download="${escapeHtml(file.filename)}">${labels[kind] || kind}</a>`);
+    if (book.files.pdf) links.unshift(`<a href="${book.files.pdf.url}" target="_blank">View PDF</a>`);
+    els.status.textContent = `Shared with you: ${book.title}${book.author ? ` (${book.author})` : ''}`;
+    els.result.innerHTML = links.join(' | ');
+  } catch (err) {
+    console.error(err);
+    els.status.textContent = 'Error opening shared book: ' + err.message;
+  }
+}
+
+// ---- Saved characters: reuse the same child, photo and look across books ----
+async function saveCharacter(card) {
+  if (!isSignedIn()) {
+    els.status.textContent = 'Connect an account in the Library to save characters.';
+    return;
+  }
+  const img = card.querySelector('img');
+  const fields = {
+    name: card.querySelector('.ch-name').value.trim(),
+    age: card.querySelector('.ch-age').value.trim(),
+    description: card.querySelector('.ch-desc').value.trim(),
+    role: card.querySelector('.ch-role').value.trim()
+  };
+  const characterId = card.dataset.characterId;
+  try {
+    setLoading(true, `Saving ${fields.name || 'character'}...`);
+    const res = await fetch(characterId ? `/api/characters/${characterId}` : '/api/characters', {
+      method: characterId ? 'PATCH' : 'POST',
+      headers: {'Content-Type':'application/json'},
+      body: JSON.stringify({ ...fields, ...(!characterId && img.src.startsWith('data:image/') && { image: img.src }) })
+    });
+    const character = await res.json();
+    if (!res.ok) { throw new Error(character.error || res.statusText); }
+    card.dataset.characterId = character.id;
+    card.querySelector('.ch-saved').hidden = false;
+    setLoading(false, '');
+    els.status.textContent = character.warning || `${character.name} saved to your characters.`;
+  } catch (err) {
+    console.error(err);
+    setLoading(false, '');
+    els.status.textContent = 'Error saving character: ' + err.message;
+  }
+}
+
+async function searchCharacters() {
+  try {
+    const res = await fetch(`/api/characters?q=${encodeURIComponent(els.characterSearch.value.trim())}`);
+    const data = await res.json();
+    if (!res.ok) { throw new Error(data.error || res.statusText); }
+    els.characterResults.innerHTML = data.characters.length === 0
+      ? '<p class="hint">No saved characters yet. Use Save on a character card to add one.</p>'
+      : data.characters.map(ch => `
+        <div class="character-result">
+          <img alt="" src="${escapeHtml(ch.thumbnail || '')}" ${ch.thumbnail ? '' : 'hidden'}>
+          <div class="meta"><strong>${escapeHtml(ch.name)}</strong> ${escapeHtml([ch.age, ch.role].filter(Boolean).join(', '))}<br>${escapeHtml(ch.description || '')}</div>
+          <button class="secondary" data-character-id="${escapeHtml(ch.id)}">Add to book</button>
+        </div>`).join('');
+    els.characterResults.querySelectorAll('button[data-character-id]').forEach(button => {
+      const ch = data.characters.find(c => c.id === button.dataset.characterId);
+      button.addEventListener('click', ()=> addCharacterCard({ ...ch, image: ch.thumbnail, characterId: ch.id }));
+    });
+  } catch (err) {
+    console.error(err);
+    els.characterResults.textContent = 'Could not load saved characters: ' + err.message;
+  }
+}
+
+let characterSearchTimer = null;
+els.characterSearch.addEventListener('input', ()=> {
+  clearTimeout(characterSearchTimer);
+  characterSearchTimer = setTimeout(searchCharacters, 250);
+});
+els.pickCharBtn.addEventListener('click', ()=> {
+  els.characterPicker.hidden = !els.characterPicker.hidden;
+  if (!els.characterPicker.hidden) searchCharacters();
+});
+
+// ---- Series: sequels that keep the same cast, art style and world ----
+let seriesList = [];
+
+async function loadSeries(selectId = els.series.value) {
+  try {
+    const res = await fetch('/api/series');
+    const data = await res.json();
+    if (!res.ok) { throw new Error(data.error || res.statusText); }
+    seriesList = data.series;
+    els.series.innerHTML = '<option value="">Standalone book</option>' + seriesList.map(series =>
+      `<option value="${escapeHtml(series.id)}">${escapeHtml(series.title)} (volume ${series.nextVolume} next)</option>`).join('');
+    els.series.value = seriesList.some(series => series.id === selectId) ? selectId : '';
+  } catch (err) {
+    console.warn('Could not load series:', err);
+  }
+  showSeriesHint();
+}
+
+function showSeriesHint() {
+  const series = seriesList.find(entry => entry.id === els.series.value);
+  els.seriesHint.hidden = !series;
+  if (!series) return;
+  const previous = series.volumes.at(-1);
+  els.seriesHint.textContent = `Volume ${series.nextVolume} in ${series.artStyle} style with the series cast (${series.cast.map(ch => ch.name || 'saved character').join(', ')}). ` +
+    (previous ? `Last time, in "${previous.title}": ${previous.summary}` : 'This will be the first volume.') +
+    ' Characters added above join this volume as guests.';
+}
+
+// The current art style and character cards become the series' fixed style and cast
+async function createSeries() {
+  const { artStyle, characters } = gather();
+  if (characters.length === 0) {
+    els.status.textContent = 'Add the characters for the series first.';
+    return;
+  }
+  const title = prompt('Series title', els.bookTitle.value.trim());
+  if (!title) return;
+  const setting = prompt('Describe the world the books share (places, home, pets, favourite things). Optional.', '') || '';
+  const cast = characters.map(({ characterId, name, age, description, role }) =>
+    characterId ? { characterId, role } : { name, age, description, role });
+  try {
+    const res = await fetch('/api/series', {
+      method: 'POST',
+      headers: {'Content-Type':'application/json'},
+      body: JSON.stringify({ title, artStyle, setting, cast })
+    });
+    const series = await res.json();
+    if (!res.ok) { throw new Error(series.error || res.statusText); }
+    await loadSeries(series.id);
+    els.status.textContent = `Series "${series.title}" created.` +
+      (cast.some(ch => !ch.characterId) ? ' Save characters first to keep their photos in the series.' : '');
+  } catch (err) {
+    console.error(err);
+    els.status.textContent = 'Error creating series: ' + err.message;
+  }
+}
+
+els.series.addEventListener('change', showSeriesHint);
+els.newSeriesBtn.addEventListener('click', createSeries);
+
+// ---- Costs: estimate before generating, spend so far this month ----
+function formatUSD(amount) {
+  return `$${amount.toFixed(amount < 1 ? 3 : 2)}`;
+}
+
+async function showUsage() {
+  try {
+    const res = await fetch('/api/usage');
+    if (!res.ok) return;
+    const usage = await res.json();
+    els.accountStatus.textContent = `Connected as ${localStorage.getItem(ACCOUNT_NAME_STORAGE) || 'your account'} • ${formatUSD(usage.cost)} spent this month` +
+      (usage.budget === null ? '' : ` of your ${formatUSD(usage.budget)} budget`);
+  } catch (err) {
+    console.warn('Could not load usage:', err);
+  }
+}
+
+let estimateTimer = null;
+function scheduleEstimate() {
+  clearTimeout(estimateTimer);
+  estimateTimer = setTimeout(async ()=> {
+    try {
+      const res = await fetch('/api/estimate', {
+        method: 'POST',
+        headers: {'Content-Type':'application/json'},
+        body: JSON.stringify(gather())
+      });
+      const estimate = await res.json();
+      if (!res.ok) { throw new Error(estimate.error || res.statusText); }
+      els.costEstimate.hidden = false;
+      els.costEstimate.textContent = `Estimated cost: about ${formatUSD(estimate.total)} (at most ${formatUSD(estimate.upperBound)}).` +
+        (estimate.refusal ? ` ${estimate.refusal}.` : '');
+    } catch (err) {
+      els.costEstimate.hidden = true;
+      console.warn('Could not estimate cost:', err);
+    }
+  }, 400);
 }
+// Form fields that change the price: page count, narration, photos, series
+document.querySelector('main').addEventListener('change', scheduleEstimate);
 
 // Load library on page load
+showAccount();
 showLibrary();
+migrateStoredApiKey().then(syncLibrary);
+scheduleEstimate();
+const sharedToken = new URLSearchParams(location.search).get('share');
+if (sharedToken) showSharedBook(sharedToken);
 
 // PWA install
 let deferredPrompt=null;
@@ -1,4 +1,6 @@
-const CACHE='cbg-cache-v3';
+const CACHE='cbg-cache-v5';
+// The signed-in account's books, kept apart so the app can drop them on sign-out
+const LIBRARY_CACHE='cbg-library';
 const ASSETS=[
   './',
   './index.html',
@@ -31,7 +33,7 @@ self.addEventListener('activate', e => {
     caches.keys().then(keys => {
       return Promise.all(
         keys.map(key => {
-          if (key !== CACHE) {
+          if (key !== CACHE && key !== LIBRARY_CACHE) {
             return caches.delete(key);
           }
         })
@@ -41,12 +43,12 @@ self.addEventListener('activate', e => {
   self.clients.claim();
 });
 
-async function networkFirst(req) {
+async function networkFirst(req, cacheName = CACHE) {
   try {
     const fresh = await fetch(req, { cache: 'no-store' });
     // Cache the response if it's successful
     if (fresh.ok) {
-      const cache = await caches.open(CACHE);
+      const cache = await caches.open(cacheName);
       cache.put(req, fresh.clone());
     }
     return fresh;
@@ -80,6 +82,18 @@ self.addEventListener('fetch', e => {
   
   // Skip requests to external origins
   if (url.origin !== location.origin) return;
+  if (e.request.method !== 'GET') return;
+  
+  // The library and shared books stay readable offline; other API calls always go to the server
+  if (url.pathname.startsWith('/api/library')) {
+    e.respondWith(networkFirst(e.request, LIBRARY_CACHE));
+    return;
+  }
+  if (url.pathname.startsWith('/api/shared/')) {
+    e.respondWith(networkFirst(e.request));
+    return;
+  }
+  if (url.pathname.startsWith('/api/')) return;
   
   // For navigation requests, use network first
   if (e.request.mode === 'navigate' || e.request.destination === 'document') {
@@ -6,6 +6,14 @@ import PDFDocument from 'pdfkit';
 import Jimp from 'jimp';
 import admin from 'firebase-admin';
 import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createRequire } from 'module';
+import Ajv from 'ajv';
+import JSZip from 'jszip';
+
+// Resolves files shipped inside packages (the bundled fonts)
+const require = createRequire(import.meta.url);
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -24,7 +32,7 @@ try {
     console.log('Firebase Storage initialized');
   }
 } catch (error) {
-  console.log('Firebase not configured, PDFs will be returned as downloads');
+  console.log('Firebase not configured, using STORAGE_DRIVER (local disk by default)');
 }
 
 // Enhanced logging
@@ -37,7 +45,7 @@ function log(level, message, data = null) {
   }
 }
 
-if(!OPENAI_API_KEY){
+if(!OPENAI_API_KEY && (process.env.AI_PROVIDER || 'openai') === 'openai'){
   log('error', 'Missing OPENAI_API_KEY in environment variables');
   console.error('OPENAI_API_KEY is required but not set. Please configure it in Vercel dashboard.');
 }
@@ -45,14 +53,117 @@ if(!OPENAI_API_KEY){
 log('info', `Server starting on port ${PORT}`);
 log('info', 'OpenAI API Key configured: ' + (OPENAI_API_KEY ? 'Yes' : 'No'));
 
-app.use(express.json({limit: '40mb'}));
+// Behind a proxy (Vercel, a load balancer) req.ip and req.secure come from its headers
+const TRUST_PROXY = process.env.TRUST_PROXY || '';
+if (TRUST_PROXY) {
+  app.set('trust proxy', TRUST_PROXY === 'true' ? true : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
+// Callers are identified before bodies are read, so anonymous requests are turned
+// away without parsing them (see Authentication)
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '25mb';
+app.use('/api', authenticate);
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
 
 // Static file serving
 app.use('/output', express.static('output'));
 app.use(express.static('public'));
 
 // Job management system
-const jobs = new Map();
+// Jobs live in a store so status survives restarts and is visible to every
+// instance sharing the same directory. Stores expose get/set/delete/list.
+const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS || String(60 * 60 * 1000), 10);
+const JOB_SWEEP_INTERVAL_MS = parseInt(process.env.JOB_SWEEP_INTERVAL_MS || String(5 * 60 * 1000), 10);
+
+function createMemoryJobStore() {
+  const jobs = new Map();
+  return {
+    name: 'memory',
+    get: id => jobs.get(id) || null,
+    set: job => { jobs.set(job.id, job); },
+    delete: id => { jobs.delete(id); },
+    list: () => [...jobs.values()]
+  };
+}
+
+function createFileJobStore(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = id => path.join(dir, `${path.basename(id)}.json`);
+  return {
+    name: 'file',
+    get(id) {
+      try {
+        return JSON.parse(fs.readFileSync(fileFor(id), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') log('warn', 'Failed to read job file', { jobId: id, error: error.message });
+        return null;
+      }
+    },
+    set(job) {
+      // Write then rename so readers never see a half-written file
+      const tmp = `${fileFor(job.id)}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(job));
+      fs.renameSync(tmp, fileFor(job.id));
+    },
+    delete(id) {
+      fs.rmSync(fileFor(id), { force: true });
+    },
+    list() {
+      return fs.readdirSync(dir)
+        .filter(f => f.endsWith('.json'))
+        .map(f => this.get(f.slice(0, -5)))
+        .filter(Boolean);
+    }
+  };
+}
+
+function createJobStore() {
+  const type = process.env.JOB_STORE || 'file';
+  if (type === 'file') {
+    const dir = process.env.JOB_STORE_DIR || path.join('/tmp', 'book-maker-jobs');
+    try {
+      const store = createFileJobStore(dir);
+      log('info', 'Job store: file', { dir });
+      return store;
+    } catch (error) {
+      log('warn', 'File job store unavailable, falling back to memory', { dir, error: error.message });
+    }
+  }
+  log('info', 'Job store: memory');
+  return createMemoryJobStore();
+}
+
+const jobStore = createJobStore();
+
+// In-process fan-out of job events to SSE subscribers, keyed by job id
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function emitJobEvent(id, type, data = {}) {
+  jobEvents.emit(id, { type, data: { jobId: id, ...data } });
+}
+
+function progressView(job) {
+  return {
+    status: job.status,
+    progress: job.progress,
+    currentPhase: job.currentPhase,
+    completedSteps: job.completedSteps,
+    totalSteps: job.totalSteps,
+    etaSeconds: job.etaSeconds ?? null,
+    pages: (job.pages || []).map(({ page, status, attempts }) => ({ page, status, attempts })),
+    queuePosition: job.queuePosition ?? null
+  };
+}
+
+function getJob(id) {
+  return jobStore.get(id);
+}
+
+function saveJob(job) {
+  job.updatedAt = Date.now();
+  jobStore.set(job);
+}
 
 function createJob(id, title) {
   const job = {
@@ -65,45 +176,129 @@ function createJob(id, title) {
     completedSteps: 0,
     startTime: Date.now(),
     error: null,
+    warnings: [],
     result: null
   };
-  jobs.set(id, job);
-  log('info', 'Job created', { jobId: id, title });
+  saveJob(job);
+  log('info', 'Job created', { jobId: id, title, store: jobStore.name });
   return job;
 }
 
+// A cancelled job keeps its final state while its last in-flight work unwinds
 function updateJob(id, updates) {
-  const job = jobs.get(id);
-  if (job) {
+  const job = getJob(id);
+  if (job && job.status !== 'cancelled') {
     Object.assign(job, updates);
+    saveJob(job);
     log('debug', 'Job updated', { jobId: id, ...updates });
+    emitJobEvent(id, 'progress', progressView(job));
   }
 }
 
-function completeJob(id, result) {
-  const job = jobs.get(id);
+// Non-fatal problems worth showing to the user (plan repairs, analysis fallbacks, ...)
+function addJobWarning(id, message, details = null) {
+  const job = getJob(id);
   if (job) {
+    const warning = { message, at: Date.now() };
+    job.warnings = [...(job.warnings || []), warning];
+    saveJob(job);
+    log('warn', `Job warning: ${message}`, { jobId: id, ...(details || {}) });
+    emitJobEvent(id, 'warning', warning);
+  }
+}
+
+function completeJob(id, result) {
+  const job = getJob(id);
+  if (job && job.status !== 'cancelled') {
     job.status = 'completed';
+    job.currentPhase = 'Completed';
     job.progress = 100;
+    job.completedSteps = job.totalSteps;
+    job.etaSeconds = 0;
     job.result = result;
     job.endTime = Date.now();
+    saveJob(job);
     log('info', 'Job completed', { jobId: id, duration: job.endTime - job.startTime });
+    auditJob('job.completed', job, { ...(result?.editionOf && { editionOf: result.editionOf, language: result.language }) });
+    emitJobEvent(id, 'complete', { job });
   }
 }
 
 function failJob(id, error) {
-  const job = jobs.get(id);
-  if (job) {
+  const job = getJob(id);
+  if (job && job.status !== 'cancelled') {
     job.status = 'failed';
+    job.currentPhase = 'Failed';
     job.error = error.message || String(error);
+    job.etaSeconds = null;
     job.endTime = Date.now();
+    saveJob(job);
     log('error', 'Job failed', { jobId: id, error: job.error });
+    auditJob('job.failed', job, { error: job.error });
+    emitJobEvent(id, 'failed', { job });
+  }
+}
+
+function cancelJob(id) {
+  const job = getJob(id);
+  if (job) {
+    job.status = 'cancelled';
+    job.currentPhase = 'Cancelled';
+    job.queuePosition = null;
+    job.etaSeconds = null;
+    job.endTime = Date.now();
+    saveJob(job);
+    log('info', 'Job cancelled', { jobId: id });
+    emitJobEvent(id, 'cancelled', { job });
   }
 }
 
+// Finished jobs expire JOB_TTL_MS after they end; unfinished jobs that have not
+// been touched for as long were orphaned by a dead process and expire too. An
+// expired job's run directory (checkpointed images, plan, outputs) goes with it;
+// finished books live on in the library and in storage.
+function sweepExpiredJobs() {
+  const now = Date.now();
+  let removed = 0;
+  try {
+    for (const job of jobStore.list()) {
+      const finished = ['completed', 'failed', 'cancelled'].includes(job.status);
+      const lastActivity = finished ? job.endTime : (job.updatedAt || job.startTime);
+      if (lastActivity && now - lastActivity > JOB_TTL_MS && !activeJobs.has(job.id)) {
+        jobStore.delete(job.id);
+        removeRunDir(job);
+        removed++;
+      }
+    }
+  } catch (error) {
+    log('warn', 'Job sweep failed', { error: error.message });
+  }
+  if (removed > 0) log('info', 'Expired jobs swept', { removed });
+}
+
+// Startup housekeeping waits until the whole module has loaded, since it needs the
+// work queue, the pipeline and the run directory helpers defined further down
+setImmediate(() => {
+  sweepExpiredJobs();
+  requeueWaitingJobs();
+});
+setInterval(sweepExpiredJobs, JOB_SWEEP_INTERVAL_MS).unref();
+
 // ---- OpenAI helpers ----
-async function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Rejects with the signal's reason when the signal aborts first
+async function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 async function openAIChat(messages, model = 'gpt-5-nano', maxRetries = 3){
@@ -129,6 +324,7 @@ async function openAIChat(messages, model = 'gpt-5-nano', maxRetries = 3){
       
       const fetchPromise = fetch('https://api.openai.com/v1/chat/completions', {
         method:'POST',
+        signal: currentSignal(),
         headers:{'Authorization':`Bearer ${OPENAI_API_KEY}`,'Content-Type':'application/json'},
         body: JSON.stringify(requestBody)
       });
@@ -148,7 +344,7 @@ async function openAIChat(messages, model = 'gpt-5-nano', maxRetries = 3){
           log('warn', `Rate limit hit, retrying in ${waitTime}ms`, { attempt, status: res.status });
           
           if (attempt < maxRetries) {
-            await sleep(waitTime);
+            await sleep(waitTime, currentSignal());
             continue; // Retry
           }
         }
@@ -165,6 +361,7 @@ async function openAIChat(messages, model = 'gpt-5-nano', maxRetries = 3){
         attempt
       });
       
+      recordUsage({ kind: 'chat', model, inputTokens: data.usage?.prompt_tokens || 0, outputTokens: data.usage?.completion_tokens || 0 });
       const content = data.choices?.[0]?.message?.content || '';
       log('info', `OpenAI Chat completed successfully`, { 
         responseLength: content.length,
@@ -178,21 +375,29 @@ async function openAIChat(messages, model = 'gpt-5-nano', maxRetries = 3){
       const responseTime = Date.now() - startTime;
       log('error', `OpenAI Chat attempt ${attempt} failed after ${responseTime}ms`, { error: error.message });
       
-      if (attempt === maxRetries) {
+      // A cancelled job is not retried
+      if (attempt === maxRetries || currentSignal()?.aborted) {
         throw error;
       }
       
       // Wait before retrying
       const waitTime = Math.pow(2, attempt) * 1000;
       log('info', `Waiting ${waitTime}ms before retry ${attempt + 1}/${maxRetries}`);
-      await sleep(waitTime);
+      await sleep(waitTime, currentSignal());
     }
   }
 }
 
-async function openAIImage(prompt, size='1024x1024', maxRetries = 3){
+// gpt-image responses carry token usage; DALL-E responses carry none
+function imageTokenUsage(usage) {
+  if (!usage) return {};
+  const imageInputTokens = usage.input_tokens_details?.image_tokens || 0;
+  return { inputTokens: (usage.input_tokens || 0) - imageInputTokens, imageInputTokens, outputTokens: usage.output_tokens || 0 };
+}
+
+async function openAIImage(prompt, size='1024x1024', model = 'dall-e-3', maxRetries = 3){
   const startTime = Date.now();
-  log('info', `Starting DALL-E image generation`, { promptLength: prompt.length, size });
+  log('info', `Starting DALL-E image generation`, { promptLength: prompt.length, size, model });
   
   // DALL-E can be very slow, set generous timeout
   const timeoutMs = 120000; // 2 minutes per image
@@ -200,10 +405,11 @@ async function openAIImage(prompt, size='1024x1024', maxRetries = 3){
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
       const requestBody = { 
-        model: 'dall-e-3', 
+        model, 
         prompt: prompt.substring(0, 4000), // DALL-E 3 has prompt limits
         size,
-        quality: 'standard',
+        // gpt-image models reject the DALL-E quality values
+        ...(model.startsWith('dall-e') ? { quality: 'standard' } : {}),
         n: 1
       };
       log('debug', `Image generation attempt ${attempt}/${maxRetries}`, { model: requestBody.model, size, promptPreview: prompt.substring(0, 100) + '...' });
@@ -215,6 +421,7 @@ async function openAIImage(prompt, size='1024x1024', maxRetries = 3){
       
       const fetchPromise = fetch('https://api.openai.com/v1/images/generations', {
         method:'POST',
+        signal: currentSignal(),
         headers:{'Authorization':`Bearer ${OPENAI_API_KEY}`,'Content-Type':'application/json'},
         body: JSON.stringify(requestBody)
       });
@@ -234,7 +441,7 @@ async function openAIImage(prompt, size='1024x1024', maxRetries = 3){
           log('warn', `DALL-E rate limit hit, retrying in ${waitTime}ms`, { attempt, status: res.status });
           
           if (attempt < maxRetries) {
-            await sleep(waitTime);
+            await sleep(waitTime, currentSignal());
             continue; // Retry
           }
         }
@@ -244,6 +451,15 @@ async function openAIImage(prompt, size='1024x1024', maxRetries = 3){
       }
       
       const data = await res.json();
+      recordUsage({ kind: 'image', model, size, quality: requestBody.quality || 'auto', images: 1, ...imageTokenUsage(data.usage) });
+      
+      // gpt-image models answer with inline base64 instead of a URL
+      if (data.data?.[0]?.b64_json) {
+        const buffer = Buffer.from(data.data[0].b64_json, 'base64');
+        log('info', `Image generation completed successfully`, { bufferSize: buffer.length, totalTime: Date.now() - startTime, attempt });
+        return buffer;
+      }
+      
       const imageUrl = data.data?.[0]?.url;
       log('debug', 'Image generation response', { hasUrl: !!imageUrl, dataCount: data.data?.length || 0, attempt });
       
@@ -254,7 +470,7 @@ async function openAIImage(prompt, size='1024x1024', maxRetries = 3){
       
       // Fetch the image from the URL and return as buffer
       log('info', 'Fetching generated image from URL');
-      const imageRes = await fetch(imageUrl);
+      const imageRes = await fetch(imageUrl, { signal: currentSignal() });
       if(!imageRes.ok) {
         log('error', 'Failed to fetch image from URL', { status: imageRes.status, url: imageUrl });
         throw new Error('Failed to fetch generated image.');
@@ -273,226 +489,4927 @@ async function openAIImage(prompt, size='1024x1024', maxRetries = 3){
       const responseTime = Date.now() - startTime;
       log('error', `Image generation attempt ${attempt} failed after ${responseTime}ms`, { error: error.message });
       
-      if (attempt === maxRetries) {
+      if (attempt === maxRetries || currentSignal()?.aborted) {
         throw error;
       }
       
       // Wait before retrying
       const waitTime = Math.pow(2, attempt) * 1000;
       log('info', `Waiting ${waitTime}ms before image retry ${attempt + 1}/${maxRetries}`);
-      await sleep(waitTime);
+      await sleep(waitTime, currentSignal());
     }
   }
 }
 
-// ---- Firebase Storage Helper ----
-async function uploadPDFToStorage(pdfBuffer, filename) {
-  if (!bucket) {
-    log('info', 'Firebase not configured, returning PDF as base64');
-    return {
-      type: 'download',
-      data: pdfBuffer.toString('base64'),
-      filename: filename
-    };
+// Reference-conditioned generation through the image edits endpoint; the
+// reference PNGs are sent alongside the prompt as image inputs.
+async function openAIImageEdit(prompt, references, size='1024x1024', model = 'gpt-image-1', maxRetries = 3){
+  const startTime = Date.now();
+  log('info', `Starting reference image generation`, { promptLength: prompt.length, size, model, referenceCount: references.length });
+  
+  // Image inputs make these requests slower than plain generations
+  const timeoutMs = 180000;
+  
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const form = new FormData();
+      form.append('model', model);
+      form.append('prompt', prompt.substring(0, 32000));
+      form.append('size', size);
+      form.append('n', '1');
+      references.forEach((buf, i) => {
+        form.append('image[]', new Blob([buf], { type: 'image/png' }), `reference-${i + 1}.png`);
+      });
+      log('debug', `Reference image attempt ${attempt}/${maxRetries}`, { model, size, promptPreview: prompt.substring(0, 100) + '...' });
+      
+      const timeoutPromise = new Promise((_, reject) => 
+        setTimeout(() => reject(new Error(`Reference image generation timeout after ${timeoutMs}ms`)), timeoutMs)
+      );
+      
+      const fetchPromise = fetch('https://api.openai.com/v1/images/edits', {
+        method:'POST',
+        signal: currentSignal(),
+        headers:{'Authorization':`Bearer ${OPENAI_API_KEY}`},
+        body: form
+      });
+      
+      const res = await Promise.race([fetchPromise, timeoutPromise]);
+      log('info', `Reference image response received in ${Date.now() - startTime}ms`, { status: res.status, attempt });
+      
+      if(!res.ok){ 
+        const errorText = await res.text();
+        if (res.status === 429 && attempt < maxRetries) {
+          const waitTime = Math.pow(2, attempt) * 1000; // Exponential backoff
+          log('warn', `Image edit rate limit hit, retrying in ${waitTime}ms`, { attempt });
+          await sleep(waitTime, currentSignal());
+          continue;
+        }
+        log('error', 'OpenAI image edit API error', { status: res.status, error: errorText, attempt });
+        throw new Error('OpenAI Image edit error: ' + errorText); 
+      }
+      
+      const data = await res.json();
+      recordUsage({ kind: 'image', model, size, quality: 'auto', images: 1, references: references.length, ...imageTokenUsage(data.usage) });
+      const b64 = data.data?.[0]?.b64_json;
+      if (!b64) {
+        log('error', 'Image edit returned no image data', { dataCount: data.data?.length || 0 });
+        throw new Error('Image edit returned empty data.');
+      }
+      
+      const buffer = Buffer.from(b64, 'base64');
+      log('info', `Reference image generation completed successfully`, { 
+        bufferSize: buffer.length,
+        totalTime: Date.now() - startTime,
+        attempt
+      });
+      return buffer;
+    } catch (error) {
+      log('error', `Reference image attempt ${attempt} failed after ${Date.now() - startTime}ms`, { error: error.message });
+      
+      if (attempt === maxRetries || currentSignal()?.aborted) {
+        throw error;
+      }
+      
+      const waitTime = Math.pow(2, attempt) * 1000;
+      log('info', `Waiting ${waitTime}ms before reference image retry ${attempt + 1}/${maxRetries}`);
+      await sleep(waitTime, currentSignal());
+    }
   }
+}
 
-  try {
-    const file = bucket.file(`books/${Date.now()}-${filename}`);
-    await file.save(pdfBuffer, {
-      metadata: {
-        contentType: 'application/pdf',
-        metadata: {
-          firebaseStorageDownloadTokens: crypto.randomUUID()
+async function openAISpeech(text, voice, model = 'tts-1', maxRetries = 3){
+  const startTime = Date.now();
+  log('info', `Starting speech synthesis`, { textLength: text.length, voice, model });
+  const timeoutMs = 60000;
+  
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const timeoutPromise = new Promise((_, reject) => 
+        setTimeout(() => reject(new Error(`Speech synthesis timeout after ${timeoutMs}ms`)), timeoutMs)
+      );
+      
+      const fetchPromise = fetch('https://api.openai.com/v1/audio/speech', {
+        method:'POST',
+        signal: currentSignal(),
+        headers:{'Authorization':`Bearer ${OPENAI_API_KEY}`,'Content-Type':'application/json'},
+        body: JSON.stringify({ model, voice, input: text.substring(0, 4096), response_format: 'mp3' })
+      });
+      
+      const res = await Promise.race([fetchPromise, timeoutPromise]);
+      
+      if(!res.ok){ 
+        const errorText = await res.text();
+        if (res.status === 429 && attempt < maxRetries) {
+          const waitTime = Math.pow(2, attempt) * 1000; // Exponential backoff
+          log('warn', `Speech rate limit hit, retrying in ${waitTime}ms`, { attempt });
+          await sleep(waitTime, currentSignal());
+          continue;
         }
+        log('error', 'OpenAI speech API error', { status: res.status, error: errorText, attempt });
+        throw new Error('OpenAI Speech error: ' + errorText); 
       }
-    });
+      
+      const buffer = Buffer.from(await res.arrayBuffer());
+      recordUsage({ kind: 'speech', model, characters: Math.min(text.length, 4096) });
+      log('info', `Speech synthesis completed successfully`, { bufferSize: buffer.length, totalTime: Date.now() - startTime, attempt });
+      return buffer;
+    } catch (error) {
+      log('error', `Speech attempt ${attempt} failed after ${Date.now() - startTime}ms`, { error: error.message });
+      
+      if (attempt === maxRetries || currentSignal()?.aborted) {
+        throw error;
+      }
+      
+      const waitTime = Math.pow(2, attempt) * 1000;
+      log('info', `Waiting ${waitTime}ms before speech retry ${attempt + 1}/${maxRetries}`);
+      await sleep(waitTime, currentSignal());
+    }
+  }
+}
 
-    // Make file publicly readable
-    await file.makePublic();
+// ---- Work Queue ----
+// Book jobs wait in one queue and at most MAX_ACTIVE_JOBS run at a time, highest
+// priority first. Model calls from every job share one limiter per kind of call
+// (a concurrency cap plus an optional token bucket of requests per minute), so
+// more users mean longer queues rather than provider rate limits. Cancelling a
+// job aborts its in-flight requests and removes its run directory.
+const MAX_ACTIVE_JOBS = parseInt(process.env.MAX_ACTIVE_JOBS || '3', 10);
+const JOB_PRIORITIES = { high: 0, normal: 1, low: 2 };
+const CALL_LIMITS = {
+  chat: { concurrency: parseInt(process.env.CHAT_CONCURRENCY || '6', 10), perMinute: parseFloat(process.env.CHAT_REQUESTS_PER_MINUTE || '0') },
+  image: { concurrency: parseInt(process.env.IMAGE_CONCURRENCY || '3', 10), perMinute: parseFloat(process.env.IMAGE_REQUESTS_PER_MINUTE || '0') },
+  speech: { concurrency: parseInt(process.env.SPEECH_CONCURRENCY || '4', 10), perMinute: parseFloat(process.env.SPEECH_REQUESTS_PER_MINUTE || '0') }
+};
+// Within one book: pages illustrated at once, and extra attempts for a page that fails
+const IMAGE_WORKERS = parseInt(process.env.IMAGE_WORKERS || '3', 10);
+const IMAGE_PAGE_RETRIES = parseInt(process.env.IMAGE_PAGE_RETRIES || '1', 10);
 
-    const publicUrl = `https://storage.googleapis.com/${bucket.name}/${file.name}`;
-    log('info', 'PDF uploaded to Firebase Storage', { filename, url: publicUrl });
-    
-    return {
-      type: 'url',
-      url: publicUrl,
-      filename: filename
-    };
-  } catch (error) {
-    log('error', 'Failed to upload to Firebase, falling back to download', { error: error.message });
-    return {
-      type: 'download',
-      data: pdfBuffer.toString('base64'),
-      filename: filename
-    };
+function pickPriority(body = {}, defaults = {}) {
+  return JOB_PRIORITIES[body.priority] !== undefined ? body.priority : (defaults.priority || 'normal');
+}
+
+// The abort signal of the job the current call belongs to, if any
+function currentSignal() {
+  return usageScope.getStore()?.signal;
+}
+
+// Hands out slots in priority order (lower rank first), first come first served within a rank
+function createLimiter(concurrency) {
+  let active = 0;
+  let arrivals = 0;
+  const waiting = [];
+  function next() {
+    while (active < concurrency && waiting.length > 0) {
+      active++;
+      waiting.shift().start();
+    }
   }
+  return {
+    acquire(rank, signal) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const onAbort = () => {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          reject(signal.reason);
+        };
+        const waiter = {
+          rank,
+          arrival: arrivals++,
+          start() {
+            signal?.removeEventListener('abort', onAbort);
+            let released = false;
+            resolve(() => {
+              if (released) return;
+              released = true;
+              active--;
+              next();
+            });
+          }
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+        const at = waiting.findIndex(other => other.rank > rank);
+        waiting.splice(at === -1 ? waiting.length : at, 0, waiter);
+        next();
+      });
+    }
+  };
 }
 
-// ---- Utility ----
-async function makeCharacterBoard(imagesB64){
-  if(!imagesB64 || imagesB64.length===0) return null;
-  const imgs = [];
-  for(const b64 of imagesB64){
-    try{
-      const img = await Jimp.read(Buffer.from((b64.split(',')[1]||b64), 'base64'));
-      imgs.push(img.cover(400, 400));
-    }catch(e){ /* skip */ }
+// Allows `perMinute` requests per minute on average with bursts of up to `capacity`; 0 means no limit
+function createTokenBucket(perMinute, capacity) {
+  let tokens = capacity;
+  let last = Date.now();
+  return {
+    async take(signal) {
+      if (!perMinute) return;
+      for (;;) {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + (now - last) * perMinute / 60000);
+        last = now;
+        if (tokens >= 1) {
+          tokens -= 1;
+          return;
+        }
+        await sleep(Math.ceil((1 - tokens) * 60000 / perMinute), signal);
+      }
+    }
+  };
+}
+
+// Runs work(index) for every index below count with up to `workers` in flight. A
+// worker takes the next index as soon as its current one settles, so one slow item
+// never holds up the others. Resolves with every outcome, in index order, in the
+// shape Promise.allSettled uses.
+async function runWorkerPool(count, workers, work) {
+  const outcomes = new Array(count);
+  let nextIndex = 0;
+  async function worker() {
+    while (nextIndex < count) {
+      const index = nextIndex++;
+      try {
+        outcomes[index] = { status: 'fulfilled', value: await work(index) };
+      } catch (reason) {
+        outcomes[index] = { status: 'rejected', reason };
+      }
+    }
   }
-  if(imgs.length===0) return null;
-  const cols = Math.min(3, imgs.length);
-  const rows = Math.ceil(imgs.length/cols);
-  const cell = 420, pad = 10;
-  const w = cols*cell + (cols+1)*pad;
-  const h = rows*cell + (rows+1)*pad;
-  const board = new Jimp(w, h, 0xffffffff);
-  imgs.forEach((im, i)=>{
-    const r = Math.floor(i/cols), c = i%cols;
-    const x = pad + c*(cell+pad), y = pad + r*(cell+pad);
-    board.composite(im, x, y);
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, workers), count) }, worker));
+  return outcomes;
+}
+
+function scheduledProvider(provider) {
+  const scheduled = method => {
+    const { concurrency, perMinute } = CALL_LIMITS[method];
+    const limiter = createLimiter(concurrency);
+    const bucket = createTokenBucket(perMinute, Math.max(1, concurrency));
+    return async (input, options = {}) => {
+      const scope = usageScope.getStore() || {};
+      const { signal, priority } = scope;
+      const release = await limiter.acquire(JOB_PRIORITIES[priority] ?? JOB_PRIORITIES.normal, signal);
+      try {
+        await bucket.take(signal);
+        // Timed from here, so recorded durations leave out the wait for a slot
+        return await usageScope.run({ ...scope, callProvider: provider.name, callStartedAt: Date.now() }, () => provider[method](input, options));
+      } finally {
+        release();
+      }
+    };
+  };
+  return { ...provider, chat: scheduled('chat'), image: scheduled('image'), speech: scheduled('speech') };
+}
+
+const jobQueue = []; // { jobId, run, rank, arrival, phase }, kept in start order
+const activeJobs = new Map(); // jobId -> AbortController
+let jobArrivals = 0;
+
+// Runs `run` for the job once a slot is free; the job shows its queue position until then
+function enqueueJob(jobId, run) {
+  const job = getJob(jobId);
+  const rank = JOB_PRIORITIES[job?.priority] ?? JOB_PRIORITIES.normal;
+  const entry = { jobId, run, rank, arrival: jobArrivals++, phase: job?.currentPhase || 'Starting...' };
+  const at = jobQueue.findIndex(other => other.rank > rank);
+  jobQueue.splice(at === -1 ? jobQueue.length : at, 0, entry);
+  log('info', 'Job queued', { jobId, priority: job?.priority || 'normal', queued: jobQueue.length, active: activeJobs.size });
+  startQueuedJobs();
+}
+
+function startQueuedJobs() {
+  while (activeJobs.size < MAX_ACTIVE_JOBS && jobQueue.length > 0) {
+    const { jobId, run, phase } = jobQueue.shift();
+    const controller = new AbortController();
+    activeJobs.set(jobId, controller);
+    updateJob(jobId, { status: 'started', queuePosition: null, currentPhase: phase });
+    meterJob(jobId, run, { signal: controller.signal })
+      .catch(error => log('error', 'Queued job crashed', { jobId, error: error.message }))
+      .finally(() => {
+        activeJobs.delete(jobId);
+        // A cancelled job's files are removed once nothing is writing to them
+        if (getJob(jobId)?.status === 'cancelled') removeRunDir(getJob(jobId));
+        startQueuedJobs();
+      });
+  }
+  jobQueue.forEach((entry, i) => {
+    if (getJob(entry.jobId)?.queuePosition !== i + 1) {
+      updateJob(entry.jobId, { status: 'queued', queuePosition: i + 1, currentPhase: `Waiting for a free slot (position ${i + 1} in the queue)...` });
+    }
   });
-  return await board.getBufferAsync(Jimp.MIME_PNG);
 }
 
-// ---- Pipeline ----
-app.get('/api/job/:jobId', (req, res) => {
-  const jobId = req.params.jobId;
-  const job = jobs.get(jobId);
-  
+// The queue itself is not persisted. Jobs still waiting when the server stopped
+// are queued again on startup, in their original order; a job that can no longer
+// be rebuilt (its input or its original book is gone) is marked failed instead.
+function requeueWaitingJobs() {
+  const waiting = jobStore.list()
+    .filter(job => job.status === 'queued')
+    .sort((a, b) => a.startTime - b.startTime);
+  for (const job of waiting) {
+    const run = waitingJobRun(job);
+    if (run) {
+      log('info', 'Job queued again after restart', { jobId: job.id });
+      enqueueJob(job.id, run);
+    } else {
+      failJob(job.id, new Error('The server restarted before this job started, and it cannot be queued again; start a new generation'));
+    }
+  }
+}
+
+function waitingJobRun(job) {
+  if (job.editionOf) {
+    const source = originalRun(job.editionOf);
+    return source && BOOK_LANGUAGES[job.language] ? () => createEditionAsync(job.id, source, job.language) : null;
+  }
+  const input = job.runId ? readCheckpoint(runDir(job.runId), 'input.json') : null;
+  return input ? () => generateBookAsync(job.id, input) : null;
+}
+
+function removeRunDir(job) {
+  if (!job?.runId) return;
+  fs.rmSync(runDir(job.runId), { recursive: true, force: true });
+  log('info', 'Run directory removed', { jobId: job.id, runId: job.runId });
+}
+
+// Cancels a queued, running, paused or failed job. Finished books stay; delete them from the library instead.
+app.delete('/api/job/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
   if (!job) {
     return res.status(404).json({ error: 'Job not found' });
   }
-  
-  // Clean up completed/failed jobs older than 1 hour
-  const oneHour = 60 * 60 * 1000;
-  if ((job.status === 'completed' || job.status === 'failed') && 
-      job.endTime && (Date.now() - job.endTime > oneHour)) {
-    jobs.delete(jobId);
-    return res.status(404).json({ error: 'Job expired' });
+  if (job.status === 'completed' || job.status === 'cancelled') {
+    return res.status(409).json({ error: `Job is already ${job.status}` });
   }
-  
-  res.json(job);
+
+  const queued = jobQueue.findIndex(entry => entry.jobId === job.id);
+  if (queued !== -1) jobQueue.splice(queued, 1);
+  cancelJob(job.id);
+  const controller = activeJobs.get(job.id);
+  if (controller) {
+    controller.abort(new Error('Job cancelled'));
+  } else {
+    removeRunDir(job);
+  }
+  startQueuedJobs();
+  auditLog('job.cancelled', { jobId: job.id, title: job.title }, req);
+  res.json({ jobId: job.id, status: 'cancelled' });
 });
 
-app.post('/api/generate-story-idea', async (req, res) => {
-  log('info', 'PHASE START: Story idea generation');
-  
-  try {
-    const prompt = [
-      {role: 'system', content: 'You are a creative children\'s book author who creates engaging, age-appropriate stories for kids aged 3-8. Generate book ideas that are wholesome, educational, and fun.'},
-      {role: 'user', content: `Create a children's book concept with the following requirements:
-- Target age: 3-8 years old
-- Story should be short and engaging
-- 4-8 pages of content (plus covers)
-- Include a catchy title
-- Brief story outline (2-4 sentences)
-- Suggest number of pages between 4-8
+// ---- AI Providers ----
+// A provider exposes the same surface regardless of backend:
+//   chat(messages, { task, context, model }) -> response text
+//   image(prompt, { size, references }) -> PNG buffer
+//   speech(text, { voice, language }) -> { audio: Buffer, format: 'mp3' | 'wav' }
+//   capabilities: { referenceImages } -> whether image() honours `references`
+// `task` and `context` describe what the caller expects back so offline
+// providers can answer without understanding the prompt itself.
+const OPENAI_CHAT_MODEL = process.env.OPENAI_CHAT_MODEL || 'gpt-5-nano';
+const OPENAI_IMAGE_MODEL = process.env.OPENAI_IMAGE_MODEL || 'dall-e-3';
+const OPENAI_IMAGE_EDIT_MODEL = process.env.OPENAI_IMAGE_EDIT_MODEL || 'gpt-image-1';
+const OPENAI_TTS_MODEL = process.env.OPENAI_TTS_MODEL || 'tts-1';
+const OPENAI_TTS_VOICE = process.env.OPENAI_TTS_VOICE || 'nova';
 
-Respond in JSON format with exactly these fields:
-{
-  "title": "Book title here",
-  "story": "Brief story outline here",
-  "numImages": 6
+function createOpenAIProvider() {
+  return {
+    name: 'openai',
+    capabilities: { referenceImages: true },
+    chat: (messages, options = {}) => openAIChat(messages, options.model || OPENAI_CHAT_MODEL),
+    image: (prompt, options = {}) => options.references?.length > 0
+      ? openAIImageEdit(prompt, options.references, options.size, OPENAI_IMAGE_EDIT_MODEL)
+      : openAIImage(prompt, options.size, OPENAI_IMAGE_MODEL),
+    speech: async (text, options = {}) => ({
+      audio: await openAISpeech(text, options.voice || OPENAI_TTS_VOICE, OPENAI_TTS_MODEL),
+      format: 'mp3'
+    })
+  };
 }
 
-Make it creative, educational, and fun for children!`}
-    ];
-
-    log('info', 'Calling OpenAI for story idea generation');
-    const response = await openAIChat(prompt, 'gpt-5-nano');
-    log('debug', 'Raw story idea response', { responseLength: response.length, preview: response.substring(0, 200) });
-    
-    let storyIdea;
-    try {
-      storyIdea = JSON.parse(response);
-      log('info', 'PHASE END: Story idea generation (parsed JSON)', storyIdea);
-    } catch (e) {
-      log('warn', 'Failed to parse JSON, trying to extract', { error: e.message });
-      const match = response.match(/\{[\s\S]*\}/);
-      if (match) {
-        storyIdea = JSON.parse(match[0]);
-        log('info', 'PHASE END: Story idea generation (extracted JSON)', storyIdea);
-      } else {
-        log('error', 'No valid JSON found in response', { response });
-        throw new Error('Failed to generate valid story idea');
-      }
-    }
+// Deterministic local provider: canned JSON and procedurally drawn PNGs, no network.
+// Usage is recorded as if the configured OpenAI models had answered, so costs
+// and budgets can be tried offline.
+const MOCK_LATENCY_MS = parseInt(process.env.MOCK_LATENCY_MS || '0', 10);
 
-    // Always randomize numImages for variety (2-8 images)
-    const oldValue = storyIdea.numImages;
-    storyIdea.numImages = Math.floor(Math.random() * 7) + 2; // 2-8
-    log('info', 'Randomized numImages for variety', { from: oldValue, to: storyIdea.numImages });
+function hashToInt(value, offset = 0) {
+  return crypto.createHash('sha256').update(String(value)).digest().readUInt32BE(offset);
+}
 
-    log('info', 'Story idea generation completed successfully', storyIdea);
-    res.json(storyIdea);
-  } catch (err) {
-    log('error', 'Story idea generation failed', { error: err.message, stack: err.stack });
-    res.status(500).json({ error: err.message });
+function mockStoryIdea({ language } = {}) {
+  if (language === 'he') {
+    return {
+      title: 'הפנס הקטן',
+      story: 'ילדה סקרנית מוצאת פנס שזוהר חזק יותר עם כל מעשה טוב. יחד הם מאירים את הדרך הביתה לחתלתול אבוד.',
+      numImages: 4
+    };
   }
-});
+  return {
+    title: 'The Little Lantern',
+    story: 'A curious child finds a lantern that glows brighter with every kind deed. Together they light the way home for a lost kitten and learn that small kindnesses shine the brightest.',
+    numImages: 4
+  };
+}
 
-app.post('/api/generate', async (req, res) => {
-  const jobId = Date.now().toString(36) + Math.random().toString(36).substr(2);
-  
-  try{
-    const { title, story, numImages, artStyle, characters } = req.body || {};
-    log('debug', 'Request payload', { title, story, numImages, artStyle, characterCount: characters?.length });
-    
-    if(!title || !numImages || !Array.isArray(characters)){
-      log('error', 'Missing required fields', { hasTitle: !!title, hasNumImages: !!numImages, hasCharacters: Array.isArray(characters) });
-      return res.status(400).json({error:'Missing required fields: title, numImages, characters[]'});
+// Canned page text for offline runs in right-to-left books
+const MOCK_HEBREW_LINES = [
+  'התעורר לבוקר בהיר ושמשי.',
+  'מצא משהו מפתיע בגינה.',
+  'ביקש מחבר לעזור לפתור את התעלומה, ספר 1 ו-2.',
+  'הלך בעקבות הרמזים עד לפארק.',
+  'למד ששיתוף הופך הכל לטוב יותר.'
+];
+
+function mockPlan({ title = 'Untitled Book', pageCount = 6, characters = [], author = '', language = 'en' } = {}) {
+  const cast = characters.length > 0 ? characters : ['Our hero'];
+  const lines = [
+    'woke up to a bright and sunny morning.',
+    'found something surprising in the garden.',
+    'asked a friend to help solve the mystery.',
+    'followed the clues all the way to the park.',
+    'learned that sharing makes everything better.',
+    'laughed so hard the birds joined in.',
+    'made a brave choice when it mattered most.',
+    'came home tired, happy and full of stories.'
+  ];
+  const hebrew = language === 'he';
+  const pageText = (hero, i) => hebrew
+    ? `${hero} ${MOCK_HEBREW_LINES[(i - 1) % MOCK_HEBREW_LINES.length]}`
+    : `${hero} ${lines[(i - 1) % lines.length]}`;
+  const images = Array.from({ length: pageCount }, (_, i) => {
+    const hero = cast[i % cast.length];
+    if (i === 0) {
+      return { page: 1, role: 'cover', title: 'Front cover', description: `${hero} smiling in front of a colourful backdrop`, characters: [hero], environment: 'storybook landscape', lighting: 'bright morning light', palette: 'warm yellows and sky blue', text: title };
+    }
+    if (i === pageCount - 1) {
+      return { page: pageCount, role: 'back', title: 'Back cover', description: 'A quiet closing scene with soft colours', characters: [], environment: 'storybook landscape at dusk', lighting: 'soft dusk glow', palette: 'lavender and peach', text: hebrew ? `הצטרפו אל ${cast.join(' ו')} להרפתקה עדינה בספר "${title}".` : `Join ${cast.join(' and ')} on a gentle adventure in "${title}".` };
+    }
+    return {
+      page: i + 1,
+      role: 'story',
+      title: `Scene ${i}`,
+      description: `${hero} ${lines[(i - 1) % lines.length]}`,
+      characters: [hero],
+      environment: ['garden', 'park', 'kitchen', 'forest path'][(i - 1) % 4],
+      lighting: 'warm daylight',
+      palette: 'warm yellows and leaf green',
+      text: pageText(hero, i)
+    };
+  });
+  return { title, author: author || 'Written by the Book Maker', images };
+}
+
+function mockCharacterBible({ name = 'Character', hash = '' } = {}) {
+  const pick = (options, offset) => options[hashToInt(hash || name, offset) % options.length];
+  return {
+    apparentAge: pick(['about 4', 'about 6', 'about 8', 'adult'], 0),
+    build: pick(['slight', 'average', 'sturdy'], 4),
+    hair: pick(['short curly brown hair', 'long straight black hair', 'wavy red hair in a ponytail', 'cropped blond hair'], 8),
+    skinTone: pick(['light', 'olive', 'medium brown', 'deep brown'], 12),
+    eyes: pick(['brown', 'green', 'blue', 'hazel'], 16),
+    clothing: pick(['yellow raincoat and blue jeans', 'striped t-shirt and shorts', 'green hoodie and sneakers'], 20),
+    palette: ['sunflower yellow', 'sky blue', 'leaf green'],
+    distinguishingFeatures: [pick(['freckles', 'round glasses', 'a gap-toothed smile', 'a star-shaped hair clip'], 24)]
+  };
+}
+
+// Hebrew editions get the canned Hebrew lines, other languages are tagged so they stand out
+function mockTranslation({ title = '', author = '', pages = [], language = 'en', characters = [] } = {}) {
+  const hero = characters[0] || 'Our hero';
+  const hebrew = language === 'he';
+  const bookTitle = hebrew ? 'הפנס הקטן' : `[${language}] ${title}`;
+  const translate = (page, i) => {
+    if (!page.text) return '';
+    if (page.role === 'cover') return bookTitle;
+    return hebrew ? `${hero} ${MOCK_HEBREW_LINES[(i - 1) % MOCK_HEBREW_LINES.length]}` : `[${language}] ${page.text}`;
+  };
+  return {
+    title: bookTitle,
+    author: author && (hebrew ? `מאת ${hero}` : `[${language}] ${author}`),
+    pages: pages.map((page, i) => ({
+      page: page.page,
+      title: page.title && (hebrew ? `עמוד ${page.page}` : `[${language}] ${page.title}`),
+      text: translate(page, i)
+    }))
+  };
+}
+
+function mockVolumeSummary({ title = 'Untitled Book', pages = [], environments = [] } = {}) {
+  return {
+    summary: `In "${title}", ${pages.slice(1, 3).join(' ') || 'our hero had an adventure'}`,
+    recurring: [...new Set(environments.filter(Boolean))].slice(0, 3)
+  };
+}
+
+// Items containing "[unsafe]" are reported, so the model checker can be exercised offline
+function mockModeration({ items = [] } = {}) {
+  return {
+    findings: items.filter(item => String(item.text).includes('[unsafe]'))
+      .map(item => ({ where: item.where, category: 'test', severity: 'high', reason: 'marked [unsafe]' }))
+  };
+}
+
+const mockResponses = {
+  'story-idea': context => mockStoryIdea(context),
+  'character-analysis': context => mockCharacterBible(context),
+  'plan': context => mockPlan(context),
+  'plan-repair': context => mockPlan(context),
+  'translate': context => mockTranslation(context),
+  'translate-repair': context => mockTranslation(context),
+  'volume-summary': context => mockVolumeSummary(context),
+  'moderation': context => mockModeration(context),
+  'image-moderation': () => ({ findings: [] })
+};
+
+async function drawMockImage(prompt, size = '1024x1024', references = []) {
+  const [w, h] = size.split('x').map(n => parseInt(n, 10));
+  const top = (hashToInt(prompt, 0) | 0xff) >>> 0;
+  const bottom = (hashToInt(prompt, 4) | 0xff) >>> 0;
+  const img = new Jimp(w, h, top);
+  const from = Jimp.intToRGBA(top), to = Jimp.intToRGBA(bottom);
+
+  // Vertical gradient, a ground band and a "sun" so pages are told apart at a glance
+  img.scan(0, 0, w, h, function(x, y, idx) {
+    const t = y / h;
+    this.bitmap.data[idx] = Math.round(from.r + (to.r - from.r) * t);
+    this.bitmap.data[idx + 1] = Math.round(from.g + (to.g - from.g) * t);
+    this.bitmap.data[idx + 2] = Math.round(from.b + (to.b - from.b) * t);
+    this.bitmap.data[idx + 3] = 255;
+  });
+  const ground = new Jimp(w, Math.round(h / 4), ((hashToInt(prompt, 8) & 0xffffff00) | 0xff) >>> 0);
+  img.composite(ground, 0, h - ground.bitmap.height);
+  const r = Math.round(Math.min(w, h) / 10);
+  const cx = r + (hashToInt(prompt, 12) % (w - 2 * r)), cy = r * 2;
+  img.scan(cx - r, cy - r, r * 2, r * 2, function(x, y, idx) {
+    if ((x - cx) ** 2 + (y - cy) ** 2 <= r * r) {
+      this.bitmap.data.writeUInt32BE(0xffd34eff, idx);
+    }
+  });
+
+  // Stamp the references in a corner so reference-conditioned pages are recognisable
+  let x = w;
+  for (const ref of references.slice(0, 4)) {
+    const thumb = (await Jimp.read(ref)).contain(Math.round(w / 6), Math.round(h / 6));
+    x -= thumb.bitmap.width + 10;
+    img.composite(thumb, x, h - thumb.bitmap.height - 10);
+  }
+
+  const font = await Jimp.loadFont(Jimp.FONT_SANS_32_BLACK);
+  const caption = prompt.split('\n')[0].substring(0, 120);
+  img.print(font, 40, h / 2 - 40, { text: caption, alignmentX: Jimp.HORIZONTAL_ALIGN_CENTER }, w - 80);
+  return await img.getBufferAsync(Jimp.MIME_PNG);
+}
+
+// A soft beep per word with short gaps, so narration timing roughly follows the text
+function makeToneWAV(text, sampleRate = 22050) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const wordSec = 0.3;
+  const gapSec = 0.12;
+  const leadSec = 0.2;
+  const samples = Math.ceil((leadSec * 2 + words.length * (wordSec + gapSec)) * sampleRate);
+  const data = Buffer.alloc(samples * 2);
+  const frequency = 330 + (hashToInt(text) % 220);
+  const wordSamples = Math.floor(wordSec * sampleRate);
+  words.forEach((_, w) => {
+    const start = Math.floor((leadSec + w * (wordSec + gapSec)) * sampleRate);
+    for (let i = 0; i < wordSamples; i++) {
+      const envelope = Math.sin(Math.PI * i / wordSamples); // fade in/out so words don't click
+      data.writeInt16LE(Math.round(Math.sin(2 * Math.PI * frequency * i / sampleRate) * envelope * 4000), (start + i) * 2);
+    }
+  });
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);             // PCM fmt chunk size
+  header.writeUInt16LE(1, 20);              // PCM
+  header.writeUInt16LE(1, 22);              // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // byte rate
+  header.writeUInt16LE(2, 32);              // block align
+  header.writeUInt16LE(16, 34);             // bits per sample
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+    capabilities: { referenceImages: true },
+    async chat(messages, options = {}) {
+      if (MOCK_LATENCY_MS) await sleep(MOCK_LATENCY_MS, currentSignal());
+      const respond = mockResponses[options.task];
+      if (!respond) {
+        throw new Error(`Mock provider has no canned response for task "${options.task}"`);
+      }
+      log('info', 'Mock chat response', { task: options.task });
+      const response = JSON.stringify(respond(options.context || {}));
+      recordUsage({ kind: 'chat', model: options.model || OPENAI_CHAT_MODEL, inputTokens: estimateTokens(messages), outputTokens: estimateTokens(response), estimated: true });
+      return response;
+    },
+    async image(prompt, options = {}) {
+      if (MOCK_LATENCY_MS) await sleep(MOCK_LATENCY_MS, currentSignal());
+      log('info', 'Mock image generation', { size: options.size || '1024x1024', references: options.references?.length || 0, promptPreview: prompt.substring(0, 60) });
+      const image = await drawMockImage(prompt, options.size, options.references);
+      recordUsage(options.references?.length > 0
+        ? { kind: 'image', model: OPENAI_IMAGE_EDIT_MODEL, size: options.size || '1024x1024', quality: 'auto', images: 1, references: options.references.length, estimated: true }
+        : { kind: 'image', model: OPENAI_IMAGE_MODEL, size: options.size || '1024x1024', quality: OPENAI_IMAGE_MODEL.startsWith('dall-e') ? 'standard' : 'auto', images: 1, estimated: true });
+      return image;
+    },
+    async speech(text, options = {}) {
+      if (MOCK_LATENCY_MS) await sleep(MOCK_LATENCY_MS, currentSignal());
+      log('info', 'Mock speech synthesis', { textLength: text.length, voice: options.voice || 'default' });
+      recordUsage({ kind: 'speech', model: OPENAI_TTS_MODEL, characters: text.length, estimated: true });
+      return { audio: makeToneWAV(text), format: 'wav' };
+    }
+  };
+}
+
+const providerFactories = {
+  openai: createOpenAIProvider,
+  mock: createMockProvider
+};
+
+const AI_PROVIDER = process.env.AI_PROVIDER || 'openai';
+if (!providerFactories[AI_PROVIDER]) {
+  throw new Error(`Unknown AI_PROVIDER "${AI_PROVIDER}" (expected one of: ${Object.keys(providerFactories).join(', ')})`);
+}
+const ai = meteredProvider(scheduledProvider(providerFactories[AI_PROVIDER]()));
+log('info', `AI provider: ${ai.name}`);
+
+// Narration can use a different backend, e.g. real images with offline speech
+const TTS_PROVIDER = process.env.TTS_PROVIDER || AI_PROVIDER;
+if (!providerFactories[TTS_PROVIDER]) {
+  throw new Error(`Unknown TTS_PROVIDER "${TTS_PROVIDER}" (expected one of: ${Object.keys(providerFactories).join(', ')})`);
+}
+const tts = TTS_PROVIDER === AI_PROVIDER ? ai : meteredProvider(scheduledProvider(providerFactories[TTS_PROVIDER]()));
+if (tts !== ai) log('info', `TTS provider: ${tts.name}`);
+
+// ---- Usage Metering ----
+// Every model call records what it used (tokens, images, characters of speech)
+// and what that cost. The call is charged to the job and account found in
+// usageScope, so helpers deep in the pipeline need no jobId: API requests enter
+// the scope of their account, and job runners enter the scope of their job.
+const usageScope = new AsyncLocalStorage();
+
+// USD. Token prices are per 1M tokens, speech per 1M characters, perImage by "quality/size"
+const MODEL_PRICES = {
+  'gpt-5-nano': { input: 0.05, output: 0.40 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'dall-e-3': { perImage: { 'standard/1024x1024': 0.04, 'standard/1024x1792': 0.08, 'standard/1792x1024': 0.08, 'hd/1024x1024': 0.08, 'hd/1024x1792': 0.12, 'hd/1792x1024': 0.12 } },
+  'gpt-image-1': {
+    input: 5.00, imageInput: 10.00, output: 40.00,
+    perImage: { 'low/1024x1024': 0.011, 'medium/1024x1024': 0.042, 'high/1024x1024': 0.167, 'low/1024x1536': 0.016, 'medium/1024x1536': 0.063, 'high/1024x1536': 0.25 }
+  },
+  'tts-1': { perMillionCharacters: 15.00 },
+  'tts-1-hd': { perMillionCharacters: 30.00 }
+};
+
+// MODEL_PRICES='{"gpt-5-nano":{"input":0.05,"output":0.4}}' adds models or replaces prices
+try {
+  for (const [model, price] of Object.entries(JSON.parse(process.env.MODEL_PRICES || '{}'))) {
+    MODEL_PRICES[model] = { ...MODEL_PRICES[model], ...price };
+  }
+} catch (error) {
+  log('error', 'MODEL_PRICES ignored', { error: error.message });
+}
+
+// Returns null for models without a price, which are recorded at no cost and marked unpriced
+function priceUsage({ kind, model, inputTokens = 0, imageInputTokens = 0, outputTokens = 0, images = 0, size, quality, characters = 0 }) {
+  const price = MODEL_PRICES[model];
+  if (!price) return null;
+  if (kind === 'chat') return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+  if (kind === 'image') {
+    // gpt-image models report their token usage; DALL-E is billed per image
+    if (outputTokens && price.output) {
+      return (inputTokens * price.input + imageInputTokens * (price.imageInput ?? price.input) + outputTokens * price.output) / 1e6;
+    }
+    // "auto" quality is billed like high
+    const perImage = price.perImage?.[`${quality === 'auto' ? 'high' : quality}/${size}`];
+    return perImage === undefined ? null : perImage * images;
+  }
+  if (kind === 'speech') return price.perMillionCharacters === undefined ? null : characters * price.perMillionCharacters / 1e6;
+  return null;
+}
+
+function roundUSD(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
+
+function emptyUsage() {
+  return { cost: 0, inputTokens: 0, outputTokens: 0, images: 0, speechCharacters: 0, calls: [] };
+}
+
+function recordUsage(entry) {
+  const scope = usageScope.getStore() || {};
+  const price = priceUsage(entry);
+  const record = { ...entry, ...(scope.task && { task: scope.task }), cost: roundUSD(price || 0), ...(price === null && { unpriced: true }), at: new Date().toISOString() };
+  log(price === null ? 'warn' : 'debug', price === null ? `No price for model "${entry.model}", usage recorded at no cost` : 'Model usage', { jobId: scope.jobId, ...record });
+  if (scope.callStartedAt) recordTiming(callTimingKey(scope.callProvider, record), Date.now() - scope.callStartedAt);
+
+  const job = scope.jobId ? getJob(scope.jobId) : null;
+  if (job) {
+    const usage = job.usage || emptyUsage();
+    job.usage = {
+      cost: roundUSD(usage.cost + record.cost),
+      inputTokens: usage.inputTokens + (record.inputTokens || 0) + (record.imageInputTokens || 0),
+      outputTokens: usage.outputTokens + (record.outputTokens || 0),
+      images: usage.images + (record.images || 0),
+      speechCharacters: usage.speechCharacters + (record.characters || 0),
+      calls: [...usage.calls, record]
+    };
+    saveJob(job);
+  }
+  if (scope.accountId) addAccountSpend(scope.accountId, scope.jobId, record);
+}
+
+// Every call checks the account's budget first and runs in a scope that names its task
+function meteredProvider(provider) {
+  const metered = method => async (input, options = {}) => {
+    const scope = usageScope.getStore() || {};
+    assertWithinBudget(scope.accountId);
+    return usageScope.run({ ...scope, task: options.task || method }, () => provider[method](input, options));
+  };
+  return { ...provider, chat: metered('chat'), image: metered('image'), speech: metered('speech') };
+}
+
+// Work for a job runs in its scope: calls are charged to the job and the account
+// that started it, scheduled at the job's priority and aborted with the job
+function meterJob(jobId, run, { signal, priority } = {}) {
+  const job = getJob(jobId);
+  return usageScope.run({ jobId, accountId: job?.accountId || null, priority: priority || job?.priority || 'normal', signal }, run);
+}
+
+// Rough token count for offline providers: about four characters per token
+function estimateTokens(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return Math.ceil(text.length / 4);
+}
+
+// Someone is waiting on calls made while answering a request, so they go first
+app.use('/api', (req, res, next) => usageScope.run({ accountId: accountFor(req)?.id || null, priority: 'high' }, next));
+
+// ---- Storage ----
+// Outputs and run artifacts are written through a storage driver (local disk,
+// S3-compatible or Firebase) and handed out as signed URLs that expire after
+// STORAGE_URL_TTL_SECONDS. Stored files keep their object key, so reading a job
+// re-signs its links instead of serving expired ones.
+const STORAGE_URL_TTL_SECONDS = parseInt(process.env.STORAGE_URL_TTL_SECONDS || '3600', 10);
+const STORAGE_SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Object keys are '/'-separated; empty, '.' and '..' segments are refused so a key never leaves its root
+function safeStorageKey(key) {
+  const parts = String(key).split('/');
+  if (parts.some(part => !part || part === '.' || part === '..' || part.includes('\\'))) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return parts.join('/');
+}
+
+function contentDisposition(filename) {
+  return `inline; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+function localFileSignature(key, expires) {
+  return crypto.createHmac('sha256', STORAGE_SIGNING_SECRET).update(`${key}\n${expires}`).digest('hex');
+}
+
+// Files on this server's disk, served by GET /api/files/<key> with an HMAC signature
+function createLocalStorage(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fileFor = key => path.join(dir, ...safeStorageKey(key).split('/'));
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const file = fileFor(key);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      writeCheckpoint(path.dirname(file), path.basename(file), buffer);
+    },
+    async signedUrl(key, { expiresIn, filename }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encodedKey = safeStorageKey(key).split('/').map(encodeURIComponent).join('/');
+      const name = filename ? `&name=${encodeURIComponent(filename)}` : '';
+      return `/api/files/${encodedKey}?expires=${expires}&signature=${localFileSignature(key, expires)}${name}`;
+    },
+    path: fileFor
+  };
+}
+
+// RFC 3986 encoding as SigV4 expects it (encodeURIComponent leaves !'()* alone)
+function awsEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmacSHA256(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// AWS Signature Version 4: canonical request -> string to sign -> signature.
+// `path` is the already-encoded object path; `query` holds decoded [name, value] pairs.
+function sigV4Signature({ method, path: canonicalPath, query = [], headers, payloadHash, amzDate, region, secretAccessKey, service = 's3' }) {
+  const canonicalQuery = query
+    .map(([name, value]) => [awsEncode(name), awsEncode(value)])
+    .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+  const normalized = Object.fromEntries(Object.entries(headers)
+    .map(([name, value]) => [name.toLowerCase(), String(value).trim().replace(/\s+/g, ' ')]));
+  const signedHeaders = Object.keys(normalized).sort();
+  const canonicalRequest = [
+    method,
+    canonicalPath,
+    canonicalQuery,
+    signedHeaders.map(name => `${name}:${normalized[name]}\n`).join(''),
+    signedHeaders.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const scope = `${amzDate.slice(0, 8)}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+  const signingKey = [amzDate.slice(0, 8), region, service, 'aws4_request']
+    .reduce((key, part) => hmacSHA256(key, part), `AWS4${secretAccessKey}`);
+  return {
+    signature: hmacSHA256(signingKey, stringToSign).toString('hex'),
+    signedHeaders: signedHeaders.join(';'),
+    canonicalQuery,
+    scope
+  };
+}
+
+function amzDateNow() {
+  return new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Any S3-compatible service (AWS, MinIO, R2, ...). Endpoints other than AWS usually need path-style URLs.
+function createS3Storage({ bucket: s3Bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+  if (!s3Bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const basePath = base.pathname.replace(/\/$/, '');
+  const objectLocation = key => {
+    const encodedKey = safeStorageKey(key).split('/').map(awsEncode).join('/');
+    return forcePathStyle
+      ? { origin: base.origin, host: base.host, path: `${basePath}/${s3Bucket}/${encodedKey}` }
+      : { origin: `${base.protocol}//${s3Bucket}.${base.host}`, host: `${s3Bucket}.${base.host}`, path: `${basePath}/${encodedKey}` };
+  };
+
+  return {
+    name: 's3',
+    async put(key, buffer, contentType) {
+      const { origin, host, path: objectPath } = objectLocation(key);
+      const amzDate = amzDateNow();
+      const payloadHash = sha256Hex(buffer);
+      const headers = { 'content-type': contentType, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+      const { signature, signedHeaders, scope } = sigV4Signature({ method: 'PUT', path: objectPath, headers: { host, ...headers }, payloadHash, amzDate, region, secretAccessKey });
+      const response = await fetch(`${origin}${objectPath}`, {
+        method: 'PUT',
+        headers: {
+          ...headers,
+          authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        },
+        body: buffer
+      });
+      if (!response.ok) {
+        throw new Error(`S3 upload failed with ${response.status}: ${(await response.text()).substring(0, 300)}`);
+      }
+    },
+    async signedUrl(key, { expiresIn, filename }) {
+      const { origin, host, path: objectPath } = objectLocation(key);
+      const amzDate = amzDateNow();
+      const query = [
+        ['X-Amz-Algorithm', 'AWS4-HMAC-SHA256'],
+        ['X-Amz-Credential', `${accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`],
+        ['X-Amz-Date', amzDate],
+        ['X-Amz-Expires', String(Math.min(expiresIn, 7 * 24 * 60 * 60))],
+        ['X-Amz-SignedHeaders', 'host'],
+        ...(filename ? [['response-content-disposition', contentDisposition(filename)]] : [])
+      ];
+      const { signature, canonicalQuery } = sigV4Signature({ method: 'GET', path: objectPath, query, headers: { host }, payloadHash: 'UNSIGNED-PAYLOAD', amzDate, region, secretAccessKey });
+      return `${origin}${objectPath}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+    }
+  };
+}
+
+// Objects stay private; readers get V4 signed URLs
+function createFirebaseStorage(firebaseBucket) {
+  return {
+    name: 'firebase',
+    async put(key, buffer, contentType) {
+      await firebaseBucket.file(safeStorageKey(key)).save(buffer, { metadata: { contentType } });
+    },
+    async signedUrl(key, { expiresIn, filename }) {
+      const [url] = await firebaseBucket.file(safeStorageKey(key)).getSignedUrl({
+        version: 'v4',
+        action: 'read',
+        expires: Date.now() + expiresIn * 1000,
+        ...(filename && { responseDisposition: contentDisposition(filename) })
+      });
+      return url;
+    }
+  };
+}
+
+const storageFactories = {
+  local: () => createLocalStorage(process.env.STORAGE_DIR || path.join('/tmp', 'book-maker-storage')),
+  s3: () => createS3Storage({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+    forcePathStyle: (process.env.S3_FORCE_PATH_STYLE || (process.env.S3_ENDPOINT ? 'true' : 'false')) === 'true'
+  }),
+  firebase: () => {
+    if (!bucket) throw new Error('Firebase storage needs FIREBASE_SERVICE_ACCOUNT and FIREBASE_STORAGE_BUCKET');
+    return createFirebaseStorage(bucket);
+  }
+};
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (bucket ? 'firebase' : 'local');
+if (!storageFactories[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" (expected one of: ${Object.keys(storageFactories).join(', ')})`);
+}
+const storage = storageFactories[STORAGE_DRIVER]();
+// Uploads that a remote driver rejects land on local disk instead of failing the book
+const storageDrivers = { [storage.name]: storage };
+function storageDriver(name) {
+  if (!storageDrivers[name] && name === 'local') storageDrivers.local = storageFactories.local();
+  return storageDrivers[name] || null;
+}
+log('info', `Storage driver: ${storage.name}`);
+if (!process.env.STORAGE_SIGNING_SECRET && storage.name === 'local') {
+  log('warn', 'STORAGE_SIGNING_SECRET not set, file links will stop working when the server restarts');
+}
+
+async function signStoredFile(file) {
+  const driver = file?.key ? storageDriver(file.driver) : null;
+  if (!driver) return file;
+  return {
+    ...file,
+    url: await driver.signedUrl(file.key, { expiresIn: STORAGE_URL_TTL_SECONDS, filename: file.filename }),
+    expiresAt: new Date(Date.now() + STORAGE_URL_TTL_SECONDS * 1000).toISOString()
+  };
+}
+
+// Fresh links for every stored file in a job result (outputs and run artifacts)
+async function signResult(result) {
+  if (!result) return result;
+  const signed = { ...result };
+  for (const kind of ['pdf', 'epub', 'cover', 'audio']) {
+    if (result[kind]) signed[kind] = await signStoredFile(result[kind]);
+  }
+  if (result.artifacts) {
+    signed.artifacts = {
+      ...result.artifacts,
+      plan: await signStoredFile(result.artifacts.plan),
+      characterBoard: await signStoredFile(result.artifacts.characterBoard),
+      images: await Promise.all((result.artifacts.images || []).map(signStoredFile))
+    };
+  }
+  return signed;
+}
+
+// Store a buffer under `key` and describe it with a signed link
+async function uploadToStorage(buffer, key, contentType = 'application/pdf') {
+  const filename = path.basename(key);
+  let driver = storage;
+  try {
+    await driver.put(key, buffer, contentType);
+  } catch (error) {
+    if (driver.name === 'local') throw error;
+    log('error', `Failed to upload to ${driver.name} storage, keeping the file on local disk`, { key, error: error.message });
+    driver = storageDriver('local');
+    await driver.put(key, buffer, contentType);
+  }
+  log('info', 'File stored', { key, driver: driver.name, size: buffer.length });
+  return signStoredFile({ type: 'url', key, driver: driver.name, filename, contentType, size: buffer.length });
+}
+
+// Everything a run produced lives under runs/<runId>/ in storage
+function runStorageKey(outDir, name) {
+  return `runs/${path.basename(outDir)}/${name}`;
+}
+
+app.get('/api/files/*', (req, res) => {
+  const local = storageDriver('local');
+  const key = req.params[0];
+  const expires = parseInt(req.query.expires, 10);
+  const expected = Buffer.from(localFileSignature(key, expires));
+  const given = Buffer.from(String(req.query.signature || ''));
+  if (!local || !Number.isInteger(expires) || given.length !== expected.length || !crypto.timingSafeEqual(expected, given)) {
+    return res.status(403).json({ error: 'Invalid file link' });
+  }
+  if (expires < Date.now() / 1000) {
+    return res.status(410).json({ error: 'This file link has expired, reload the book to get a new one' });
+  }
+  let file;
+  try {
+    file = local.path(key);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!fs.existsSync(file)) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  if (req.query.name) res.set('Content-Disposition', contentDisposition(String(req.query.name)));
+  res.sendFile(path.resolve(file));
+});
+
+// ---- Utility ----
+// Book languages: `name` goes into the planning prompt, `dir` drives text layout
+// and page order, `by` introduces the author when the cover is read aloud.
+const BOOK_LANGUAGES = {
+  en: { name: 'English', dir: 'ltr', by: 'by' },
+  he: { name: 'Hebrew', dir: 'rtl', by: 'מאת' },
+  es: { name: 'Spanish', dir: 'ltr', by: 'por' },
+  fr: { name: 'French', dir: 'ltr', by: 'par' },
+  de: { name: 'German', dir: 'ltr', by: 'von' }
+};
+const DEFAULT_LANGUAGE = 'en';
+
+function bookLanguage(input = {}) {
+  return BOOK_LANGUAGES[input.language] ? input.language : DEFAULT_LANGUAGE;
+}
+
+function languageDirection(language) {
+  return (BOOK_LANGUAGES[language] || BOOK_LANGUAGES[DEFAULT_LANGUAGE]).dir;
+}
+
+// Parse a model's JSON answer, tolerating prose or code fences around the object
+function parseJSONResponse(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const match = text.match(/\{[\s\S]*\}/);
+    if (!match) throw new Error('No JSON object found in model response');
+    return JSON.parse(match[0]);
+  }
+}
+
+async function makeCharacterBoard(imagesB64){
+  if(!imagesB64 || imagesB64.length===0) return null;
+  const imgs = [];
+  for(const b64 of imagesB64){
+    try{
+      const img = await Jimp.read(Buffer.from((b64.split(',')[1]||b64), 'base64'));
+      imgs.push(img.cover(400, 400));
+    }catch(e){ /* skip */ }
+  }
+  if(imgs.length===0) return null;
+  const cols = Math.min(3, imgs.length);
+  const rows = Math.ceil(imgs.length/cols);
+  const cell = 420, pad = 10;
+  const w = cols*cell + (cols+1)*pad;
+  const h = rows*cell + (rows+1)*pad;
+  const board = new Jimp(w, h, 0xffffffff);
+  imgs.forEach((im, i)=>{
+    const r = Math.floor(i/cols), c = i%cols;
+    const x = pad + c*(cell+pad), y = pad + r*(cell+pad);
+    board.composite(im, x, y);
+  });
+  return await board.getBufferAsync(Jimp.MIME_PNG);
+}
+
+// ---- PDF Builder ----
+const POINTS_PER_INCH = 72;
+const TEXT_LAYOUTS = ['below', 'overlay', 'facing'];
+const INK = '#1a1a1a';
+
+// Output profiles. 'screen' is the A4 reading copy with the covers inline; the
+// others are print-on-demand trim sizes (inches) that get bleed on every edge,
+// an interior without covers and a separate wraparound cover PDF.
+const PRINT_PROFILES = {
+  screen: { label: 'A4 (screen)', width: 595.28 / POINTS_PER_INCH, height: 841.89 / POINTS_PER_INCH, bleed: 0, safeMargin: 40 / POINTS_PER_INCH, print: false },
+  'square-8': { label: '8 × 8 in square', width: 8, height: 8, bleed: 0.125, safeMargin: 0.5, print: true },
+  'letter-8.5x11': { label: '8.5 × 11 in portrait', width: 8.5, height: 11, bleed: 0.125, safeMargin: 0.5, print: true },
+  'landscape-10x8': { label: '10 × 8 in landscape', width: 10, height: 8, bleed: 0.125, safeMargin: 0.5, print: true }
+};
+const DEFAULT_PRINT_PROFILE = 'screen';
+// Interior paper thickness used to size the spine (white 60# stock), and the
+// narrowest spine that still gets a printed title
+const PAGE_THICKNESS_IN = 0.002252;
+const MIN_SPINE_TEXT_IN = 0.25;
+const CROP_MARK_LENGTH = 12;
+const CROP_MARK_OFFSET = 6;
+
+function pickPrintOptions(body = {}, defaults = {}) {
+  return {
+    printProfile: PRINT_PROFILES[body.printProfile] ? body.printProfile : (defaults.printProfile || DEFAULT_PRINT_PROFILE),
+    spreads: body.spreads === undefined ? !!defaults.spreads : !!body.spreads,
+    cropMarks: body.cropMarks === undefined ? !!defaults.cropMarks : !!body.cropMarks
+  };
+}
+
+// Page boxes in points: media size, trim, bleed and the safe area for text.
+// Crop marks need a slug outside the bleed, so they enlarge the media box.
+function pageGeometry({ width, height, bleed, safeMargin }, { cropMarks = false } = {}) {
+  const bleedPt = bleed * POINTS_PER_INCH;
+  const slug = cropMarks ? CROP_MARK_OFFSET + CROP_MARK_LENGTH : 0;
+  const trim = { x: bleedPt + slug, y: bleedPt + slug, w: width * POINTS_PER_INCH, h: height * POINTS_PER_INCH };
+  return {
+    size: [trim.w + (bleedPt + slug) * 2, trim.h + (bleedPt + slug) * 2],
+    trim,
+    bleed: { x: trim.x - bleedPt, y: trim.y - bleedPt, w: trim.w + bleedPt * 2, h: trim.h + bleedPt * 2 },
+    safe: insetBox(trim, safeMargin * POINTS_PER_INCH),
+    margin: safeMargin * POINTS_PER_INCH,
+    cropMarks
+  };
+}
+
+function insetBox(box, by) {
+  return { x: box.x + by, y: box.y + by, w: box.w - by * 2, h: box.h - by * 2 };
+}
+
+// PDF boxes use bottom-up coordinates; our boxes are centred on the media so they mirror exactly
+function pdfBox(box) {
+  return [box.x, box.y, box.x + box.w, box.y + box.h];
+}
+
+function startPage(doc, geo, foldXs = []) {
+  doc.addPage({ size: geo.size, margin: 0 });
+  doc.page.dictionary.data.TrimBox = pdfBox(geo.trim);
+  doc.page.dictionary.data.BleedBox = pdfBox(geo.bleed);
+  if (geo.cropMarks) drawCropMarks(doc, geo, foldXs);
+}
+
+// Hairlines in the slug at the trim edges (and spine folds on covers)
+function drawCropMarks(doc, geo, foldXs = []) {
+  const { trim } = geo;
+  const inset = trim.x - geo.bleed.x + CROP_MARK_OFFSET;
+  const top = trim.y - inset;
+  const bottom = trim.y + trim.h + inset;
+  const left = trim.x - inset;
+  const right = trim.x + trim.w + inset;
+  doc.save().lineWidth(0.25).strokeColor('#000000');
+  for (const x of [trim.x, trim.x + trim.w, ...foldXs]) {
+    doc.moveTo(x, top).lineTo(x, top - CROP_MARK_LENGTH).stroke();
+    doc.moveTo(x, bottom).lineTo(x, bottom + CROP_MARK_LENGTH).stroke();
+  }
+  for (const y of [trim.y, trim.y + trim.h]) {
+    doc.moveTo(left, y).lineTo(left - CROP_MARK_LENGTH, y).stroke();
+    doc.moveTo(right, y).lineTo(right + CROP_MARK_LENGTH, y).stroke();
+  }
+  doc.restore();
+}
+
+// Scale the image to cover box (cropping the overflow, never stretching) and clip to clipBox
+function drawImageCover(doc, imagePath, box, clipBox = box) {
+  doc.save();
+  doc.rect(clipBox.x, clipBox.y, clipBox.w, clipBox.h).clip();
+  doc.image(imagePath, box.x, box.y, { cover: [box.w, box.h], align: 'center', valign: 'center' });
+  doc.restore();
+}
+
+// The standard PDF fonts only cover WinAnsi (Latin-1 plus a few typographic
+// characters); text with anything else is set in the bundled DejaVu Sans.
+const UNICODE_FONTS = {
+  Helvetica: require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf'),
+  'Helvetica-Bold': require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf')
+};
+const NON_WINANSI = /[^\u0000-ÿŒœŠšŸŽžƒˆ˜–—‘-‚“-„†-•…‰‹›€™]/;
+const RTL_CHAR = /[\p{Script=Hebrew}\p{Script=Arabic}]/u;
+
+function useFont(doc, font, text) {
+  if (NON_WINANSI.test(text) && UNICODE_FONTS[font]) {
+    const name = `Unicode-${font}`;
+    doc.registerFont(name, UNICODE_FONTS[font]);
+    doc.font(name);
+  } else {
+    doc.font(font);
+  }
+}
+
+// Paragraph direction from the first strong character, like dir="auto" in HTML
+function textDirection(text) {
+  const strong = String(text).match(/\p{L}/u);
+  return strong && RTL_CHAR.test(strong[0]) ? 'rtl' : 'ltr';
+}
+
+// pdfkit has no bidi support: it wraps and places words left to right. fontkit
+// does reverse the glyphs of a Hebrew run, so right-to-left text is wrapped
+// here and each line's runs are placed from the right edge.
+function wrapWords(doc, text, width) {
+  const lines = [];
+  for (const paragraph of String(text).split('\n')) {
+    let line = [];
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      if (line.length > 0 && doc.widthOfString([...line, word].join(' ')) > width) {
+        lines.push(line);
+        line = [word];
+      } else {
+        line.push(word);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// Words with Latin letters or digits stay left-to-right inside an RTL line; neutral punctuation follows the paragraph
+function wordDirection(word) {
+  if (RTL_CHAR.test(word)) return 'rtl';
+  return /[\p{L}\p{N}]/u.test(word) ? 'ltr' : 'rtl';
+}
+
+function drawRTLLine(doc, words, rightX, y) {
+  const runs = [];
+  for (const word of words) {
+    const dir = wordDirection(word);
+    const last = runs[runs.length - 1];
+    if (last && last.dir === dir) last.words.push(word);
+    else runs.push({ dir, words: [word] });
+  }
+  const space = doc.widthOfString(' ');
+  let x = rightX;
+  for (const run of runs) {
+    // fontkit mirrors a whole Hebrew run, numbers included; pre-reverse them so they read correctly
+    const runText = RTL_CHAR.test(run.words.join(' '))
+      ? run.words.join(' ').replace(/\d+(?:[.,:]\d+)*/g, n => [...n].reverse().join(''))
+      : run.words.join(' ');
+    const w = doc.widthOfString(runText);
+    doc.text(runText, x - w, y, { lineBreak: false });
+    x -= w + space;
+  }
+}
+
+function textHeight(doc, text, width) {
+  if (textDirection(text) === 'rtl') {
+    return wrapWords(doc, text, width).length * doc.currentLineHeight(true);
+  }
+  return doc.heightOfString(text, { width, align: 'center' });
+}
+
+// Largest font size (down to minSize) at which text fits inside the box
+function fitFontSize(doc, text, width, height, maxSize, minSize = 10) {
+  let size = maxSize;
+  while (size > minSize) {
+    doc.fontSize(size);
+    if (textHeight(doc, text, width) <= height) break;
+    size -= 1;
+  }
+  return size;
+}
+
+function drawTextBlock(doc, text, box, { font = 'Helvetica', maxSize = 20, color = INK } = {}) {
+  if (!text) return;
+  useFont(doc, font, text);
+  const size = fitFontSize(doc, text, box.w, box.h, maxSize);
+  doc.fontSize(size);
+  const height = Math.min(textHeight(doc, text, box.w), box.h);
+  const y = box.y + (box.h - height) / 2;
+  doc.fillColor(color);
+  if (textDirection(text) === 'ltr') {
+    doc.text(text, box.x, y, { width: box.w, height: box.h, align: 'center', ellipsis: true });
+    return;
+  }
+  const lineHeight = doc.currentLineHeight(true);
+  const lines = wrapWords(doc, text, box.w).slice(0, Math.max(1, Math.floor(box.h / lineHeight)));
+  lines.forEach((words, i) => {
+    const lineWidth = doc.widthOfString(words.join(' '));
+    drawRTLLine(doc, words, box.x + (box.w + lineWidth) / 2, y + i * lineHeight);
+  });
+}
+
+// Translucent rounded panel with centred text, anchored to the top or bottom of the safe area
+function drawTextPanel(doc, text, area, { anchor = 'bottom', font = 'Helvetica', maxSize = 20 } = {}) {
+  if (!text) return;
+  const padding = 16;
+  useFont(doc, font, text);
+  const size = fitFontSize(doc, text, area.w - padding * 2, area.h / 3 - padding * 2, maxSize);
+  doc.fontSize(size);
+  const h = textHeight(doc, text, area.w - padding * 2) + padding * 2;
+  const y = anchor === 'top' ? area.y : area.y + area.h - h;
+
+  doc.save();
+  doc.fillOpacity(0.78).roundedRect(area.x, y, area.w, h, 12).fill('#ffffff');
+  doc.restore();
+  drawTextBlock(doc, text, { x: area.x + padding, y: y + padding, w: area.w - padding * 2, h: h - padding * 2 }, { font, maxSize: size });
+}
+
+function addImagePage(doc, geo, imagePath) {
+  startPage(doc, geo);
+  drawImageCover(doc, imagePath, geo.bleed);
+}
+
+function addCoverPage(doc, geo, page, { title, author }) {
+  addImagePage(doc, geo, page.imagePath);
+  if (page.role === 'cover') {
+    drawTextPanel(doc, title, geo.safe, { anchor: 'top', font: 'Helvetica-Bold', maxSize: 40 });
+    drawTextPanel(doc, author, geo.safe, { anchor: 'bottom', maxSize: 18 });
+  } else {
+    drawTextPanel(doc, page.text, geo.safe, { anchor: 'bottom', maxSize: 16 });
+  }
+}
+
+function addTitlePage(doc, geo, { title, author }) {
+  startPage(doc, geo);
+  const { safe } = geo;
+  drawTextBlock(doc, title, { x: safe.x, y: safe.y, w: safe.w, h: safe.h * 0.6 }, { font: 'Helvetica-Bold', maxSize: 40 });
+  drawTextBlock(doc, author, { x: safe.x, y: safe.y + safe.h * 0.6, w: safe.w, h: safe.h * 0.2 }, { maxSize: 18 });
+}
+
+function addStoryPage(doc, geo, page, textLayout) {
+  if (textLayout === 'facing') {
+    // Text on the left-hand page, illustration on the right
+    startPage(doc, geo);
+    drawTextBlock(doc, page.text, insetBox(geo.safe, geo.margin), { maxSize: 26 });
+    addImagePage(doc, geo, page.imagePath);
+    return;
+  }
+
+  if (textLayout === 'overlay') {
+    addImagePage(doc, geo, page.imagePath);
+    drawTextPanel(doc, page.text, geo.safe, { anchor: 'bottom' });
+    return;
+  }
+
+  // 'below': illustration bled off the top, text band underneath
+  const { trim, bleed, margin } = geo;
+  const imageHeight = Math.min(trim.w, trim.h * 0.72);
+  startPage(doc, geo);
+  drawImageCover(doc, page.imagePath, { x: bleed.x, y: bleed.y, w: bleed.w, h: trim.y - bleed.y + imageHeight });
+  drawTextBlock(doc, page.text, { x: geo.safe.x, y: trim.y + imageHeight + margin / 2, w: geo.safe.w, h: trim.h - imageHeight - margin }, { maxSize: 22 });
+}
+
+// One illustration across a facing pair; the text sits on the first page read.
+// Right-to-left books open on the right-hand page, so they start with the right half.
+function addSpread(doc, geo, page, direction = 'ltr') {
+  const { trim, bleed } = geo;
+  const bleedPt = trim.x - bleed.x;
+  const spreadW = trim.w * 2 + bleedPt * 2;
+  const leftHalf = { x: bleed.x, y: bleed.y, w: spreadW, h: bleed.h };
+  const rightHalf = { ...leftHalf, x: bleed.x - trim.w };
+  startPage(doc, geo);
+  drawImageCover(doc, page.imagePath, direction === 'rtl' ? rightHalf : leftHalf, bleed);
+  drawTextPanel(doc, page.text, geo.safe, { anchor: 'bottom' });
+  startPage(doc, geo);
+  drawImageCover(doc, page.imagePath, direction === 'rtl' ? leftHalf : rightHalf, bleed);
+}
+
+// Right-to-left books ask viewers to lay out pages right to left (binding on the right).
+// draw may be async; if it throws, the partial file is removed.
+async function writePDF(pdfPath, info, draw, { language = 'en' } = {}) {
+  const doc = new PDFDocument({ autoFirstPage: false, info, lang: language });
+  if (languageDirection(language) === 'rtl') {
+    doc._root.data.ViewerPreferences = doc.ref({ Direction: 'R2L' });
+  }
+  const stream = fs.createWriteStream(pdfPath);
+  const written = new Promise((resolve, reject) => {
+    stream.on('finish', resolve);
+    stream.on('error', reject);
+  });
+  doc.pipe(stream);
+  try {
+    await draw(doc);
+  } catch (error) {
+    doc.end();
+    await written.catch(() => {});
+    fs.rmSync(pdfPath, { force: true });
+    throw error;
+  }
+  doc.end();
+  await written;
+}
+
+// pages: [{ imagePath, text, role: 'cover' | 'story' | 'back' }] in reading order.
+// A page may also be a promise of one; pages are awaited in order, so the PDF is
+// written while later illustrations are still being drawn.
+// Print profiles leave the covers to buildCoverPDF, open on a title page and pad to
+// an even page count. Spreads start on an even page (the left-hand page, or the
+// right-hand one in right-to-left books) in both cases.
+// Returns the interior page count, which sizes the cover spine.
+async function buildBookPDF(pdfPath, { pages, title, author, language = 'en', textLayout = 'below', printProfile = DEFAULT_PRINT_PROFILE, spreads = false, cropMarks = false }) {
+  const profile = PRINT_PROFILES[printProfile] || PRINT_PROFILES[DEFAULT_PRINT_PROFILE];
+  const geo = pageGeometry(profile, { cropMarks });
+  const direction = languageDirection(language);
+  let pageCount = 0;
+
+  await writePDF(pdfPath, { Title: title || '', Author: author || '' }, async doc => {
+    doc.on('pageAdded', () => { pageCount += 1; });
+    if (profile.print) {
+      addTitlePage(doc, geo, { title, author });
+    }
+    for (const pending of pages) {
+      const page = await pending;
+      log('debug', `Adding page to PDF: ${path.basename(page.imagePath)}`, { role: page.role, textLayout, printProfile, spreads });
+      if (page.role === 'story') {
+        if (spreads) {
+          if (pageCount % 2 === 0) startPage(doc, geo);
+          addSpread(doc, geo, page, direction);
+        } else {
+          addStoryPage(doc, geo, page, textLayout);
+        }
+      } else if (!profile.print) {
+        addCoverPage(doc, geo, page, { title, author });
+      }
+    }
+    if (profile.print && pageCount % 2 === 1) {
+      startPage(doc, geo);
+    }
+  }, { language });
+  return pageCount;
+}
+
+async function averageColor(imagePath) {
+  const img = await Jimp.read(imagePath);
+  img.resize(1, 1);
+  const { r, g, b } = Jimp.intToRGBA(img.getPixelColor(0, 0));
+  return '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+}
+
+// Single-sheet wraparound cover, spine width from the interior page count:
+// back | spine | front, or front | spine | back for right-to-left books
+async function buildCoverPDF(pdfPath, { front, back, title, author, language = 'en', printProfile, pageCount, cropMarks = false }) {
+  const profile = PRINT_PROFILES[printProfile];
+  const spineIn = pageCount * PAGE_THICKNESS_IN;
+  const geo = pageGeometry({ ...profile, width: profile.width * 2 + spineIn }, { cropMarks });
+  const { trim, bleed, margin } = geo;
+  const panelW = profile.width * POINTS_PER_INCH;
+  const spineW = spineIn * POINTS_PER_INCH;
+  const spineX = trim.x + panelW;
+  const rtl = languageDirection(language) === 'rtl';
+  const backX = rtl ? spineX + spineW : trim.x;
+  const frontX = rtl ? trim.x : spineX + spineW;
+  // Panels on the outer edge extend into the bleed
+  const panelBox = x => x === trim.x
+    ? { x: bleed.x, y: bleed.y, w: spineX - bleed.x, h: bleed.h }
+    : { x, y: bleed.y, w: bleed.x + bleed.w - x, h: bleed.h };
+  const spineColor = await averageColor(front.imagePath);
+
+  await writePDF(pdfPath, { Title: title || '', Author: author || '' }, doc => {
+    startPage(doc, geo, [spineX, spineX + spineW]);
+
+    drawImageCover(doc, back.imagePath, panelBox(backX));
+    drawTextPanel(doc, back.text, insetBox({ x: backX, y: trim.y, w: panelW, h: trim.h }, margin), { anchor: 'bottom', maxSize: 16 });
+
+    doc.rect(spineX, bleed.y, spineW, bleed.h).fill(spineColor);
+    if (spineIn >= MIN_SPINE_TEXT_IN) {
+      // Spine text reads top to bottom, as on most English-language books
+      const spineText = [title, author].filter(Boolean).join('  ·  ');
+      const cx = spineX + spineW / 2;
+      const cy = trim.y + trim.h / 2;
+      doc.save().rotate(90, { origin: [cx, cy] });
+      drawTextBlock(doc, spineText, { x: cx - trim.h / 2 + margin, y: cy - spineW / 2 + 2, w: trim.h - margin * 2, h: spineW - 4 }, { font: 'Helvetica-Bold', maxSize: 14, color: '#ffffff' });
+      doc.restore();
+    }
+
+    drawImageCover(doc, front.imagePath, panelBox(frontX));
+    const frontSafe = insetBox({ x: frontX, y: trim.y, w: panelW, h: trim.h }, margin);
+    drawTextPanel(doc, title, frontSafe, { anchor: 'top', font: 'Helvetica-Bold', maxSize: 40 });
+    drawTextPanel(doc, author, frontSafe, { anchor: 'bottom', maxSize: 18 });
+  }, { language });
+  return { spineWidthIn: spineIn };
+}
+
+// ---- EPUB Export ----
+// EPUB 3 fixed layout: one pre-paginated XHTML page per illustration, sized to
+// the image, with the page text set over (or under) the picture. Narrated books
+// get SMIL media overlays that highlight each sentence while it is read.
+const EPUB_TEXT_BAND = 0.25; // 'below' layout: text band height as a share of the image height
+
+function xmlEscape(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+// Seconds -> SMIL clock value (h:mm:ss.fff)
+function smilClock(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor(seconds / 60) % 60;
+  const s = (seconds % 60).toFixed(3).padStart(6, '0');
+  return `${h}:${String(m).padStart(2, '0')}:${s}`;
+}
+
+// Each segment (sentence, or title/byline on the cover) is a span the overlay can highlight
+function epubPageXHTML({ title, language, num, imageFile, width, height, segments, role, layout }) {
+  const dir = languageDirection(language);
+  const viewportHeight = layout === 'below' && role === 'story' ? Math.round(height * (1 + EPUB_TEXT_BAND)) : height;
+  const span = (segment, k) => `<span id="seg-${num}-${k}">${xmlEscape(segment)}</span>`;
+  let textMarkup = '';
+  if (role === 'cover') {
+    textMarkup = `<h1 class="panel top">${span(segments[0], 0)}</h1>${segments[1] ? `<p class="panel bottom byline">${span(segments[1], 1)}</p>` : ''}`;
+  } else if (segments.length > 0) {
+    textMarkup = `<p class="${layout === 'below' && role === 'story' ? 'band' : 'panel bottom'}">${segments.map(span).join(' ')}</p>`;
+  }
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${xmlEscape(language)}" lang="${xmlEscape(language)}" dir="${dir}">
+<head>
+  <meta charset="UTF-8"/>
+  <meta name="viewport" content="width=${width}, height=${viewportHeight}"/>
+  <title>${xmlEscape(title)}</title>
+  <link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body style="width:${width}px; height:${viewportHeight}px;">
+  <section class="page" epub:type="${role === 'cover' ? 'cover' : 'bodymatter'}">
+    <img src="images/${imageFile}" alt="${xmlEscape(title)}" style="width:${width}px; height:${height}px;"/>
+    ${textMarkup}
+  </section>
+</body>
+</html>
+`;
+}
+
+const EPUB_CSS = `html, body { margin: 0; padding: 0; }
+.page { position: relative; width: 100%; height: 100%; overflow: hidden; background: #ffffff; }
+.page img { position: absolute; top: 0; left: 0; }
+.panel { position: absolute; left: 4%; right: 4%; margin: 0; padding: 18px 24px; border-radius: 16px;
+  background: rgba(255, 255, 255, 0.8); color: #1a1a1a; font-family: sans-serif; font-size: 34px; line-height: 1.35; text-align: center; }
+.panel.top { top: 4%; font-size: 56px; }
+.panel.bottom { bottom: 4%; }
+.byline { font-size: 30px; }
+.-epub-media-overlay-active { background-color: #ffe98a; border-radius: 6px; }
+.band { position: absolute; left: 5%; right: 5%; bottom: 0; height: 20%; margin: 0; display: flex; align-items: center; justify-content: center;
+  color: #1a1a1a; font-family: sans-serif; font-size: 36px; line-height: 1.35; text-align: center; }
+`;
+
+// Sentence timings are not known inside a page's track, so each sentence gets a
+// share of the track proportional to its length
+function epubSMIL({ num, pageFile, audioFile, segments, duration }) {
+  const totalChars = segments.reduce((sum, segment) => sum + segment.length, 0);
+  let clock = 0;
+  const pars = segments.map((segment, k) => {
+    const begin = clock;
+    clock += duration * segment.length / totalChars;
+    return `<par id="par-${num}-${k}"><text src="${pageFile}#seg-${num}-${k}"/><audio src="audio/${audioFile}" clipBegin="${begin.toFixed(3)}s" clipEnd="${clock.toFixed(3)}s"/></par>`;
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<smil xmlns="http://www.w3.org/ns/SMIL" xmlns:epub="http://www.idpf.org/2007/ops" version="3.0">
+  <body>
+    <seq id="seq-${num}" epub:textref="${pageFile}">
+      ${pars.join('\n      ')}
+    </seq>
+  </body>
+</smil>
+`;
+}
+
+// pages: [{ imagePath, text, role }] as for buildBookPDF; cast: names from the plan or form;
+// narration: optional narrateBook() result, aligned with pages
+async function buildBookEPUB(epubPath, { pages, title, author, language = 'en', cast = [], textLayout = 'below', identifier, narration = null, audioDir }) {
+  const zip = new JSZip();
+  // The mimetype entry must come first and be stored uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`);
+  zip.file('OEBPS/style.css', EPUB_CSS);
+
+  const manifest = [];
+  const spine = [];
+  const toc = [];
+  const overlayDurations = [];
+  for (const [index, page] of pages.entries()) {
+    const num = String(index + 1).padStart(2, '0');
+    const imageFile = `page-${num}.png`;
+    const pageFile = `page-${num}.xhtml`;
+    const img = await Jimp.read(page.imagePath);
+    const pageTitle = page.role === 'cover' ? title : page.role === 'back' ? 'Back cover' : (page.title || `Page ${index}`);
+
+    const track = narration?.[index];
+    const segments = track ? track.segments : narrationSegments(page, { title, author, language });
+
+    zip.file(`OEBPS/images/${imageFile}`, fs.readFileSync(page.imagePath));
+    zip.file(`OEBPS/${pageFile}`, epubPageXHTML({
+      title: pageTitle,
+      language,
+      num,
+      imageFile,
+      width: img.bitmap.width,
+      height: img.bitmap.height,
+      segments,
+      role: page.role,
+      layout: textLayout
+    }));
+    manifest.push(`<item id="img-${num}" href="images/${imageFile}" media-type="image/png"${page.role === 'cover' ? ' properties="cover-image"' : ''}/>`);
+    if (track) {
+      const audioFile = `page-${num}.${track.format}`;
+      zip.file(`OEBPS/audio/${audioFile}`, fs.readFileSync(path.join(audioDir, track.file)));
+      zip.file(`OEBPS/page-${num}.smil`, epubSMIL({ num, pageFile, audioFile, segments, duration: track.duration }));
+      manifest.push(`<item id="audio-${num}" href="audio/${audioFile}" media-type="${AUDIO_MIME_TYPES[track.format]}"/>`);
+      manifest.push(`<item id="mo-${num}" href="page-${num}.smil" media-type="application/smil+xml"/>`);
+      manifest.push(`<item id="page-${num}" href="${pageFile}" media-type="application/xhtml+xml" media-overlay="mo-${num}"/>`);
+      overlayDurations.push(`<meta property="media:duration" refines="#mo-${num}">${smilClock(track.duration)}</meta>`);
+    } else {
+      manifest.push(`<item id="page-${num}" href="${pageFile}" media-type="application/xhtml+xml"/>`);
+    }
+    spine.push(`<itemref idref="page-${num}"/>`);
+    toc.push(`<li><a href="${pageFile}">${xmlEscape(pageTitle)}</a></li>`);
+  }
+
+  zip.file('OEBPS/nav.xhtml', `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${xmlEscape(language)}" lang="${xmlEscape(language)}" dir="${languageDirection(language)}">
+<head><meta charset="UTF-8"/><title>${xmlEscape(title)}</title></head>
+<body>
+  <nav epub:type="toc" id="toc"><h1>${xmlEscape(title)}</h1><ol>${toc.join('')}</ol></nav>
+  <nav epub:type="landmarks" hidden="hidden"><ol>
+    <li><a epub:type="cover" href="page-01.xhtml">Cover</a></li>
+    ${pages.length > 1 ? '<li><a epub:type="bodymatter" href="page-02.xhtml">Story</a></li>' : ''}
+  </ol></nav>
+</body>
+</html>
+`);
+
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  zip.file('OEBPS/content.opf', `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${xmlEscape(language)}" prefix="rendition: http://www.idpf.org/vocab/rendition/#">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${xmlEscape(identifier)}</dc:identifier>
+    <dc:title>${xmlEscape(title)}</dc:title>
+    <dc:language>${xmlEscape(language)}</dc:language>
+    ${author ? `<dc:creator>${xmlEscape(author)}</dc:creator>` : ''}
+    ${cast.map(name => `<meta property="schema:character">${xmlEscape(name)}</meta>`).join('\n    ')}
+    <meta property="dcterms:modified">${modified}</meta>
+    <meta property="rendition:layout">pre-paginated</meta>
+    <meta property="rendition:orientation">auto</meta>
+    <meta property="rendition:spread">none</meta>
+    ${overlayDurations.length > 0 ? [
+      ...overlayDurations,
+      `<meta property="media:duration">${smilClock(narration.reduce((sum, track) => sum + (track?.duration || 0), 0))}</meta>`,
+      '<meta property="media:active-class">-epub-media-overlay-active</meta>'
+    ].join('\n    ') : ''}
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="css" href="style.css" media-type="text/css"/>
+    ${manifest.join('\n    ')}
+  </manifest>
+  <spine page-progression-direction="${languageDirection(language)}">
+    ${spine.join('\n    ')}
+  </spine>
+</package>
+`);
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', mimeType: 'application/epub+zip' });
+  fs.writeFileSync(epubPath, buffer);
+  return buffer.length;
+}
+
+// ---- Narration ----
+// Optional read-aloud phase: one audio track per page with text, cached in the
+// run directory by a hash of voice + text so edits only re-narrate what changed.
+// Tracks feed an audio bundle (zip + playlist) and the EPUB's media overlays.
+
+// Split page text into sentences; these are the units highlighted while reading aloud
+function splitSentences(text) {
+  return (String(text || '').match(/[^.!?…]+(?:[.!?…]+["'”’)]*|$)/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function narrationSegments(page, { title, author, language = DEFAULT_LANGUAGE }) {
+  if (page.role === 'cover') {
+    return [title, author ? `${BOOK_LANGUAGES[language].by} ${author}` : ''].filter(Boolean);
+  }
+  return splitSentences(page.text);
+}
+
+function wavDuration(buffer) {
+  let offset = 12;
+  let byteRate = 0;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ') byteRate = buffer.readUInt32LE(offset + 16);
+    if (id === 'data') {
+      // Streamed WAVs leave the data size unset (0xFFFFFFFF), so cap it at what we have
+      return byteRate ? Math.min(size, buffer.length - offset - 8) / byteRate : 0;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return 0;
+}
+
+const MP3_BITRATES = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+// Walk the Layer III frame headers and add up their samples (works for CBR and VBR)
+function mp3Duration(buffer) {
+  let offset = 0;
+  if (buffer.toString('ascii', 0, 3) === 'ID3') {
+    offset = 10 + ((buffer[6] & 0x7f) << 21 | (buffer[7] & 0x7f) << 14 | (buffer[8] & 0x7f) << 7 | (buffer[9] & 0x7f));
+  }
+  let seconds = 0;
+  while (offset + 4 <= buffer.length) {
+    const version = (buffer[offset + 1] >> 3) & 0x03; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+    const layer = (buffer[offset + 1] >> 1) & 0x03;   // 1 = Layer III
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const rateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    const isFrame = buffer[offset] === 0xff && (buffer[offset + 1] & 0xe0) === 0xe0 &&
+      version !== 1 && layer === 1 && bitrateIndex > 0 && bitrateIndex < 15 && rateIndex < 3;
+    if (!isFrame) {
+      offset += 1;
+      continue;
+    }
+    const bitrate = MP3_BITRATES[version === 3 ? 'mpeg1' : 'mpeg2'][bitrateIndex] * 1000;
+    const sampleRate = MP3_SAMPLE_RATES[version][rateIndex];
+    const samples = version === 3 ? 1152 : 576;
+    seconds += samples / sampleRate;
+    offset += Math.floor(samples / 8 * bitrate / sampleRate) + ((buffer[offset + 2] >> 1) & 0x01);
+  }
+  return seconds;
+}
+
+function audioDuration(buffer, format) {
+  return format === 'wav' ? wavDuration(buffer) : mp3Duration(buffer);
+}
+
+const AUDIO_MIME_TYPES = { mp3: 'audio/mpeg', wav: 'audio/wav' };
+
+function pickNarrationOptions(body = {}, defaults = {}) {
+  return {
+    narrate: body.narrate === undefined ? !!defaults.narrate : !!body.narrate,
+    narrationVoice: typeof body.narrationVoice === 'string' ? body.narrationVoice.trim().slice(0, 40) : (defaults.narrationVoice || '')
+  };
+}
+
+// Returns one entry per page (null when a page has nothing to read):
+// { page, file, format, duration, segments, textHash }
+async function narrateBook(outDir, plan, input, onPage = () => {}) {
+  const voice = input.narrationVoice || '';
+  const language = bookLanguage(input);
+  const meta = { title: plan.title || input.title, author: input.author || plan.author || '', language };
+  const cached = (readCheckpoint(outDir, 'narration.json')?.pages || []).filter(Boolean);
+  const pages = bookPages(outDir, plan);
+  const narration = [];
+
+  for (const [imageIndex, page] of pages.entries()) {
+    const segments = narrationSegments(page, meta);
+    if (segments.length === 0) {
+      narration.push(null);
+      continue;
+    }
+    const text = segments.join(' ');
+    const textHash = crypto.createHash('sha256').update(`${tts.name}|${voice}|${language}|${text}`).digest('hex').slice(0, 16);
+    const reuse = cached.find(entry => entry.textHash === textHash && hasCheckpoint(outDir, entry.file));
+    if (reuse) {
+      narration.push({ ...reuse, page: imageIndex + 1 });
+      continue;
+    }
+
+    onPage(imageIndex + 1, pages.length);
+    const { audio, format } = await tts.speech(text, { voice: voice || undefined, language });
+    const file = `audio-${textHash}.${format}`;
+    fs.writeFileSync(path.join(outDir, file), audio);
+    const duration = audioDuration(audio, format);
+    log('info', `Narrated page ${imageIndex + 1}/${pages.length}`, { file, duration: Number(duration.toFixed(2)) });
+    narration.push({ page: imageIndex + 1, file, format, duration, segments, textHash });
+  }
+
+  writeCheckpoint(outDir, 'narration.json', { voice, language, pages: narration });
+  return narration;
+}
+
+// Zip of per-page tracks plus an M3U playlist, in reading order
+async function buildAndStoreAudioBundle(outDir, input, plan, narration) {
+  const zip = new JSZip();
+  const playlist = ['#EXTM3U', `#PLAYLIST:${plan.title || input.title}`];
+  narration.filter(Boolean).forEach((entry, track) => {
+    const imageObj = plan.images[entry.page - 1];
+    const label = pageRole(entry.page - 1, plan.images.length) === 'cover' ? 'Cover' : (imageObj.title || `Page ${entry.page}`);
+    const trackName = `${String(track + 1).padStart(2, '0')} - ${label.replace(/[\\/:*?"<>|]/g, '')}.${entry.format}`;
+    zip.file(trackName, fs.readFileSync(path.join(outDir, entry.file)));
+    playlist.push(`#EXTINF:${Math.round(entry.duration)},${label}`, trackName);
+  });
+  zip.file('playlist.m3u8', playlist.join('\n') + '\n');
+
+  const audioFilename = `${bookBaseName(input.title)}_audio.zip`;
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+  fs.writeFileSync(path.join(outDir, audioFilename), buffer);
+  log('info', 'Audio bundle written to disk', { audioFilename, tracks: (playlist.length - 2) / 2, size: buffer.length });
+
+  const audioResult = await uploadToStorage(buffer, runStorageKey(outDir, audioFilename), 'application/zip');
+  return { audioResult };
+}
+
+// ---- Run Checkpoints ----
+// Every job keeps its inputs, plan and images under RUNS_DIR/<runId> so a
+// failed run can be resumed without paying for finished work again.
+const RUNS_DIR = process.env.RUNS_DIR || '/tmp';
+
+function runDir(runId) {
+  return path.join(RUNS_DIR, runId);
+}
+
+function imageFilename(imageIndex) {
+  return `image-${String(imageIndex + 1).padStart(2,'0')}.png`;
+}
+
+function hasCheckpoint(outDir, name) {
+  try {
+    return fs.statSync(path.join(outDir, name)).size > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+function readCheckpoint(outDir, name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(outDir, name), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Write then rename so an interrupted write never leaves a truncated artifact behind
+function writeCheckpoint(outDir, name, data) {
+  const file = path.join(outDir, name);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, Buffer.isBuffer(data) ? data : JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+// ---- Character Analysis ----
+// Uploaded portraits are described once by a vision model into a structured
+// character bible. Bibles are cached by image hash, so re-running a book or
+// reusing a photo never pays for the same analysis twice.
+const OPENAI_VISION_MODEL = process.env.OPENAI_VISION_MODEL || 'gpt-4o-mini';
+const CACHE_DIR = process.env.CACHE_DIR || path.join('/tmp', 'book-maker-cache');
+const ajv = new Ajv({ allErrors: true });
+
+const characterBibleSchema = {
+  type: 'object',
+  required: ['hair', 'skinTone', 'eyes', 'clothing', 'palette', 'distinguishingFeatures'],
+  properties: {
+    apparentAge: { type: 'string' },
+    build: { type: 'string' },
+    hair: { type: 'string', minLength: 1 },
+    skinTone: { type: 'string', minLength: 1 },
+    eyes: { type: 'string', minLength: 1 },
+    clothing: { type: 'string', minLength: 1 },
+    palette: { type: 'array', minItems: 1, maxItems: 8, items: { type: 'string', minLength: 1 } },
+    distinguishingFeatures: { type: 'array', items: { type: 'string' } }
+  }
+};
+const validateCharacterBible = ajv.compile(characterBibleSchema);
+
+function formatSchemaErrors(errors) {
+  return (errors || []).map(e => `${e.instancePath || '(root)'} ${e.message}`).join('; ');
+}
+
+function imageHash(dataUrl) {
+  return crypto.createHash('sha256').update(dataUrl.split(',')[1] || dataUrl).digest('hex');
+}
+
+const bibleCache = new Map();
+
+function readCachedBible(hash) {
+  if (bibleCache.has(hash)) return bibleCache.get(hash);
+  const bible = readCheckpoint(path.join(CACHE_DIR, 'bibles'), `${hash}.json`);
+  if (bible) bibleCache.set(hash, bible);
+  return bible;
+}
+
+function writeCachedBible(hash, bible) {
+  bibleCache.set(hash, bible);
+  try {
+    const dir = path.join(CACHE_DIR, 'bibles');
+    fs.mkdirSync(dir, { recursive: true });
+    writeCheckpoint(dir, `${hash}.json`, bible);
+  } catch (error) {
+    log('warn', 'Failed to persist character bible cache entry', { error: error.message });
+  }
+}
+
+// Downscale before sending; fine detail is not needed and it keeps vision tokens low
+async function toVisionDataURL(dataUrl) {
+  const img = await Jimp.read(Buffer.from((dataUrl.split(',')[1] || dataUrl), 'base64'));
+  img.scaleToFit(512, 512);
+  return await img.getBase64Async(Jimp.MIME_JPEG);
+}
+
+async function describeCharacterImage(ch, { useCache = true } = {}) {
+  const hash = imageHash(ch.image);
+  const cached = useCache ? readCachedBible(hash) : null;
+  if (cached) {
+    log('info', 'Character bible cache hit', { name: ch.name, hash: hash.substring(0, 12) });
+    return cached;
+  }
+
+  const messages = [
+    {role: 'system', content: "You are a character designer for children's picture books. Describe the person in the photo so an illustrator can draw them the same way on every page. Output valid JSON only."},
+    {role: 'user', content: [
+      {type: 'text', text: `Character: ${ch.name || 'Character'}${ch.age ? `, ${ch.age}` : ''}${ch.description ? ` (${ch.description})` : ''}
+
+Describe only what is visible in the photo. Return JSON:
+{"apparentAge":"...", "build":"...", "hair":"colour, length and style", "skinTone":"...", "eyes":"...", "clothing":"...", "palette":["3-5 colour names"], "distinguishingFeatures":["e.g. glasses, freckles"]}`},
+      {type: 'image_url', image_url: { url: await toVisionDataURL(ch.image) }}
+    ]}
+  ];
+  const response = await ai.chat(messages, {
+    task: 'character-analysis',
+    model: OPENAI_VISION_MODEL,
+    context: { name: ch.name, hash }
+  });
+  const bible = parseJSONResponse(response);
+  if (!validateCharacterBible(bible)) {
+    throw new Error(`Character bible failed validation: ${formatSchemaErrors(validateCharacterBible.errors)}`);
+  }
+  writeCachedBible(hash, bible);
+  return bible;
+}
+
+function formatBible(ch, bible) {
+  return [
+    `${ch.role || 'character'}${bible.apparentAge ? `, ${bible.apparentAge}` : ''}`,
+    `hair: ${bible.hair}`,
+    `skin tone: ${bible.skinTone}`,
+    `eyes: ${bible.eyes}`,
+    bible.build ? `build: ${bible.build}` : '',
+    `clothing: ${bible.clothing}`,
+    `palette: ${bible.palette.join(', ')}`,
+    bible.distinguishingFeatures.length > 0 ? `distinguishing features: ${bible.distinguishingFeatures.join(', ')}` : '',
+    ch.description ? `personality: ${ch.description}` : ''
+  ].filter(Boolean).join('; ');
+}
+
+// Summary built from the form fields alone, for characters without a usable photo
+function describedCharacter(ch, artStyle) {
+  return {
+    name: ch.name || 'Character',
+    role: ch.role || 'Character',
+    bible: null,
+    analysis: `${ch.name || 'Character'}: ${ch.age || 'Child'} character for a children's book. ${ch.description || 'Friendly appearance'}. Role: ${ch.role || 'Supporting character'}. Appearance suitable for ${artStyle} art style.`
+  };
+}
+
+async function analyzeCharacters(characters, artStyle) {
+  return Promise.all(characters.map(async ch => {
+    // Saved characters bring their own bible, so their look stays the same from book to book
+    if (ch.bible) {
+      return {
+        name: ch.name || 'Character',
+        role: ch.role || 'Character',
+        bible: ch.bible,
+        analysis: formatBible(ch, ch.bible)
+      };
+    }
+    if (!ch.image) return describedCharacter(ch, artStyle);
+    try {
+      const bible = await describeCharacterImage(ch);
+      return {
+        name: ch.name || 'Character',
+        role: ch.role || 'Character',
+        bible,
+        analysis: formatBible(ch, bible)
+      };
+    } catch (error) {
+      log('warn', 'Character analysis failed, falling back to form description', { name: ch.name, error: error.message });
+      return { ...describedCharacter(ch, artStyle), warning: `Could not analyze the photo of ${ch.name || 'a character'}; using the written description instead` };
+    }
+  }));
+}
+
+// ---- Reference Images ----
+// With a provider that accepts image inputs, every page is generated against the
+// uploaded portraits: 'board' sends the composite character board, 'characters'
+// sends crops of just the characters in the scene, 'off' stays text-only.
+const IMAGE_REFERENCE_MODE = process.env.IMAGE_REFERENCE_MODE || 'board';
+
+function characterReferenceFilename(characterIndex) {
+  return `character-${String(characterIndex + 1).padStart(2,'0')}.png`;
+}
+
+async function writeCharacterReferences(outDir, characters) {
+  const charImages = characters.filter(c => c.image).map(c => c.image);
+  log('info', `Creating character board from ${charImages.length} character images`);
+  const board = await makeCharacterBoard(charImages);
+  if (board) {
+    writeCheckpoint(outDir, 'characters-board.png', board);
+    log('info', 'Character board saved');
+  }
+
+  for (const [characterIndex, ch] of characters.entries()) {
+    if (!ch.image) continue;
+    try {
+      const img = await Jimp.read(Buffer.from((ch.image.split(',')[1] || ch.image), 'base64'));
+      writeCheckpoint(outDir, characterReferenceFilename(characterIndex), await img.cover(512, 512).getBufferAsync(Jimp.MIME_PNG));
+    } catch (e) { /* skip */ }
+  }
+}
+
+// Whether pages of a book with these characters will be drawn against reference images
+function usesReferenceImages(characters) {
+  return IMAGE_REFERENCE_MODE !== 'off' && !!ai.capabilities?.referenceImages && characters.some(ch => ch.image);
+}
+
+// The reference mode in effect for a run, or null when pages are generated from text alone
+function referenceModeFor(outDir) {
+  if (IMAGE_REFERENCE_MODE === 'off' || !ai.capabilities?.referenceImages) return null;
+  return hasCheckpoint(outDir, 'characters-board.png') ? IMAGE_REFERENCE_MODE : null;
+}
+
+function referenceFilesFor({ outDir, characters, referenceMode }, imageObj) {
+  if (!referenceMode) return [];
+  const sceneCharacters = (imageObj.characters || []).map(name => String(name).toLowerCase());
+  if (sceneCharacters.length === 0) return [];
+  if (referenceMode === 'characters') {
+    const crops = characters
+      .map((ch, characterIndex) => ({ name: (ch.name || '').toLowerCase(), file: characterReferenceFilename(characterIndex) }))
+      .filter(({ name, file }) => sceneCharacters.includes(name) && hasCheckpoint(outDir, file))
+      .map(({ file }) => file);
+    if (crops.length > 0) return crops;
+  }
+  return ['characters-board.png'];
+}
+
+async function generatePageImage(sceneContext, imageObj, imageIndex) {
+  const references = referenceFilesFor(sceneContext, imageObj)
+    .map(file => fs.readFileSync(path.join(sceneContext.outDir, file)));
+  const buf = await ai.image(scenePrompt(sceneContext, imageObj, imageIndex), { references });
+  writeCheckpoint(sceneContext.outDir, imageObj.image, buf);
+  return buf;
+}
+
+// ---- Content Safety ----
+// Everything a child will read or see is checked before money is spent on it:
+// the request (title, story, characters) before planning, the plan the model
+// wrote before illustrating, and optionally each finished illustration. The
+// rule checker runs locally without API calls; SAFETY_CHECKERS=rules,model adds
+// a model review on top. Whether a finding blocks the job or only adds a
+// warning depends on the reader age of the book.
+const SAFETY_CHECKERS = (process.env.SAFETY_CHECKERS || 'rules').split(',').map(name => name.trim()).filter(Boolean);
+const SAFETY_CHECK_IMAGES = process.env.SAFETY_CHECK_IMAGES === 'true';
+
+const SAFETY_RULES = {
+  sexual: /\b(sex|sexy|sexual\w*|porn\w*|erotic\w*|nsfw)\b/i,
+  nudity: /\b(naked|nude|nudity|topless)\b/i,
+  'self-harm': /\b(suicid\w*|self[- ]harm\w*|kills? (?:him|her|them)sel(?:f|ves))\b/i,
+  hate: /\b(nazis?|kkk|white power|racial slurs?)\b/i,
+  profanity: /\b(fuck\w*|shit\w*|bitch\w*|bastards?|assholes?|cunts?)\b/i,
+  violence: /\b(blood(?:y|ied)?|gore|gory|murder\w*|kill(?:s|ed|ing)?|stab(?:s|bed|bing)?|behead\w*|corpses?|tortur\w*|massacre\w*)\b/i,
+  weapons: /\b(guns?|rifles?|pistols?|knife|knives|swords?|bombs?|grenades?|shoot(?:s|ing)?)\b/i,
+  substances: /\b(beer|wine|vodka|whiske?y|alcohol|drunk|cigar(?:ette)?s?|smoking|drugs?|cocaine|marijuana)\b/i,
+  scary: /\b(monsters?|ghosts?|zombies?|demons?|haunted|nightmares?|terrif\w*|horror)\b/i
+};
+
+// rules: action per rule category; model: action per severity the model reports
+const READER_AGES = {
+  'toddler': {
+    label: 'ages 0-3',
+    rules: { sexual: 'block', nudity: 'flag', 'self-harm': 'block', hate: 'block', profanity: 'block', violence: 'block', weapons: 'block', substances: 'block', scary: 'flag' },
+    model: { high: 'block', medium: 'block', low: 'flag' }
+  },
+  'early-reader': {
+    label: 'ages 4-7',
+    rules: { sexual: 'block', nudity: 'flag', 'self-harm': 'block', hate: 'block', profanity: 'block', violence: 'block', weapons: 'flag', substances: 'flag', scary: 'allow' },
+    model: { high: 'block', medium: 'block', low: 'allow' }
+  },
+  'middle-grade': {
+    label: 'ages 8-12',
+    rules: { sexual: 'block', nudity: 'flag', 'self-harm': 'block', hate: 'block', profanity: 'block', violence: 'flag', weapons: 'allow', substances: 'flag', scary: 'allow' },
+    model: { high: 'block', medium: 'flag', low: 'allow' }
+  }
+};
+const DEFAULT_READER_AGE = READER_AGES[process.env.DEFAULT_READER_AGE] ? process.env.DEFAULT_READER_AGE : 'early-reader';
+
+// SAFETY_POLICY='{"middle-grade":{"rules":{"weapons":"flag"}}}' tightens or relaxes single entries
+try {
+  for (const [age, overrides] of Object.entries(JSON.parse(process.env.SAFETY_POLICY || '{}'))) {
+    if (!READER_AGES[age]) throw new Error(`unknown reader age "${age}"`);
+    Object.assign(READER_AGES[age].rules, overrides.rules || {});
+    Object.assign(READER_AGES[age].model, overrides.model || {});
+  }
+} catch (error) {
+  log('error', 'SAFETY_POLICY ignored', { error: error.message });
+}
+
+function pickReaderAge(body = {}, defaults = {}) {
+  return READER_AGES[body.readerAge] ? body.readerAge : (defaults.readerAge || DEFAULT_READER_AGE);
+}
+
+// The texts to check, each with the place it came from for the reasons shown to the user
+function inputSafetyItems({ title, story, author, characters = [] }) {
+  return [
+    { where: 'the title', text: title },
+    { where: 'the story', text: story },
+    { where: 'the author line', text: author },
+    ...characters.map((ch, i) => ({
+      where: `character "${ch.name || i + 1}"`,
+      text: [ch.name, ch.age, ch.description, ch.role].filter(Boolean).join('. ')
+    }))
+  ].filter(item => item.text);
+}
+
+function planSafetyItems(plan) {
+  return [
+    { where: 'the book title', text: plan.title },
+    ...plan.images.flatMap((imageObj, i) => [
+      { where: `page ${i + 1} text`, text: [imageObj.title, imageObj.text].filter(Boolean).join('. ') },
+      { where: `page ${i + 1} scene`, text: [imageObj.description, imageObj.environment].filter(Boolean).join('. ') }
+    ])
+  ].filter(item => item.text);
+}
+
+function ruleFindings(items, rules) {
+  const findings = [];
+  for (const { where, text } of items) {
+    for (const [category, pattern] of Object.entries(SAFETY_RULES)) {
+      const action = rules[category] || 'allow';
+      const match = action !== 'allow' && String(text).match(pattern);
+      if (match) findings.push({ checker: 'rules', category, action, where, reason: `"${match[0]}"` });
+    }
+  }
+  return findings;
+}
+
+function modelFindingsFrom(response, severities, where) {
+  const parsed = parseJSONResponse(response);
+  return (Array.isArray(parsed.findings) ? parsed.findings : []).map(finding => ({
+    checker: 'model',
+    category: String(finding.category || 'other'),
+    action: severities[finding.severity] || 'flag',
+    where: String(finding.where || where),
+    reason: String(finding.reason || '').slice(0, 200)
+  })).filter(finding => finding.action !== 'allow');
+}
+
+async function modelFindings(items, age) {
+  const messages = [
+    {role:'system', content:"You review children's picture books for content that is unsafe or not age-appropriate. Output valid JSON only."},
+    {role:'user', content:`Readers are ${READER_AGES[age].label}. Check each numbered item for sexual content, violence, self-harm, hate, profanity, substances, frightening scenes or anything else unsuitable for these readers.
+
+${items.map((item, i) => `${i + 1}. [${item.where}] ${item.text}`).join('\n')}
+
+Return JSON: {"findings":[{"where":"the bracketed label","category":"...","severity":"low|medium|high","reason":"short explanation"}]}. Return {"findings":[]} when everything is suitable.`}
+  ];
+  const response = await ai.chat(messages, { task: 'moderation', context: { items, readerAge: age } });
+  return modelFindingsFrom(response, READER_AGES[age].model, 'the book');
+}
+
+// Returns { readerAge, decision: 'allow' | 'flag' | 'block', findings }
+async function reviewContent(items, readerAge) {
+  const age = READER_AGES[readerAge] ? readerAge : DEFAULT_READER_AGE;
+  const findings = [];
+  if (SAFETY_CHECKERS.includes('rules')) findings.push(...ruleFindings(items, READER_AGES[age].rules));
+  if (SAFETY_CHECKERS.includes('model') && items.length > 0) {
+    try {
+      findings.push(...await modelFindings(items, age));
+    } catch (error) {
+      log('warn', 'Model safety check failed', { error: error.message });
+      findings.push({ checker: 'model', category: 'unchecked', action: 'flag', where: 'the book', reason: `the model check could not run (${error.message})` });
+    }
+  }
+  return { readerAge: age, decision: safetyDecision(findings), findings };
+}
+
+async function reviewIllustration(imagePath, where, readerAge) {
+  const age = READER_AGES[readerAge] ? readerAge : DEFAULT_READER_AGE;
+  const dataUrl = `data:image/png;base64,${fs.readFileSync(imagePath).toString('base64')}`;
+  const messages = [
+    {role:'system', content:"You review illustrations for children's picture books. Output valid JSON only."},
+    {role:'user', content: [
+      {type:'text', text:`Readers are ${READER_AGES[age].label}. Does this illustration show anything unsafe or not age-appropriate (nudity, violence, weapons, gore, frightening imagery, substances)?
+
+Return JSON: {"findings":[{"category":"...","severity":"low|medium|high","reason":"short explanation"}]}. Return {"findings":[]} when it is suitable.`},
+      {type:'image_url', image_url: { url: await toVisionDataURL(dataUrl) }}
+    ]}
+  ];
+  const response = await ai.chat(messages, { task: 'image-moderation', model: OPENAI_VISION_MODEL, context: { where } });
+  const findings = modelFindingsFrom(response, READER_AGES[age].model, where);
+  return { readerAge: age, decision: safetyDecision(findings), findings };
+}
+
+function safetyDecision(findings) {
+  if (findings.some(finding => finding.action === 'block')) return 'block';
+  return findings.length > 0 ? 'flag' : 'allow';
+}
+
+function formatFinding(finding) {
+  return `${finding.category} in ${finding.where}: ${finding.reason}`;
+}
+
+function safetyBlockMessage(review) {
+  const blocked = review.findings.filter(finding => finding.action === 'block');
+  const more = blocked.length > 5 ? ` and ${blocked.length - 5} more` : '';
+  return `Blocked by the content safety check for ${READER_AGES[review.readerAge].label}: ${blocked.slice(0, 5).map(formatFinding).join('; ')}${more}`;
+}
+
+// Records the review on the job, turns flags into warnings and throws when anything is blocked
+function enforceSafety(jobId, phase, review) {
+  updateJob(jobId, { safety: { ...(getJob(jobId)?.safety || {}), [phase]: { decision: review.decision, findings: review.findings } } });
+  review.findings.filter(finding => finding.action === 'flag').forEach(finding =>
+    addJobWarning(jobId, `Content safety: ${formatFinding(finding)}`, { phase, checker: finding.checker }));
+  if (review.decision === 'block') {
+    updateJob(jobId, { safetyBlocked: phase });
+    throw new Error(safetyBlockMessage(review));
+  }
+}
+
+// Checked once per run; a resumed job reuses the stored review
+async function checkInputSafety(jobId, outDir, input) {
+  let review = readCheckpoint(outDir, 'safety-input.json');
+  if (!review) {
+    log('info', 'PHASE START: Content safety check (request)', { jobId, readerAge: input.readerAge, checkers: SAFETY_CHECKERS });
+    review = await reviewContent(inputSafetyItems(input), input.readerAge);
+    writeCheckpoint(outDir, 'safety-input.json', review);
+    log('info', 'PHASE END: Content safety check (request)', { jobId, decision: review.decision, findings: review.findings.length });
+  }
+  enforceSafety(jobId, 'request', review);
+}
+
+// Checked again whenever the plan changes, e.g. after edits made during plan review
+async function checkPlanSafety(jobId, outDir, plan, readerAge) {
+  const items = planSafetyItems(plan);
+  const hash = crypto.createHash('sha256').update(JSON.stringify(items)).digest('hex');
+  const stored = readCheckpoint(outDir, 'safety-plan.json');
+  let review = stored?.hash === hash ? stored.review : null;
+  if (!review) {
+    log('info', 'PHASE START: Content safety check (plan)', { jobId, readerAge, items: items.length });
+    review = await reviewContent(items, readerAge);
+    writeCheckpoint(outDir, 'safety-plan.json', { hash, review });
+    log('info', 'PHASE END: Content safety check (plan)', { jobId, decision: review.decision, findings: review.findings.length });
+  }
+  enforceSafety(jobId, 'plan', review);
+}
+
+// A blocked illustration is deleted, so resuming the job draws that page again
+async function checkIllustrationSafety(jobId, imagePath, imageIndex, readerAge) {
+  const where = `the page ${imageIndex + 1} illustration`;
+  let review;
+  try {
+    review = await reviewIllustration(imagePath, where, readerAge);
+  } catch (error) {
+    addJobWarning(jobId, `Content safety: ${where} was not checked (${error.message})`);
+    return;
+  }
+  review.findings.filter(finding => finding.action === 'flag').forEach(finding =>
+    addJobWarning(jobId, `Content safety: ${formatFinding(finding)}`, { phase: 'illustration', checker: finding.checker }));
+  if (review.decision === 'block') {
+    fs.rmSync(imagePath, { force: true });
+    throw new Error(safetyBlockMessage(review));
+  }
+}
+
+// ---- Plan Schema ----
+// Plans are validated before any image is paid for. The JSON Schema covers
+// structure; validatePlan() adds the checks a schema cannot express (page
+// count, numbering, cover placement, characters that exist in the cast).
+const PLAN_REPAIR_ATTEMPTS = parseInt(process.env.PLAN_REPAIR_ATTEMPTS || '2', 10);
+
+const planSchema = {
+  type: 'object',
+  required: ['title', 'images'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    author: { type: 'string' },
+    images: {
+      type: 'array',
+      minItems: 2,
+      items: {
+        type: 'object',
+        required: ['page', 'role', 'title', 'description', 'characters', 'environment', 'text'],
+        properties: {
+          page: { type: 'integer', minimum: 1 },
+          role: { enum: ['cover', 'story', 'back'] },
+          title: { type: 'string', minLength: 1 },
+          description: { type: 'string', minLength: 10 },
+          characters: { type: 'array', items: { type: 'string', minLength: 1 } },
+          environment: { type: 'string' },
+          lighting: { type: 'string' },
+          palette: { type: 'string' },
+          text: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+const validatePlanSchema = ajv.compile(planSchema);
+
+// Returns a list of human-readable problems; an empty list means the plan is usable
+function validatePlan(plan, { pageCount = null, cast = [] } = {}) {
+  if (!validatePlanSchema(plan)) {
+    return validatePlanSchema.errors.map(e => `${e.instancePath || '(root)'} ${e.message}`);
+  }
+
+  const errors = [];
+  const images = plan.images;
+  if (pageCount !== null && images.length !== pageCount) {
+    errors.push(`expected ${pageCount} images but got ${images.length}`);
+  }
+  images.forEach((imageObj, imageIndex) => {
+    const expectedRole = pageRole(imageIndex, images.length);
+    if (imageObj.page !== imageIndex + 1) {
+      errors.push(`/images/${imageIndex}/page should be ${imageIndex + 1} but is ${imageObj.page}`);
+    }
+    if (imageObj.role !== expectedRole) {
+      errors.push(`/images/${imageIndex}/role should be "${expectedRole}" but is "${imageObj.role}"`);
+    }
+  });
+
+  const castNames = cast.map(name => name.trim().toLowerCase()).filter(Boolean);
+  if (castNames.length > 0) {
+    images.forEach((imageObj, imageIndex) => {
+      for (const name of imageObj.characters) {
+        if (!castNames.includes(name.trim().toLowerCase())) {
+          errors.push(`/images/${imageIndex}/characters lists "${name}" who is not in the cast (${cast.join(', ')})`);
+        }
+      }
+    });
+  }
+  return errors;
+}
+
+// ---- Book Assembly ----
+// Plan entries remember their image file so pages can be reordered without renaming artifacts
+function assignImageFiles(plan) {
+  plan.images.forEach((imageObj, imageIndex) => {
+    if (!imageObj.image) imageObj.image = imageFilename(imageIndex);
+  });
+}
+
+function pageRole(imageIndex, pageCount) {
+  if (imageIndex === 0) return 'cover';
+  return imageIndex === pageCount - 1 ? 'back' : 'story';
+}
+
+function scenePrompt(sceneContext, imageObj, imageIndex) {
+  const { plan, artStyle, analyses, characters, referenceMode } = sceneContext;
+  const referenceCount = referenceFilesFor(sceneContext, imageObj).length;
+  const charSummary = analyses.length > 0 
+    ? analyses.map(a => `${a.name}: ${a.analysis}`).join('\n')
+    : characters.map(c => `${c.name}: ${c.role}`).join('\n');
+  const isFirstImage = imageIndex === 0;
+  const isLastImage = imageIndex === plan.images.length - 1;
+  
+  // Determine if this is a cover
+  const isCover = isFirstImage || isLastImage;
+  const coverType = isFirstImage ? 'FRONT COVER ARTWORK' : (isLastImage ? 'BACK COVER ARTWORK' : '');
+  
+  const prompt = [
+    // Main description - emphasize SINGLE SCENE
+    isCover ? `${coverType} (flat 2D illustration, full-bleed portrait)` : `SINGLE SCENE: ${imageObj.title || 'Story Scene'}`,
+    `Scene: ${imageObj.description || ''}`,
+    
+    // Character references  
+    imageObj.characters && imageObj.characters.length > 0 ? `Characters: ${imageObj.characters.join(', ')}` : '',
+    referenceCount > 0 && referenceMode === 'characters' ? `Reference: match faces, hair, clothing and palette to the attached character portraits` : '',
+    referenceCount > 0 && referenceMode !== 'characters' ? `Reference: match faces, hair, clothing and palette to the attached character board` : '',
+    analyses.length > 0 ? `Character Bible:\n${charSummary}` : `Character Info:\n${charSummary}`,
+    
+    // Visual specifications
+    `Environment: ${imageObj.environment || ''}`,
+    `Lighting: ${imageObj.lighting || 'warm, consistent lighting'}`,
+    `Composition: ${imageObj.composition || ''}`,
+    `Color Palette: ${imageObj.palette || ''} (maintain consistency across all images)`,
+    `Props: ${imageObj.props || ''}`,
+    `Continuity: ${imageObj.continuity || ''}`,
+    
+    // Style specifications
+    `Art Style: ${artStyle} - maintain absolute consistency`,
+    imageObj.style_notes ? `Style Notes: ${imageObj.style_notes}` : '',
+    
+    // Quality and constraints
+    `Quality: professional children's book illustration, consistent art style, warm cozy lighting, soft textures, gentle outlines, child-safe`,
+    
+    // Critical constraints
+    `CRITICAL CONSTRAINTS:`,
+    `- Show ONLY ONE SCENE, not multiple scenes or montages`,
+    `- NEVER include any text, letters, or words in the illustration`,
+    `- Maintain perfect character consistency using character bible`,
+    `- Keep lighting and color palette consistent with other images`,
+    isCover ? `- This is ${coverType.toLowerCase()}, NOT a photo of a book or book mockup` : '',
+    isCover ? `- Flat 2D illustration only, full-bleed portrait format` : '',
+    `- ${artStyle} style maintained throughout`,
+    
+    // Negative prompts
+    `AVOID: text, letters, words, signatures, watermarks, book mockups, 3D book renders, photo of book${isCover ? ', book covers with visible spines or thickness' : ''}, multiple scenes, scene montages, comic panels`,
+    
+    // Strong style enforcement at the end
+    `Make all as one scene, style: ${artStyle}`
+  ].filter(Boolean).join('\n');
+  
+  log('debug', `Generated scene prompt for ${isCover ? coverType : 'story scene'} ${imageObj.page}`, { 
+    title: imageObj.title, 
+    promptLength: prompt.length,
+    isCover,
+    referenceCount
+  });
+  return prompt;
+}
+
+// Output filename stem from the book title: letters and digits in any script are
+// kept (a Hebrew title stays Hebrew), anything unsafe in a filename is dropped
+function bookBaseName(title) {
+  const sanitizedTitle = String(title || '').normalize('NFC')
+    .replace(/[^\p{L}\p{M}\p{N}\s_-]/gu, '')
+    .trim()
+    .replace(/\s+/g, '_');
+  return Array.from(sanitizedTitle).slice(0, 50).join('') || 'book';
+}
+
+function bookPages(outDir, plan) {
+  return plan.images.map((imageObj, imageIndex) => ({
+    imagePath: path.join(outDir, imageObj.image),
+    title: imageObj.title || '',
+    text: imageObj.text || '',
+    role: pageRole(imageIndex, plan.images.length)
+  }));
+}
+
+// Typeset the PDF from the run's plan and images, then hand it to storage.
+// Print profiles also produce a wraparound cover PDF, returned as coverResult.
+// pageReady(index), if given, returns a promise that settles once that page's
+// illustration is on disk; the PDF takes each page as soon as it and every
+// page before it are ready, and fails with the first page that failed.
+async function buildAndStorePDF(outDir, input, plan, { pageReady } = {}) {
+  const { title, author, textLayout } = input;
+  const { printProfile, spreads, cropMarks } = pickPrintOptions(input);
+  const baseName = bookBaseName(title);
+  const pdfFilename = `${baseName}.pdf`;
+  const pdfPath = path.join(outDir, pdfFilename);
+
+  const pages = bookPages(outDir, plan);
+  const readyPages = pageReady ? pages.map((page, index) => pageReady(index).then(() => page)) : pages;
+  // Pages after a failed one are never awaited; keep their failures from going unhandled
+  if (pageReady) readyPages.forEach(pending => pending.catch(() => {}));
+  const bookTitle = plan.title || title;
+  const bookAuthor = author || plan.author || '';
+  const language = bookLanguage(input);
+  const pageCount = await buildBookPDF(pdfPath, {
+    pages: readyPages,
+    title: bookTitle,
+    author: bookAuthor,
+    language,
+    textLayout,
+    printProfile,
+    spreads,
+    cropMarks
+  });
+  log('info', 'PDF written to disk', { pdfPath, printProfile, pageCount });
+
+  // Read PDF file and upload to storage or return as download
+  const pdfBuffer = fs.readFileSync(pdfPath);
+  const pdfResult = await uploadToStorage(pdfBuffer, runStorageKey(outDir, pdfFilename));
+
+  let coverResult = null;
+  if (PRINT_PROFILES[printProfile].print) {
+    const coverFilename = `${baseName}_cover.pdf`;
+    const coverPath = path.join(outDir, coverFilename);
+    const { spineWidthIn } = await buildCoverPDF(coverPath, {
+      front: pages[0],
+      back: pages[pages.length - 1],
+      title: bookTitle,
+      author: bookAuthor,
+      language,
+      printProfile,
+      pageCount,
+      cropMarks
+    });
+    log('info', 'Cover PDF written to disk', { coverPath, pageCount, spineWidthIn: Number(spineWidthIn.toFixed(3)) });
+    coverResult = await uploadToStorage(fs.readFileSync(coverPath), runStorageKey(outDir, coverFilename));
+  }
+  return { pdfResult, coverResult, pdfFilename, pdfSize: pdfBuffer.length };
+}
+
+async function buildAndStoreEPUB(outDir, input, plan, narration = null) {
+  const epubFilename = `${bookBaseName(input.title)}.epub`;
+  const epubPath = path.join(outDir, epubFilename);
+  const cast = [...new Set([
+    ...(input.characters || []).map(ch => ch.name),
+    ...plan.images.flatMap(imageObj => imageObj.characters || [])
+  ].filter(Boolean))];
+
+  const epubSize = await buildBookEPUB(epubPath, {
+    pages: bookPages(outDir, plan),
+    title: plan.title || input.title,
+    author: input.author || plan.author || '',
+    language: bookLanguage(input),
+    cast,
+    textLayout: input.textLayout,
+    identifier: `urn:book-maker:${path.basename(outDir)}`,
+    narration,
+    audioDir: outDir
+  });
+  log('info', 'EPUB written to disk', { epubPath, epubSize });
+
+  const epubResult = await uploadToStorage(fs.readFileSync(epubPath), runStorageKey(outDir, epubFilename), 'application/epub+zip');
+  return { epubResult, epubFilename, epubSize };
+}
+
+// Page images, the plan and the character board go to storage next to the outputs
+async function storeRunArtifacts(outDir, plan) {
+  const images = [];
+  for (const imageObj of plan.images) {
+    images.push(await uploadToStorage(fs.readFileSync(path.join(outDir, imageObj.image)), runStorageKey(outDir, imageObj.image), 'image/png'));
+  }
+  const artifacts = {
+    plan: await uploadToStorage(Buffer.from(JSON.stringify(plan, null, 2)), runStorageKey(outDir, 'plan.json'), 'application/json'),
+    images
+  };
+  if (hasCheckpoint(outDir, 'characters-board.png')) {
+    artifacts.characterBoard = await uploadToStorage(fs.readFileSync(path.join(outDir, 'characters-board.png')), runStorageKey(outDir, 'characters-board.png'), 'image/png');
+  }
+  return artifacts;
+}
+
+// ---- Progress ----
+// A book's progress is the share of its expected work that is finished. Every
+// step (character analysis, planning, each page's illustration, finishing the
+// PDF, narration, EPUB, upload) weighs what it usually takes and counts once it
+// is done, not when it starts. Usual durations are running averages of past
+// runs in TIMINGS_FILE: model calls per provider, model and size (or task), and
+// the local steps by name. The ETA is the expected time of the work left, with
+// illustrations shared among the image workers.
+const TIMINGS_FILE = process.env.TIMINGS_FILE || path.join(CACHE_DIR, 'timings.json');
+const TIMING_WINDOW = 20; // the average follows roughly the last this many samples
+// Until there is history for a key (ms)
+const DEFAULT_TIMINGS = {
+  analysis: 15000,
+  planning: 30000,
+  translation: 20000,
+  illustration: 40000,
+  speech: 5000,
+  'local/pdf': 3000,
+  'local/epub': 2000,
+  'local/upload': 2000
+};
+
+let timings = null;
+
+function loadTimings() {
+  if (!timings) timings = readCheckpoint(path.dirname(TIMINGS_FILE), path.basename(TIMINGS_FILE)) || {};
+  return timings;
+}
+
+function callTimingKey(provider, { model, size, task }) {
+  return `${provider}/${model}/${size || task}`;
+}
+
+function recordTiming(key, ms) {
+  const all = loadTimings();
+  const samples = Math.min((all[key]?.samples || 0) + 1, TIMING_WINDOW);
+  const average = all[key] ? all[key].ms + (ms - all[key].ms) / samples : ms;
+  all[key] = { ms: Math.round(average), samples };
+  try {
+    fs.mkdirSync(path.dirname(TIMINGS_FILE), { recursive: true });
+    writeCheckpoint(path.dirname(TIMINGS_FILE), path.basename(TIMINGS_FILE), all);
+  } catch (error) {
+    log('warn', 'Could not save timings', { error: error.message });
+  }
+}
+
+function expectedMs(key, fallback) {
+  return loadTimings()[key]?.ms ?? fallback;
+}
+
+function illustrationMs(characters) {
+  const model = usesReferenceImages(characters) ? OPENAI_IMAGE_EDIT_MODEL : OPENAI_IMAGE_MODEL;
+  return expectedMs(callTimingKey(ai.name, { model, size: '1024x1024' }), DEFAULT_TIMINGS.illustration);
+}
+
+function progressStep(id, label, ms) {
+  return { id, label, expectedMs: ms, status: 'pending' };
+}
+
+// The PDF, narration, EPUB and upload that finish books and editions alike
+function finishingSteps(narrate, pageCount) {
+  return [
+    progressStep('pdf', 'PDF', expectedMs('local/pdf', DEFAULT_TIMINGS['local/pdf'])),
+    ...(narrate ? [progressStep('narration', 'Narration', pageCount * expectedMs(callTimingKey(tts.name, { model: OPENAI_TTS_MODEL, task: 'speech' }), DEFAULT_TIMINGS.speech))] : []),
+    progressStep('epub', 'EPUB', expectedMs('local/epub', DEFAULT_TIMINGS['local/epub'])),
+    progressStep('upload', 'Upload', expectedMs('local/upload', DEFAULT_TIMINGS['local/upload']))
+  ];
+}
+
+// Steps of a book job in order; pages are added once the plan is known
+function bookSteps({ characters = [], narrate = false }, pageCount) {
+  const toAnalyze = characters.filter(ch => ch.image && !ch.bible && !readCachedBible(imageHash(ch.image))).length;
+  return [
+    // Photos are analysed side by side, so the step takes about as long as one analysis
+    progressStep('analysis', 'Character analysis', toAnalyze > 0 ? expectedMs(callTimingKey(ai.name, { model: OPENAI_VISION_MODEL, task: 'character-analysis' }), DEFAULT_TIMINGS.analysis) : 0),
+    progressStep('planning', 'Planning', expectedMs(callTimingKey(ai.name, { model: OPENAI_CHAT_MODEL, task: 'plan' }), DEFAULT_TIMINGS.planning)),
+    ...finishingSteps(narrate, pageCount)
+  ];
+}
+
+// A language edition reuses the original's illustrations, so it has no pages to draw
+function editionSteps({ narrate = false }, pageCount) {
+  return [
+    progressStep('translation', 'Translation', expectedMs(callTimingKey(ai.name, { model: OPENAI_CHAT_MODEL, task: 'translate' }), DEFAULT_TIMINGS.translation)),
+    ...finishingSteps(narrate, pageCount)
+  ];
+}
+
+function bookPageStatus(pageCount, expected, plan = null) {
+  return Array.from({ length: pageCount }, (_, imageIndex) => ({
+    page: imageIndex + 1,
+    title: plan?.images[imageIndex]?.title || '',
+    status: 'pending',
+    attempts: 0,
+    expectedMs: expected
+  }));
+}
+
+// progress (0-99 until the job completes), completed/total step counts and the ETA
+function progressFigures(job, now = Date.now()) {
+  const steps = job.steps || [];
+  const pages = job.pages || [];
+  const finished = item => item.status === 'done' || item.status === 'failed';
+  const remaining = item => finished(item) ? 0
+    : item.startedAt ? Math.max(0, item.expectedMs - (now - item.startedAt)) : item.expectedMs;
+  const total = [...steps, ...pages].reduce((sum, item) => sum + item.expectedMs, 0);
+  const done = [...steps, ...pages].filter(finished).reduce((sum, item) => sum + item.expectedMs, 0);
+  const workers = Math.max(1, Math.min(IMAGE_WORKERS, CALL_LIMITS.image.concurrency, pages.length));
+  const left = steps.reduce((sum, item) => sum + remaining(item), 0) +
+    pages.reduce((sum, item) => sum + remaining(item), 0) / workers;
+  return {
+    progress: total > 0 ? Math.min(99, Math.floor(done / total * 100)) : 0,
+    completedSteps: [...steps, ...pages].filter(finished).length,
+    totalSteps: steps.length + pages.length,
+    etaSeconds: Math.ceil(left / 1000)
+  };
+}
+
+function updateProgress(jobId, changes = {}) {
+  const job = getJob(jobId);
+  if (!job) return;
+  updateJob(jobId, { ...changes, ...progressFigures({ ...job, ...changes }) });
+}
+
+function startProgress(jobId, input) {
+  const pageCount = parseInt(input.numImages, 10) + 2; // story images + covers
+  updateProgress(jobId, { steps: bookSteps(input, pageCount), pages: bookPageStatus(pageCount, illustrationMs(input.characters || [])) });
+}
+
+function startEditionProgress(jobId, input, plan) {
+  updateProgress(jobId, { steps: editionSteps(input, plan.images.length), pages: [] });
+}
+
+// Once the plan is known, its pages replace the estimate made from numImages
+function setProgressPages(jobId, plan, characters) {
+  updateProgress(jobId, { pages: bookPageStatus(plan.images.length, illustrationMs(characters), plan) });
+}
+
+function startStep(jobId, id, currentPhase) {
+  const steps = (getJob(jobId)?.steps || []).map(step => step.id === id ? { ...step, status: 'running', startedAt: Date.now() } : step);
+  updateProgress(jobId, { steps, ...(currentPhase && { currentPhase }) });
+}
+
+// Local steps record how long they took; model steps are timed per call
+function finishStep(jobId, id, { timingKey } = {}) {
+  const job = getJob(jobId);
+  const step = job?.steps?.find(item => item.id === id);
+  if (!step) return;
+  if (timingKey && step.startedAt) recordTiming(timingKey, Date.now() - step.startedAt);
+  updateProgress(jobId, { steps: job.steps.map(item => item.id === id ? { ...item, status: 'done', finishedAt: Date.now() } : item) });
+}
+
+function updatePageStatus(jobId, imageIndex, changes) {
+  const job = getJob(jobId);
+  if (!job?.pages?.[imageIndex]) return;
+  updateProgress(jobId, { pages: job.pages.map((page, i) => i === imageIndex ? { ...page, ...changes } : page) });
+}
+
+// ---- Pipeline ----
+app.get('/api/job/:jobId', async (req, res) => {
+  const jobId = req.params.jobId;
+  const job = getJob(jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  try {
+    res.json({ ...job, result: await signResult(job.result) });
+  } catch (error) {
+    log('error', 'Failed to sign result links', { jobId, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ---- Job Events (SSE) ----
+// Progress is pushed to clients as Server-Sent Events. Events raised in this
+// process are forwarded as they happen; the job store is also polled so a
+// client connected to a different instance still sees progress and the result.
+const SSE_POLL_MS = 2000;
+const SSE_HEARTBEAT_MS = 15000;
+const THUMBNAIL_SIZE = 256;
+
+function terminalEventFor(job) {
+  if (job.status === 'completed') return 'complete';
+  if (job.status === 'failed') return 'failed';
+  if (job.status === 'awaiting_approval') return 'awaiting_approval';
+  if (job.status === 'cancelled') return 'cancelled';
+  return null;
+}
+
+function thumbnailUrl(jobId, page) {
+  return `/api/job/${jobId}/pages/${page}/thumbnail?v=${Date.now()}`;
+}
+
+// image-done events for pages that already exist, so late or reconnecting clients catch up
+function finishedImageEvents(job) {
+  if (!job.runId) return [];
+  const outDir = runDir(job.runId);
+  const plan = readCheckpoint(outDir, 'plan.json');
+  if (!plan?.images) return [];
+  assignImageFiles(plan);
+  return plan.images
+    .map((imageObj, imageIndex) => ({ imageObj, page: imageIndex + 1 }))
+    .filter(({ imageObj }) => hasCheckpoint(outDir, imageObj.image))
+    .map(({ imageObj, page }) => ({
+      jobId: job.id,
+      page,
+      total: plan.images.length,
+      title: imageObj.title || '',
+      thumbnailUrl: thumbnailUrl(job.id, page)
+    }));
+}
+
+app.get('/api/job/:jobId/events', (req, res) => {
+  const jobId = req.params.jobId;
+  const job = getJob(jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  let closed = false;
+  let lastSeenUpdate = job.updatedAt;
+  let lastWrite = Date.now();
+  const onEvent = ({ type, data }) => {
+    send(type, data);
+    lastWrite = Date.now();
+    if (['complete', 'failed', 'awaiting_approval', 'cancelled'].includes(type)) close();
+  };
+  const timer = setInterval(() => {
+    const current = getJob(jobId);
+    if (!current) {
+      send('failed', { jobId, job: { id: jobId, status: 'failed', error: 'Job expired' } });
+      return close();
+    }
+    if (current.updatedAt !== lastSeenUpdate) {
+      lastSeenUpdate = current.updatedAt;
+      const terminal = terminalEventFor(current);
+      if (terminal) {
+        send(terminal, { jobId, job: current });
+        return close();
+      }
+      send('progress', { jobId, ...progressView(current) });
+      lastWrite = Date.now();
+    } else if (Date.now() - lastWrite > SSE_HEARTBEAT_MS) {
+      res.write(': keep-alive\n\n');
+      lastWrite = Date.now();
+    }
+  }, SSE_POLL_MS);
+  function close() {
+    if (closed) return;
+    closed = true;
+    clearInterval(timer);
+    jobEvents.off(jobId, onEvent);
+    res.end();
+  }
+
+  jobEvents.on(jobId, onEvent);
+  req.on('close', close);
+
+  send('progress', { jobId, ...progressView(job) });
+  finishedImageEvents(job).forEach(event => send('image-done', event));
+  (job.warnings || []).forEach(warning => send('warning', { jobId, ...warning }));
+  const terminal = terminalEventFor(job);
+  if (terminal) {
+    // Links stored with a finished job may have expired since
+    signResult(job.result)
+      .then(result => send(terminal, { jobId, job: { ...job, result } }), () => send(terminal, { jobId, job }))
+      .finally(close);
+  }
+});
+
+app.get('/api/job/:jobId/pages/:page/thumbnail', async (req, res) => {
+  const job = getJob(req.params.jobId);
+  const outDir = job?.runId ? runDir(job.runId) : null;
+  const plan = outDir ? readCheckpoint(outDir, 'plan.json') : null;
+  if (!plan) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  assignImageFiles(plan);
+  const imageIndex = pageIndexParam(req, res, plan);
+  if (imageIndex === null) return;
+
+  const imagePath = path.join(outDir, plan.images[imageIndex].image);
+  if (!fs.existsSync(imagePath)) {
+    return res.status(404).json({ error: 'Image not generated yet' });
+  }
+  try {
+    const img = await Jimp.read(imagePath);
+    img.scaleToFit(THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+    res.set('Cache-Control', 'no-cache');
+    res.type('png').send(await img.getBufferAsync(Jimp.MIME_PNG));
+  } catch (err) {
+    log('error', 'Thumbnail generation failed', { jobId: job.id, page: imageIndex + 1, error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/generate-story-idea', limitRequests('generation'), async (req, res) => {
+  log('info', 'PHASE START: Story idea generation');
+  
+  try {
+    const language = bookLanguage(req.body || {});
+    const prompt = [
+      {role: 'system', content: 'You are a creative children\'s book author who creates engaging, age-appropriate stories for kids aged 3-8. Generate book ideas that are wholesome, educational, and fun.'},
+      {role: 'user', content: `Create a children's book concept with the following requirements:
+- Target age: 3-8 years old
+- Story should be short and engaging
+- 4-8 pages of content (plus covers)
+- Include a catchy title
+- Brief story outline (2-4 sentences)
+- Suggest number of pages between 4-8
+- Write the title and story in ${BOOK_LANGUAGES[language].name}
+
+Respond in JSON format with exactly these fields:
+{
+  "title": "Book title here",
+  "story": "Brief story outline here",
+  "numImages": 6
+}
+
+Make it creative, educational, and fun for children!`}
+    ];
+
+    log('info', `Calling ${ai.name} provider for story idea generation`);
+    const response = await ai.chat(prompt, { task: 'story-idea', context: { language } });
+    log('debug', 'Raw story idea response', { responseLength: response.length, preview: response.substring(0, 200) });
+    
+    let storyIdea;
+    try {
+      storyIdea = JSON.parse(response);
+      log('info', 'PHASE END: Story idea generation (parsed JSON)', storyIdea);
+    } catch (e) {
+      log('warn', 'Failed to parse JSON, trying to extract', { error: e.message });
+      const match = response.match(/\{[\s\S]*\}/);
+      if (match) {
+        storyIdea = JSON.parse(match[0]);
+        log('info', 'PHASE END: Story idea generation (extracted JSON)', storyIdea);
+      } else {
+        log('error', 'No valid JSON found in response', { response });
+        throw new Error('Failed to generate valid story idea');
+      }
+    }
+
+    // Always randomize numImages for variety (2-8 images)
+    const oldValue = storyIdea.numImages;
+    storyIdea.numImages = Math.floor(Math.random() * 7) + 2; // 2-8
+    log('info', 'Randomized numImages for variety', { from: oldValue, to: storyIdea.numImages });
+
+    log('info', 'Story idea generation completed successfully', storyIdea);
+    auditLog('story-idea.generated', { language, title: storyIdea.title }, req);
+    res.json(storyIdea);
+  } catch (err) {
+    log('error', 'Story idea generation failed', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/generate', limitRequests('generation'), async (req, res) => {
+  const jobId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+  
+  try{
+    const { title, story, numImages, artStyle, characters, author, textLayout, planOnly, seriesId } = req.body || {};
+    const account = accountFor(req);
+    const language = bookLanguage(req.body || {});
+    const printOptions = pickPrintOptions(req.body || {});
+    const narrationOptions = pickNarrationOptions(req.body || {});
+    const readerAge = pickReaderAge(req.body || {});
+    log('debug', 'Request payload', { title, story, numImages, artStyle, language, textLayout, planOnly, readerAge, narrate: narrationOptions.narrate, characterCount: characters?.length });
+    
+    // A series volume takes its cast from the series, so characters[] is optional there
+    const series = seriesId ? (account && readSeries(account.id, String(seriesId))) : null;
+    if (seriesId && !series) {
+      return res.status(400).json({ error: `Series not found${account ? '' : ' (send your API key to use a series)'}` });
+    }
+    if(!title || !numImages || !(Array.isArray(characters) || series)){
+      log('error', 'Missing required fields', { hasTitle: !!title, hasNumImages: !!numImages, hasCharacters: Array.isArray(characters) });
+      return res.status(400).json({error:'Missing required fields: title, numImages, characters[]'});
+    }
+    const storyPages = storyPageCount(numImages);
+    if (storyPages === null) {
+      return res.status(400).json({ error: STORY_PAGES_ERROR });
+    }
+    const problems = characterProblems(characters);
+    if (problems.length > 0) {
+      log('warn', 'Invalid characters refused', { problems });
+      return res.status(400).json({ error: `Invalid characters: ${problems[0]}`, problems });
+    }
+    
+    let bookCharacters;
+    try {
+      bookCharacters = series
+        ? seriesCharacters(account, series, characters || [])
+        : resolveSavedCharacters(account, characters);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const estimate = estimateBookCost({ numImages: storyPages, characters: bookCharacters, narrate: narrationOptions.narrate, series });
+    const refusal = budgetRefusal(account, estimate.total);
+    if (refusal) {
+      log('warn', 'Book refused over budget', { accountId: account?.id, estimate: estimate.total });
+      return res.status(402).json({ error: refusal, estimate });
+    }
+    
+    const selectedStyle = series?.artStyle || artStyle || 'Watercolor';
+    const selectedLayout = TEXT_LAYOUTS.includes(textLayout) ? textLayout : 'below';
+    const bookInput = { title, story, numImages: storyPages, artStyle: selectedStyle, characters: bookCharacters, author, language, readerAge, textLayout: selectedLayout, ...printOptions, ...narrationOptions, planOnly: !!planOnly, ...(series && { series: seriesContext(series) }) };
+    
+    // Create job and return immediately. The input is checkpointed right away so a
+    // job still waiting in the queue when the server restarts can be queued again.
+    const job = createJob(jobId, title);
+    const runId = jobId;
+    fs.mkdirSync(runDir(runId), { recursive: true });
+    writeCheckpoint(runDir(runId), 'input.json', bookInput);
+    startProgress(jobId, bookInput);
+    updateJob(jobId, {
+      runId,
+      currentPhase: 'Analyzing characters...',
+      estimate: estimate.total,
+      priority: pickPriority(req.body || {}),
+      ...(account && { accountId: account.id })
+    });
+    
+    auditLog('book.requested', {
+      jobId,
+      title,
+      pages: storyPages,
+      language,
+      characters: bookCharacters.length,
+      photos: bookCharacters.filter(ch => ch.image).length,
+      ...(series && { seriesId: series.id }),
+      estimate: estimate.total
+    }, req);
+    
+    // Return job ID immediately
+    res.json({ jobId, status: 'started' });
+    
+    // Start generation in background
+    enqueueJob(jobId, () => generateBookAsync(jobId, bookInput));
+    
+  } catch(err) {
+    failJob(jobId, err);
+    log('error', 'Book generation setup failed', { error: err.message, jobId });
+    if (!res.headersSent) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+});
+
+app.post('/api/job/:jobId/resume', limitRequests('generation'), (req, res) => {
+  const jobId = req.params.jobId;
+  const job = getJob(jobId);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'failed') {
+    return res.status(409).json({ error: `Only failed jobs can be resumed (status: ${job.status})` });
+  }
+  if (job.safetyBlocked) {
+    return res.status(409).json({ error: 'This book was blocked by the content safety check; change the story and start a new generation' });
+  }
+  
+  const input = job.runId ? readCheckpoint(runDir(job.runId), 'input.json') : null;
+  if (!input) {
+    return res.status(409).json({ error: 'No checkpoint found for this job, start a new generation instead' });
+  }
+  
+  log('info', 'Resuming job from checkpoint', { jobId, runId: job.runId });
+  updateJob(jobId, {
+    status: 'started',
+    error: null,
+    endTime: null,
+    currentPhase: 'Resuming...',
+    resumeCount: (job.resumeCount || 0) + 1
+  });
+  auditLog('book.resumed', { jobId, title: job.title }, req);
+  res.json({ jobId, status: 'started', resumed: true });
+  
+  enqueueJob(jobId, () => generateBookAsync(jobId, input));
+});
+
+// ---- Page Editing ----
+// Finished books can be edited page by page from their run artifacts and
+// rebuilt into a new PDF without regenerating the rest of the book.
+const EDITABLE_PAGE_FIELDS = ['title', 'description', 'characters', 'environment', 'text'];
+
+function loadFinishedRun(req, res) {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  if (job.status !== 'completed') {
+    res.status(409).json({ error: `Pages can only be edited once the book is complete (status: ${job.status})` });
+    return null;
+  }
+  const outDir = runDir(job.runId);
+  const plan = readCheckpoint(outDir, 'plan.json');
+  const input = readCheckpoint(outDir, 'input.json');
+  if (!plan || !input) {
+    res.status(410).json({ error: 'Book artifacts are no longer available' });
+    return null;
+  }
+  assignImageFiles(plan);
+  return { job, outDir, plan, input };
+}
+
+function pageIndexParam(req, res, plan) {
+  const page = parseInt(req.params.page, 10);
+  if (!Number.isInteger(page) || page < 1 || page > plan.images.length) {
+    res.status(404).json({ error: 'Page not found' });
+    return null;
+  }
+  return page - 1;
+}
+
+function pickPageEdits(body) {
+  const edits = {};
+  for (const field of EDITABLE_PAGE_FIELDS) {
+    if (body?.[field] !== undefined) edits[field] = body[field];
+  }
+  return edits;
+}
+
+// Returns a list of human-readable problems; an empty list means the edits can be saved.
+// The cast is the book's characters plus anyone its plan already draws.
+function pageEditProblems(edits, run) {
+  const problems = ['title', 'description', 'environment', 'text']
+    .filter(field => field in edits && typeof edits[field] !== 'string')
+    .map(field => `${field} must be a string`);
+  if ('characters' in edits) {
+    const cast = [...new Set([
+      ...(run.input.characters || []).map(ch => ch.name),
+      ...run.plan.images.flatMap(imageObj => Array.isArray(imageObj.characters) ? imageObj.characters : [])
+    ].filter(name => typeof name === 'string' && name.trim()))];
+    const castNames = cast.map(name => name.trim().toLowerCase());
+    if (!Array.isArray(edits.characters) || !edits.characters.every(name => typeof name === 'string')) {
+      problems.push('characters must be a list of names');
+    } else {
+      const unknown = edits.characters.filter(name => !castNames.includes(name.trim().toLowerCase()));
+      if (unknown.length > 0) {
+        problems.push(`characters lists ${unknown.map(name => `"${name}"`).join(', ')}, not in the cast (${cast.join(', ') || 'none'})`);
+      }
+    }
+  }
+  return problems;
+}
+
+// Edited text goes through the same content safety check as the original plan;
+// answers 400 and returns null when it is blocked, otherwise the flagged findings
+async function checkPageEdits(run, imageIndex, edits, res) {
+  const where = `page ${imageIndex + 1}`;
+  const items = ['title', 'text', 'description', 'environment']
+    .filter(field => typeof edits[field] === 'string' && edits[field])
+    .map(field => ({ where: `${where} ${field}`, text: edits[field] }));
+  const review = await reviewContent(items, run.input.readerAge);
+  if (review.decision === 'block') {
+    res.status(400).json({ error: safetyBlockMessage(review), findings: review.findings });
+    return null;
+  }
+  return review.findings;
+}
+
+// Re-read the plan right before writing so concurrent edits to other pages are kept
+function updatePlan(outDir, mutate) {
+  const plan = readCheckpoint(outDir, 'plan.json');
+  assignImageFiles(plan);
+  mutate(plan);
+  writeCheckpoint(outDir, 'plan.json', plan);
+  return plan;
+}
+
+function sceneContextFor({ outDir, plan, input }) {
+  return {
+    outDir,
+    plan,
+    artStyle: input.artStyle,
+    analyses: readCheckpoint(outDir, 'analyses.json') || input.characters.map(ch => describedCharacter(ch, input.artStyle)),
+    characters: input.characters,
+    referenceMode: referenceModeFor(outDir)
+  };
+}
+
+function describePage(run, imageIndex) {
+  const imageObj = run.plan.images[imageIndex];
+  const imagePath = path.join(run.outDir, imageObj.image);
+  const version = fs.existsSync(imagePath) ? Math.round(fs.statSync(imagePath).mtimeMs) : 0;
+  return {
+    page: imageIndex + 1,
+    role: pageRole(imageIndex, run.plan.images.length),
+    title: imageObj.title || '',
+    description: imageObj.description || '',
+    characters: imageObj.characters || [],
+    environment: imageObj.environment || '',
+    text: imageObj.text || '',
+    prompt: scenePrompt(sceneContextFor(run), imageObj, imageIndex),
+    imageUrl: `/api/job/${run.job.id}/pages/${imageIndex + 1}/image?v=${version}`
+  };
+}
+
+app.get('/api/job/:jobId/pages', (req, res) => {
+  const run = loadFinishedRun(req, res);
+  if (!run) return;
+  res.json({
+    jobId: run.job.id,
+    title: run.plan.title || run.input.title,
+    needsRebuild: !!run.job.needsRebuild,
+    pages: run.plan.images.map((_, imageIndex) => describePage(run, imageIndex))
+  });
+});
+
+app.get('/api/job/:jobId/pages/:page/image', (req, res) => {
+  const run = loadFinishedRun(req, res);
+  if (!run) return;
+  const imageIndex = pageIndexParam(req, res, run.plan);
+  if (imageIndex === null) return;
+  res.set('Cache-Control', 'no-cache');
+  res.sendFile(path.resolve(run.outDir, run.plan.images[imageIndex].image));
+});
+
+app.patch('/api/job/:jobId/pages/:page', async (req, res) => {
+  const run = loadFinishedRun(req, res);
+  if (!run) return;
+  const imageIndex = pageIndexParam(req, res, run.plan);
+  if (imageIndex === null) return;
+
+  const edits = pickPageEdits(req.body);
+  const problems = pageEditProblems(edits, run);
+  if (problems.length > 0) {
+    return res.status(400).json({ error: `Invalid page edits: ${problems[0]}`, problems });
+  }
+  try {
+    const findings = await checkPageEdits(run, imageIndex, edits, res);
+    if (!findings) return;
+    run.plan = updatePlan(run.outDir, plan => Object.assign(plan.images[imageIndex], edits));
+    updateJob(run.job.id, { needsRebuild: true });
+    log('info', 'Page edited', { jobId: run.job.id, page: imageIndex + 1, fields: Object.keys(edits) });
+    res.json({ ...describePage(run, imageIndex), ...(findings.length > 0 && { warnings: findings.map(formatFinding) }) });
+  } catch (err) {
+    log('error', 'Page edit failed', { jobId: run.job.id, page: imageIndex + 1, error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/job/:jobId/pages/:page/regenerate', limitRequests('generation'), async (req, res) => {
+  const run = loadFinishedRun(req, res);
+  if (!run) return;
+  const imageIndex = pageIndexParam(req, res, run.plan);
+  if (imageIndex === null) return;
+
+  const edits = pickPageEdits(req.body);
+  const problems = pageEditProblems(edits, run);
+  if (problems.length > 0) {
+    return res.status(400).json({ error: `Invalid page edits: ${problems[0]}`, problems });
+  }
+  try {
+    const findings = await checkPageEdits(run, imageIndex, edits, res);
+    if (!findings) return;
+    Object.assign(run.plan.images[imageIndex], edits);
+    log('info', 'PHASE START: Page regeneration', { jobId: run.job.id, page: imageIndex + 1, edited: Object.keys(edits) });
+
+    await meterJob(run.job.id, () => generatePageImage(sceneContextFor(run), run.plan.images[imageIndex], imageIndex), { priority: 'high' });
+    run.plan = updatePlan(run.outDir, plan => Object.assign(plan.images[imageIndex], edits));
+    updateJob(run.job.id, { needsRebuild: true });
+
+    log('info', 'PHASE END: Page regeneration', { jobId: run.job.id, page: imageIndex + 1 });
+    auditLog('page.regenerated', { jobId: run.job.id, page: imageIndex + 1 }, req);
+    res.json({ ...describePage(run, imageIndex), ...(findings.length > 0 && { warnings: findings.map(formatFinding) }) });
+  } catch (err) {
+    log('error', 'Page regeneration failed', { jobId: run.job.id, page: imageIndex + 1, error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Body: { order: [page numbers in their new order] }; covers stay first and last
+app.post('/api/job/:jobId/pages/reorder', (req, res) => {
+  const run = loadFinishedRun(req, res);
+  if (!run) return;
+
+  const count = run.plan.images.length;
+  const order = req.body?.order;
+  const isPermutation = Array.isArray(order) && order.length === count &&
+    new Set(order).size === count && order.every(n => Number.isInteger(n) && n >= 1 && n <= count);
+  if (!isPermutation) {
+    return res.status(400).json({ error: `order must list every page number from 1 to ${count} exactly once` });
+  }
+  if (order[0] !== 1 || order[count - 1] !== count) {
+    return res.status(400).json({ error: 'Front and back covers cannot be moved' });
+  }
+
+  run.plan = updatePlan(run.outDir, plan => {
+    plan.images = order.map(n => plan.images[n - 1]);
+    plan.images.forEach((imageObj, imageIndex) => { imageObj.page = imageIndex + 1; });
+  });
+  updateJob(run.job.id, { needsRebuild: true });
+  log('info', 'Pages reordered', { jobId: run.job.id, order });
+  res.json({
+    jobId: run.job.id,
+    pages: run.plan.images.map((_, imageIndex) => describePage(run, imageIndex))
+  });
+});
+
+// Optional body: { printProfile, spreads, cropMarks } to export the book in another
+// output profile, { narrate, narrationVoice } to add, change or drop narration
+app.post('/api/job/:jobId/rebuild', limitRequests('generation'), async (req, res) => {
+  const run = loadFinishedRun(req, res);
+  if (!run) return;
+
+  try {
+    run.input = { ...run.input, ...pickPrintOptions(req.body || {}, run.input), ...pickNarrationOptions(req.body || {}, run.input) };
+    writeCheckpoint(run.outDir, 'input.json', run.input);
+    log('info', 'PHASE START: Rebuilding PDF from stored artifacts', { jobId: run.job.id, printProfile: run.input.printProfile, narrate: run.input.narrate });
+    const { pdfResult, coverResult } = await buildAndStorePDF(run.outDir, run.input, run.plan);
+    // Only pages whose text changed are narrated again
+    const narration = run.input.narrate ? await meterJob(run.job.id, () => narrateBook(run.outDir, run.plan, run.input), { priority: 'high' }) : null;
+    const audioResult = narration ? (await buildAndStoreAudioBundle(run.outDir, run.input, run.plan, narration)).audioResult : null;
+    const { epubResult } = await buildAndStoreEPUB(run.outDir, run.input, run.plan, narration);
+    const { cover, audio, ...previous } = run.job.result || {};
+    const result = {
+      ...previous,
+      pdf: pdfResult,
+      epub: epubResult,
+      ...(coverResult && { cover: coverResult }),
+      ...(audioResult && { audio: audioResult }),
+      artifacts: await storeRunArtifacts(run.outDir, run.plan)
+    };
+    updateJob(run.job.id, { result, needsRebuild: false });
+    saveFinishedJobToLibrary(run.job.id, result);
+    log('info', 'PHASE END: PDF rebuilt', { jobId: run.job.id, storageDriver: pdfResult.driver });
+    res.json(result);
+  } catch (err) {
+    log('error', 'PDF rebuild failed', { jobId: run.job.id, error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ---- Language Editions ----
+// A finished book can be issued again in another language. Each edition is its
+// own job and run: illustrations and character references are linked from the
+// original run and only the title, author line and page text are translated.
+const EDITION_SHARED_FILES = ['analyses.json', 'characters-board.png'];
+
+// Hard links keep editions free on disk; copy where the filesystem refuses them
+function linkRunFile(fromDir, toDir, name) {
+  const from = path.join(fromDir, name);
+  const to = path.join(toDir, name);
+  if (!hasCheckpoint(fromDir, name) || fs.existsSync(to)) return;
+  try {
+    fs.linkSync(from, to);
+  } catch (error) {
+    fs.copyFileSync(from, to);
+  }
+}
+
+function linkRunArtifacts(fromDir, toDir, plan) {
+  const references = fs.readdirSync(fromDir).filter(name => /^character-\d+\.png$/.test(name));
+  const names = [...EDITION_SHARED_FILES, ...references, ...plan.images.map(imageObj => imageObj.image)];
+  names.forEach(name => linkRunFile(fromDir, toDir, name));
+  return names.length;
+}
+
+// The original book's run, or null once its job or artifacts are gone
+function originalRun(jobId) {
+  const job = getJob(jobId);
+  if (!job?.runId || job.status !== 'completed') return null;
+  const outDir = runDir(job.runId);
+  const plan = readCheckpoint(outDir, 'plan.json');
+  const input = readCheckpoint(outDir, 'input.json');
+  if (!plan || !input) return null;
+  assignImageFiles(plan);
+  return { job, outDir, plan, input };
+}
+
+// Returns a list of human-readable problems; an empty list means the translation is usable
+function validateTranslation(translation, plan) {
+  if (!translation || typeof translation !== 'object' || Array.isArray(translation)) {
+    return ['response must be a JSON object'];
+  }
+  const errors = [];
+  if (typeof translation.title !== 'string' || !translation.title.trim()) {
+    errors.push('"title" must be a non-empty string');
+  }
+  if (!Array.isArray(translation.pages)) {
+    return [...errors, '"pages" must be an array'];
+  }
+  if (translation.pages.length !== plan.images.length) {
+    errors.push(`expected ${plan.images.length} pages but got ${translation.pages.length}`);
+  }
+  plan.images.forEach((imageObj, imageIndex) => {
+    const page = translation.pages[imageIndex];
+    if (!page) return;
+    if (page.page !== imageIndex + 1) {
+      errors.push(`/pages/${imageIndex}/page should be ${imageIndex + 1} but is ${page.page}`);
+    }
+    if (imageObj.text && !(typeof page.text === 'string' && page.text.trim())) {
+      errors.push(`/pages/${imageIndex}/text is missing its translation`);
+    }
+  });
+  return errors;
+}
+
+async function translateBook(jobId, { plan, input }, language) {
+  const sourceName = BOOK_LANGUAGES[bookLanguage(input)].name;
+  const targetName = BOOK_LANGUAGES[language].name;
+  const cast = [...new Set([
+    ...(input.characters || []).map(ch => ch.name),
+    ...plan.images.flatMap(imageObj => imageObj.characters || [])
+  ].filter(Boolean))];
+  const source = {
+    title: plan.title || input.title,
+    author: input.author || plan.author || '',
+    pages: plan.images.map((imageObj, imageIndex) => ({
+      page: imageIndex + 1,
+      role: pageRole(imageIndex, plan.images.length),
+      title: imageObj.title || '',
+      text: imageObj.text || ''
+    }))
+  };
+
+  const translationPrompt = [
+    {role:'system', content:"You are a children's book translator. Translate the words printed in a picture book. Output valid JSON only."},
+    {role:'user', content:`Translate this children's book from ${sourceName} into ${targetName}.
+
+Rules:
+- Keep the meaning, warmth and reading level (ages 3-8); sentences should read aloud naturally in ${targetName}
+- Keep character names (${cast.join(', ') || 'none given'}); write them in ${targetName} script only where that is the custom
+- The front cover text is the book title; the back cover text is a short blurb
+- Keep every "page" number and the number of pages exactly as given; a page with empty "text" stays empty
+
+Book:
+${JSON.stringify(source, null, 2)}
+
+Return JSON: {"title":"translated title", "author":"translated author line", "pages": [{"page":1, "title":"translated scene name", "text":"translated words printed on the page"}]}`}
+  ];
+
+  const context = { ...source, language, characters: cast };
+  let messages = translationPrompt;
+  let translation = null;
+  let problems = [];
+
+  for (let attempt = 0; attempt <= PLAN_REPAIR_ATTEMPTS; attempt++) {
+    const task = attempt === 0 ? 'translate' : 'translate-repair';
+    log('info', `Calling ${ai.name} provider for translation`, { attempt, task, language });
+
+    const translationPromise = ai.chat(messages, { task, context });
+    const translationTimeoutPromise = new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('Translation timeout after 45 seconds')), 45000)
+    );
+
+    const translationText = await Promise.race([translationPromise, translationTimeoutPromise]);
+    try {
+      translation = parseJSONResponse(translationText);
+      problems = validateTranslation(translation, plan);
+    } catch (e) {
+      translation = null;
+      problems = [`response was not valid JSON (${e.message})`];
+    }
+
+    if (problems.length === 0) break;
+
+    addJobWarning(jobId, attempt < PLAN_REPAIR_ATTEMPTS
+      ? `Translation had ${problems.length} problem(s), asking for a repair: ${problems[0]}`
+      : `Translation still has ${problems.length} problem(s) after ${attempt} repair attempt(s): ${problems[0]}`, { attempt, problems });
+    messages = [
+      ...translationPrompt,
+      {role:'assistant', content: translationText},
+      {role:'user', content:`That translation cannot be used. Fix these problems and return the complete corrected JSON (all ${plan.images.length} pages, same format):
+${problems.map(p => `- ${p}`).join('\n')}`}
+    ];
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Failed to translate the book into ${targetName}: ${problems.slice(0, 5).join('; ')}`);
+  }
+  return { translation, sourceAuthor: source.author };
+}
+
+// The edition's plan keeps every illustration field and swaps in the translated words
+function translatedPlan(plan, translation, sourceAuthor) {
+  return {
+    ...plan,
+    title: translation.title.trim(),
+    author: sourceAuthor ? (translation.author || sourceAuthor) : plan.author,
+    images: plan.images.map((imageObj, imageIndex) => {
+      const page = translation.pages[imageIndex];
+      return {
+        ...imageObj,
+        title: page.title || imageObj.title,
+        text: imageObj.text ? page.text.trim() : ''
+      };
+    })
+  };
+}
+
+async function createEditionAsync(jobId, source, language) {
+  const editionOf = source.input.editionOf || source.job.id;
+  try {
+    const runId = getJob(jobId).runId;
+    const outDir = runDir(runId);
+    fs.mkdirSync(outDir, { recursive: true });
+    const linked = linkRunArtifacts(source.outDir, outDir, source.plan);
+    log('info', 'Edition run prepared from original artifacts', { jobId, runId, sourceRunId: source.job.runId, linked });
+
+    log('info', 'PHASE START: Translation', { jobId, from: bookLanguage(source.input), to: language });
+    startStep(jobId, 'translation');
+    const { translation, sourceAuthor } = await translateBook(jobId, source, language);
+    const plan = translatedPlan(source.plan, translation, sourceAuthor);
+    const input = {
+      ...source.input,
+      title: plan.title,
+      author: source.input.author ? plan.author : source.input.author,
+      language,
+      editionOf
+    };
+    writeCheckpoint(outDir, 'input.json', input);
+    writeCheckpoint(outDir, 'plan.json', plan);
+    await checkPlanSafety(jobId, outDir, plan, input.readerAge);
+    updateJob(jobId, { title: plan.title });
+    finishStep(jobId, 'translation');
+    log('info', 'PHASE END: Translation', { jobId, title: plan.title });
+
+    startStep(jobId, 'pdf', 'Building PDF...');
+    const { pdfResult, coverResult } = await buildAndStorePDF(outDir, input, plan);
+    finishStep(jobId, 'pdf', { timingKey: 'local/pdf' });
+
+    let narration = null;
+    let audioResult = null;
+    if (input.narrate) {
+      startStep(jobId, 'narration', 'Recording narration...');
+      narration = await narrateBook(outDir, plan, input, (page, total) =>
+        updateJob(jobId, { currentPhase: `Recording narration for page ${page} of ${total}...` }));
+      ({ audioResult } = await buildAndStoreAudioBundle(outDir, input, plan, narration));
+      finishStep(jobId, 'narration');
+    }
+    startStep(jobId, 'epub', 'Building EPUB...');
+    const { epubResult } = await buildAndStoreEPUB(outDir, input, plan, narration);
+    finishStep(jobId, 'epub', { timingKey: 'local/epub' });
+    currentSignal()?.throwIfAborted();
+
+    startStep(jobId, 'upload', 'Saving the edition...');
+    const result = {
+      pdf: pdfResult,
+      epub: epubResult,
+      ...(audioResult && { audio: audioResult }),
+      ...(coverResult && { cover: coverResult }),
+      artifacts: await storeRunArtifacts(outDir, plan),
+      runId,
+      editionOf,
+      language
+    };
+    saveFinishedJobToLibrary(jobId, result);
+    finishStep(jobId, 'upload', { timingKey: 'local/upload' });
+    completeJob(jobId, result);
+    const original = getJob(editionOf);
+    if (original) {
+      updateJob(editionOf, { editions: [...(original.editions || []), { jobId, language, title: plan.title }] });
+    }
+    log('info', 'Language edition completed', { jobId, editionOf, language, storageDriver: pdfResult.driver });
+  } catch (err) {
+    if (getJob(jobId)?.status === 'cancelled') {
+      log('info', 'Language edition stopped after cancellation', { jobId });
+      return;
+    }
+    failJob(jobId, err);
+    log('error', 'Language edition failed', { error: err.message, stack: err.stack, jobId, editionOf, language });
+  }
+}
+
+// One translation call plus narration when the book is narrated
+function estimateEditionCost(source) {
+  const text = source.plan.images.map(imageObj => imageObj.text || '').join(' ');
+  const translation = priceUsage({ kind: 'chat', model: OPENAI_CHAT_MODEL, inputTokens: 600 + estimateTokens(source.plan), outputTokens: 100 + estimateTokens(text) * 2 }) || 0;
+  const narration = source.input.narrate ? priceUsage({ kind: 'speech', model: OPENAI_TTS_MODEL, characters: text.length }) || 0 : 0;
+  return roundUSD(translation + narration);
+}
+
+// Body: { language }. Returns the new edition's job id; follow it like any other job.
+app.post('/api/job/:jobId/editions', limitRequests('generation'), (req, res) => {
+  const run = loadFinishedRun(req, res);
+  if (!run) return;
+
+  const language = req.body?.language;
+  if (!BOOK_LANGUAGES[language]) {
+    return res.status(400).json({ error: `language must be one of: ${Object.keys(BOOK_LANGUAGES).join(', ')}` });
+  }
+  // Editions always hang off the original book and are translated from its plan,
+  // so asking an edition for another edition never translates a translation
+  const editionOf = run.input.editionOf || run.job.id;
+  const source = editionOf === run.job.id ? run : originalRun(editionOf) || run;
+  if (language === bookLanguage(run.input) || language === bookLanguage(source.input)) {
+    return res.status(400).json({ error: `This book is already in ${BOOK_LANGUAGES[language].name}` });
+  }
+
+  const account = accountFor(req);
+  const estimate = estimateEditionCost(source);
+  const refusal = budgetRefusal(account, estimate);
+  if (refusal) {
+    return res.status(402).json({ error: refusal, estimate });
+  }
+
+  const jobId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+  createJob(jobId, run.job.title);
+  updateJob(jobId, {
+    ...(account && { accountId: account.id }),
+    runId: `${Date.now().toString(36)}-${language}`,
+    editionOf,
+    language,
+    estimate,
+    priority: pickPriority(req.body || {}),
+    currentPhase: `Translating into ${BOOK_LANGUAGES[language].name}...`
+  });
+  startEditionProgress(jobId, source.input, source.plan);
+  log('info', 'Language edition requested', { jobId, editionOf, source: source.job.id, language });
+  auditLog('edition.requested', { jobId, editionOf, language }, req);
+  res.json({ jobId, status: 'started', editionOf, language });
+
+  enqueueJob(jobId, () => createEditionAsync(jobId, source, language));
+});
+
+app.get('/api/job/:jobId/editions', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  const originalId = job.editionOf || job.id;
+  const original = getJob(originalId);
+  res.json({
+    original: originalId,
+    editions: (original?.editions || []).map(edition => ({ ...edition, status: getJob(edition.jobId)?.status || 'unknown' }))
+  });
+});
+
+// ---- Accounts ----
+// Accounts are identified by an API key sent as "Authorization: Bearer <key>"
+// (or "X-API-Key"). Keys look like bk_<accountId>_<secret>; only a hash of the
+// key is stored, so a lost key cannot be recovered, only replaced by a new account.
+const LIBRARY_DIR = process.env.LIBRARY_DIR || path.join('/tmp', 'book-maker-library');
+const ACCOUNTS_DIR = path.join(LIBRARY_DIR, 'accounts');
+const API_KEY_PATTERN = /^bk_([0-9a-f]{16})_[\w-]{20,}$/;
+
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function accountView({ keyHash, ...account }) {
+  return account;
+}
+
+function requestApiKey(req) {
+  const header = req.get('authorization') || '';
+  return (header.startsWith('Bearer ') ? header.slice(7) : req.get('x-api-key') || '').trim();
+}
+
+function accountForApiKey(apiKey) {
+  const match = API_KEY_PATTERN.exec(apiKey);
+  if (!match) return null;
+  const account = readCheckpoint(ACCOUNTS_DIR, `${match[1]}.json`);
+  if (!account) return null;
+  const expected = Buffer.from(account.keyHash, 'hex');
+  const actual = Buffer.from(hashApiKey(apiKey), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? account : null;
+}
+
+// The account behind the request's API key or, failing that, its session cookie;
+// null for anonymous requests. Worked out once per request, as req.auth.
+function accountFor(req) {
+  if (req.auth === undefined) {
+    const keyAccount = accountForApiKey(requestApiKey(req));
+    const session = keyAccount ? null : readSession(req);
+    req.auth = keyAccount ? { account: keyAccount, via: 'api-key' }
+      : session ? { account: session.account, via: 'session' } : null;
+  }
+  return req.auth?.account || null;
+}
+
+function requireAccount(req, res) {
+  const account = accountFor(req);
+  if (!account) {
+    res.status(401).json({ error: 'Sign in, or send a valid API key (Authorization: Bearer <key>)' });
+    return null;
+  }
+  return account;
+}
+
+// Body: { name }. The API key is only ever returned by this call.
+app.post('/api/accounts', limitRequests('auth'), (req, res) => {
+  if (!ALLOW_SIGNUP && !isAdminRequest(req)) {
+    return res.status(403).json({ error: 'Sign-up is closed; ask the administrator for an account' });
+  }
+  const name = String(req.body?.name || '').trim().slice(0, 80);
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  const id = crypto.randomBytes(8).toString('hex');
+  const apiKey = `bk_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  const account = { id, name, keyHash: hashApiKey(apiKey), createdAt: new Date().toISOString() };
+  fs.mkdirSync(ACCOUNTS_DIR, { recursive: true });
+  writeCheckpoint(ACCOUNTS_DIR, `${id}.json`, account);
+  log('info', 'Account created', { accountId: id });
+  auditLog('account.created', { accountId: id, name }, req);
+  res.status(201).json({ account: accountView(account), apiKey });
+});
+
+app.get('/api/account', (req, res) => {
+  const account = requireAccount(req, res);
+  if (!account) return;
+  res.json(accountView(account));
+});
+
+// ---- Authentication ----
+// Integrations send their API key with every request. The PWA trades it once for
+// a session cookie (HttpOnly, SameSite=Strict), so the key is not kept in the
+// browser. With AUTH_REQUIRED (the default) every /api route needs one or the
+// other, except sign-up, sign-in, share links and signed file links. A job can
+// only be seen or changed by the account that started it, and requests that use
+// the session cookie to change something must come from this site's own pages.
+// Sign-up is closed unless ALLOW_SIGNUP=true; the administrator creates accounts
+// by sending ADMIN_API_KEY to POST /api/accounts.
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED !== 'false';
+const ALLOW_SIGNUP = process.env.ALLOW_SIGNUP === 'true';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+if (AUTH_REQUIRED && !ALLOW_SIGNUP && !ADMIN_API_KEY) {
+  log('warn', 'Sign-up is closed and ADMIN_API_KEY is not set, so no accounts can be created');
+}
+const SESSIONS_DIR = path.join(LIBRARY_DIR, 'sessions');
+const SESSION_COOKIE = 'bk_session';
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS || '30', 10);
+// [method, path under /api] open to anonymous callers
+const PUBLIC_ROUTES = [
+  ['POST', /^\/accounts$/],
+  ['POST', /^\/session$/],
+  ['DELETE', /^\/session$/],
+  ['GET', /^\/shared\//],
+  ['GET', /^\/files\//]
+];
+
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const at = part.indexOf('=');
+    if (at > 0) cookies[part.slice(0, at).trim()] = decodeURIComponent(part.slice(at + 1).trim());
+  }
+  return cookies;
+}
+
+// Sessions are stored under a hash of their token, like API keys
+function sessionFile(token) {
+  return `${hashApiKey(token)}.json`;
+}
+
+function readSession(req) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (!token) return null;
+  const session = readCheckpoint(SESSIONS_DIR, sessionFile(token));
+  if (!session) return null;
+  if (Date.parse(session.expiresAt) < Date.now()) {
+    fs.rmSync(path.join(SESSIONS_DIR, sessionFile(token)), { force: true });
+    return null;
+  }
+  const account = readCheckpoint(ACCOUNTS_DIR, `${path.basename(session.accountId)}.json`);
+  return account ? { token, account } : null;
+}
+
+function sessionCookie(req, token, maxAgeSeconds) {
+  return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAgeSeconds}${req.secure ? '; Secure' : ''}`;
+}
+
+// Browsers send an Origin with requests that change something; older ones may leave it out
+function fromThisSite(req) {
+  const origin = req.get('origin');
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === req.get('host');
+  } catch (error) {
+    return false;
+  }
+}
+
+function isPublicRoute(req) {
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  return PUBLIC_ROUTES.some(([routeMethod, pattern]) => routeMethod === method && pattern.test(req.path));
+}
+
+function isAdminRequest(req) {
+  if (!ADMIN_API_KEY) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashApiKey(requestApiKey(req)), 'hex'), Buffer.from(hashApiKey(ADMIN_API_KEY), 'hex'));
+}
+
+// Mounted on /api ahead of the body parser and every route
+function authenticate(req, res, next) {
+  const account = accountFor(req);
+  if (req.auth?.via === 'session' && !['GET', 'HEAD', 'OPTIONS'].includes(req.method) && !fromThisSite(req)) {
+    log('warn', 'Cross-site request refused', { method: req.method, path: req.originalUrl, origin: req.get('origin') });
+    return res.status(403).json({ error: 'Cross-site requests are not allowed' });
+  }
+  if (!account && AUTH_REQUIRED && !isPublicRoute(req)) {
+    return res.status(401).json({ error: 'Sign in, or send a valid API key (Authorization: Bearer <key>)' });
+  }
+  next();
+}
+
+// Jobs started by an account do not exist for anyone else
+app.param('jobId', (req, res, next, jobId) => {
+  const job = getJob(jobId);
+  if (job?.accountId && job.accountId !== accountFor(req)?.id) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  next();
+});
+
+// Body: { apiKey }. Signs this browser in with a session cookie.
+app.post('/api/session', limitRequests('auth'), (req, res) => {
+  const account = accountForApiKey(String(req.body?.apiKey || '').trim());
+  if (!account) {
+    auditLog('session.refused', {}, req);
+    return res.status(401).json({ error: 'That API key was not recognised' });
+  }
+  const token = crypto.randomBytes(32).toString('base64url');
+  const session = {
+    accountId: account.id,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + SESSION_TTL_DAYS * 86400000).toISOString()
+  };
+  fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+  writeCheckpoint(SESSIONS_DIR, sessionFile(token), session);
+  res.set('Set-Cookie', sessionCookie(req, token, SESSION_TTL_DAYS * 86400));
+  auditLog('session.created', { accountId: account.id }, req);
+  res.status(201).json({ account: accountView(account), expiresAt: session.expiresAt });
+});
+
+app.delete('/api/session', (req, res) => {
+  const session = readSession(req);
+  if (session) {
+    fs.rmSync(path.join(SESSIONS_DIR, sessionFile(session.token)), { force: true });
+    auditLog('session.ended', { accountId: session.account.id }, req);
+  }
+  res.set('Set-Cookie', sessionCookie(req, '', 0));
+  res.json({ signedOut: true });
+});
+
+// ---- Request Limits ----
+// Endpoints that spend model budget are rate limited per account and per client
+// IP, and sign-up and sign-in per IP (token buckets, requests per hour; 0 turns a
+// limit off). The buckets live in the server process. Character photos arrive as
+// data URLs and are checked for count, format and size before anything else.
+const REQUEST_LIMITS = {
+  generation: {
+    perAccount: parseFloat(process.env.GENERATION_LIMIT_PER_ACCOUNT || '30'),
+    perIp: parseFloat(process.env.GENERATION_LIMIT_PER_IP || '60')
+  },
+  auth: { perAccount: 0, perIp: parseFloat(process.env.AUTH_LIMIT_PER_IP || '20') }
+};
+const MAX_CHARACTERS = parseInt(process.env.MAX_CHARACTERS || '10', 10);
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES || String(5 * 1024 * 1024), 10);
+const CHARACTER_TEXT_MAX = 1000;
+const IMAGE_DATA_URL = /^data:image\/(png|jpeg|gif|bmp);base64,([A-Za-z0-9+/]*={0,2})$/;
+// Leading bytes (hex) of each accepted format, so a file of another kind is refused
+const IMAGE_SIGNATURES = { png: '89504e47', jpeg: 'ffd8ff', gif: '47494638', bmp: '424d' };
+
+const requestBuckets = new Map(); // "<limit>:<account or ip>" -> { tokens, last }
+
+// Takes a request from the bucket; returns 0, or the seconds until one is available
+function takeRequest(bucketKey, perHour) {
+  if (!perHour) return 0;
+  const now = Date.now();
+  const bucket = requestBuckets.get(bucketKey) || { tokens: perHour, last: now };
+  bucket.tokens = Math.min(perHour, bucket.tokens + (now - bucket.last) * perHour / 3600000);
+  bucket.last = now;
+  requestBuckets.set(bucketKey, bucket);
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil((1 - bucket.tokens) * 3600 / perHour);
+}
+
+// Buckets untouched for an hour are full again, so they can go
+setInterval(() => {
+  const cutoff = Date.now() - 3600000;
+  for (const [bucketKey, bucket] of requestBuckets) {
+    if (bucket.last < cutoff) requestBuckets.delete(bucketKey);
+  }
+}, 600000).unref();
+
+function limitRequests(name) {
+  return (req, res, next) => {
+    const { perAccount, perIp } = REQUEST_LIMITS[name];
+    const account = accountFor(req);
+    const wait = (account && takeRequest(`${name}:account:${account.id}`, perAccount)) || takeRequest(`${name}:ip:${req.ip}`, perIp);
+    if (wait > 0) {
+      log('warn', 'Request rate limited', { limit: name, accountId: account?.id, ip: req.ip, path: req.originalUrl, retryAfter: wait });
+      auditLog('request.rate-limited', { limit: name, path: req.originalUrl, retryAfter: wait }, req);
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({ error: `Too many requests, try again in ${Math.ceil(wait / 60)} minute(s)` });
+    }
+    next();
+  };
+}
+
+// A problem with a photo data URL, or null when it is acceptable
+function imageDataURLProblem(value) {
+  if (typeof value !== 'string') return 'must be a data URL';
+  const match = IMAGE_DATA_URL.exec(value);
+  if (!match) return 'must be a base64 data URL of a PNG, JPEG, GIF or BMP image';
+  const [, format, data] = match;
+  const bytes = Math.floor(data.length * 3 / 4) - (data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0);
+  if (bytes > MAX_IMAGE_BYTES) {
+    return `is ${(bytes / 1048576).toFixed(1)} MB, larger than the ${(MAX_IMAGE_BYTES / 1048576).toFixed(1)} MB allowed`;
+  }
+  if (!Buffer.from(data.slice(0, 16), 'base64').toString('hex').startsWith(IMAGE_SIGNATURES[format])) {
+    return `is not a ${format.toUpperCase()} image`;
+  }
+  return null;
+}
+
+// Problems with a request's characters[]: too many, wrong types, overlong text or bad photos
+function characterProblems(characters) {
+  if (characters === undefined) return [];
+  if (!Array.isArray(characters)) return ['characters must be an array'];
+  const problems = [];
+  if (characters.length > MAX_CHARACTERS) {
+    problems.push(`at most ${MAX_CHARACTERS} characters are allowed, got ${characters.length}`);
+  }
+  characters.slice(0, MAX_CHARACTERS).forEach((ch, characterIndex) => {
+    const label = `characters[${characterIndex}]`;
+    if (!ch || typeof ch !== 'object' || Array.isArray(ch)) {
+      problems.push(`${label} must be an object`);
+      return;
+    }
+    for (const field of [...CHARACTER_FIELDS, 'characterId']) {
+      if (ch[field] === undefined) continue;
+      if (typeof ch[field] !== 'string') problems.push(`${label}.${field} must be a string`);
+      else if (ch[field].length > CHARACTER_TEXT_MAX) problems.push(`${label}.${field} is longer than ${CHARACTER_TEXT_MAX} characters`);
+    }
+    const imageProblem = ch.image ? imageDataURLProblem(ch.image) : null;
+    if (imageProblem) problems.push(`${label}.image ${imageProblem}`);
+  });
+  return problems;
+}
+
+// ---- Audit Log ----
+// Who did what and from where: sign-ups and sign-ins, books, editions, plan
+// approvals and page regenerations requested, books finished, cancellations and
+// rate-limited requests. One JSON line per event in AUDIT_DIR/<YYYY-MM>.jsonl;
+// accounts can read their own entries.
+const AUDIT_DIR = process.env.AUDIT_DIR || path.join(LIBRARY_DIR, 'audit');
+
+// details.accountId names the account when there is no request (work finished in the background)
+function auditLog(action, details = {}, req = null) {
+  const entry = {
+    at: new Date().toISOString(),
+    action,
+    accountId: req ? accountFor(req)?.id || null : null,
+    ...(req && { via: req.auth?.via || null, ip: req.ip, userAgent: req.get('user-agent') || '' }),
+    ...details
+  };
+  try {
+    fs.mkdirSync(AUDIT_DIR, { recursive: true });
+    fs.appendFileSync(path.join(AUDIT_DIR, `${usageMonth()}.jsonl`), JSON.stringify(entry) + '\n');
+  } catch (error) {
+    log('error', 'Audit log write failed', { action, error: error.message });
+  }
+}
+
+// Jobs finish in the background, so the account comes from the job
+function auditJob(action, job, details = {}) {
+  auditLog(action, { accountId: job.accountId || null, jobId: job.id, title: job.title, cost: job.usage?.cost ?? 0, ...details });
+}
+
+function readAuditLog(accountId, month) {
+  let lines;
+  try {
+    lines = fs.readFileSync(path.join(AUDIT_DIR, `${month}.jsonl`), 'utf8').split('\n');
+  } catch (error) {
+    return [];
+  }
+  return lines.filter(Boolean).map(line => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      return null;
+    }
+  }).filter(entry => entry?.accountId === accountId);
+}
+
+// Query: ?month=YYYY-MM (default: this month). Newest first.
+app.get('/api/account/audit', (req, res) => {
+  const account = requireAccount(req, res);
+  if (!account) return;
+  const month = /^\d{4}-\d{2}$/.test(req.query.month || '') ? req.query.month : usageMonth();
+  res.json({ month, entries: readAuditLog(account.id, month).reverse() });
+});
+
+// ---- Usage and Budgets ----
+// Spend is totalled per account and calendar month (UTC) under USAGE_DIR. An
+// account's monthlyBudget caps it: new books are refused when their estimate
+// would go over, and model calls stop once the month's spend reaches the cap.
+const USAGE_DIR = path.join(LIBRARY_DIR, 'usage');
+const parseUSD = value => (value === undefined || value === '' ? null : Number(value));
+const DEFAULT_MONTHLY_BUDGET_USD = parseUSD(process.env.DEFAULT_MONTHLY_BUDGET_USD);
+const MAX_MONTHLY_BUDGET_USD = parseUSD(process.env.MAX_MONTHLY_BUDGET_USD);
+const MAX_JOB_COST_USD = parseUSD(process.env.MAX_JOB_COST_USD);
+
+function usageMonth(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+function readMonthlyUsage(accountId, month = usageMonth()) {
+  return readCheckpoint(path.join(USAGE_DIR, path.basename(accountId)), `${month}.json`) ||
+    { month, cost: 0, calls: 0, byKind: {}, jobs: {} };
+}
+
+function addAccountSpend(accountId, jobId, record) {
+  const dir = path.join(USAGE_DIR, path.basename(accountId));
+  const usage = readMonthlyUsage(accountId);
+  const kind = usage.byKind[record.kind] || { cost: 0, calls: 0 };
+  usage.cost = roundUSD(usage.cost + record.cost);
+  usage.calls += 1;
+  usage.byKind[record.kind] = { cost: roundUSD(kind.cost + record.cost), calls: kind.calls + 1 };
+  // Calls made outside a job (story ideas, saved character analysis) are listed under "other"
+  const key = jobId || 'other';
+  const job = usage.jobs[key] || { title: jobId ? getJob(jobId)?.title || '' : 'Outside books', cost: 0, calls: 0 };
+  usage.jobs[key] = { ...job, cost: roundUSD(job.cost + record.cost), calls: job.calls + 1 };
+  fs.mkdirSync(dir, { recursive: true });
+  writeCheckpoint(dir, `${usage.month}.json`, usage);
+}
+
+// MAX_MONTHLY_BUDGET_USD also caps accounts that have not set a budget
+function accountBudget(account) {
+  const budget = account?.monthlyBudget ?? DEFAULT_MONTHLY_BUDGET_USD;
+  if (MAX_MONTHLY_BUDGET_USD === null) return budget;
+  return budget === null ? MAX_MONTHLY_BUDGET_USD : Math.min(budget, MAX_MONTHLY_BUDGET_USD);
+}
+
+function formatUSD(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+// Why a job estimated at `estimate` dollars may not start, or null when it may
+function budgetRefusal(account, estimate) {
+  if (MAX_JOB_COST_USD !== null && estimate > MAX_JOB_COST_USD) {
+    return `This book is estimated at ${formatUSD(estimate)}, above the ${formatUSD(MAX_JOB_COST_USD)} limit per book`;
+  }
+  const budget = accountBudget(account);
+  if (!account || budget === null) return null;
+  const spent = readMonthlyUsage(account.id).cost;
+  if (spent + estimate > budget) {
+    return `This book is estimated at ${formatUSD(estimate)} and ${formatUSD(spent)} of your ${formatUSD(budget)} monthly budget is already spent`;
+  }
+  return null;
+}
+
+function assertWithinBudget(accountId) {
+  if (!accountId) return;
+  const budget = accountBudget(readCheckpoint(ACCOUNTS_DIR, `${path.basename(accountId)}.json`));
+  if (budget === null) return;
+  const spent = readMonthlyUsage(accountId).cost;
+  if (spent >= budget) {
+    throw new Error(`Monthly budget of ${formatUSD(budget)} reached (${formatUSD(spent)} spent); raise it or wait until next month, then resume the job`);
+  }
+}
+
+// Token counts behind the estimate; real calls vary with the story and the model's answers
+const ESTIMATE_TOKENS = {
+  analysis: { input: 1200, output: 250 },
+  planning: { input: 1500, perCharacter: 120, output: 60, outputPerPage: 200 },
+  summary: { input: 900, output: 200 },
+  moderation: { input: 300, inputPerPage: 60, output: 100 },
+  imageModeration: { input: 1000, output: 100 },
+  illustration: { input: 600, perReference: 1100 },
+  narrationCharactersPerPage: 220
+};
+const ESTIMATE_IMAGE_REDRAW_RATE = parseFloat(process.env.ESTIMATE_IMAGE_REDRAW_RATE || '0.1');
+// Story pages a book may ask for, covers not counted
+const MAX_STORY_PAGES = parseInt(process.env.MAX_STORY_PAGES || '30', 10);
+const STORY_PAGES_ERROR = `numImages must be a whole number from 1 to ${MAX_STORY_PAGES}`;
+
+// numImages as a number of story pages, or null when it is missing or out of range
+function storyPageCount(numImages) {
+  const pages = parseInt(numImages, 10);
+  return Number.isInteger(pages) && pages >= 1 && pages <= MAX_STORY_PAGES ? pages : null;
+}
+
+function estimateLine(item, entry, count, note) {
+  const unitCost = priceUsage(entry) || 0;
+  return { item, model: entry.model, count, unitCost: roundUSD(unitCost), cost: roundUSD(unitCost * count), ...(note && { note }) };
+}
+
+// Token-priced image models also charge for the prompt and the reference images sent with it
+function referenceInputLine(model, pages) {
+  const price = MODEL_PRICES[model];
+  const t = ESTIMATE_TOKENS.illustration;
+  const unitCost = price?.imageInput ? (t.input * price.input + t.perReference * price.imageInput) / 1e6 : 0;
+  return { item: 'prompts and reference images', model, count: pages, unitCost: roundUSD(unitCost), cost: roundUSD(unitCost * pages) };
+}
+
+// Prices a book before it is generated. `total` is the expected cost; `upperBound`
+// assumes every plan repair runs and every illustration is drawn twice.
+function estimateBookCost({ numImages, characters = [], narrate = false, series = null }) {
+  const storyPages = storyPageCount(numImages);
+  if (storyPages === null) throw new Error(STORY_PAGES_ERROR);
+  const pages = storyPages + 2; // story images + front and back cover
+  const toAnalyze = characters.filter(ch => ch.image && !ch.bible && !readCachedBible(imageHash(ch.image))).length;
+  const withReferences = usesReferenceImages(characters);
+  const t = ESTIMATE_TOKENS;
+  const planCall = {
+    kind: 'chat', model: OPENAI_CHAT_MODEL,
+    inputTokens: t.planning.input + t.planning.perCharacter * characters.length,
+    outputTokens: t.planning.output + t.planning.outputPerPage * pages
+  };
+  const illustration = withReferences
+    ? { kind: 'image', model: OPENAI_IMAGE_EDIT_MODEL, size: '1024x1024', quality: 'auto', images: 1 }
+    : { kind: 'image', model: OPENAI_IMAGE_MODEL, size: '1024x1024', quality: OPENAI_IMAGE_MODEL.startsWith('dall-e') ? 'standard' : 'auto', images: 1 };
+
+  const lines = [
+    ...(toAnalyze > 0 ? [estimateLine('character analysis', { kind: 'chat', model: OPENAI_VISION_MODEL, inputTokens: t.analysis.input, outputTokens: t.analysis.output }, toAnalyze)] : []),
+    estimateLine('story plan', planCall, 1),
+    estimateLine('illustrations', illustration, pages, `${storyPages} pages and 2 covers`),
+    ...(withReferences ? [referenceInputLine(OPENAI_IMAGE_EDIT_MODEL, pages)] : []),
+    ...(ESTIMATE_IMAGE_REDRAW_RATE > 0 ? [estimateLine('redrawn illustrations', illustration, Math.ceil(pages * ESTIMATE_IMAGE_REDRAW_RATE), 'resumes and page regenerations')] : [])
+  ];
+  if (SAFETY_CHECKERS.includes('model')) {
+    lines.push(estimateLine('content safety review', { kind: 'chat', model: OPENAI_CHAT_MODEL, inputTokens: t.moderation.input + t.moderation.inputPerPage * pages, outputTokens: t.moderation.output }, 2, 'request and plan'));
+  }
+  if (SAFETY_CHECK_IMAGES) {
+    lines.push(estimateLine('illustration safety review', { kind: 'chat', model: OPENAI_VISION_MODEL, inputTokens: t.imageModeration.input, outputTokens: t.imageModeration.output }, pages));
+  }
+  if (narrate) {
+    lines.push(estimateLine('narration', { kind: 'speech', model: OPENAI_TTS_MODEL, characters: t.narrationCharactersPerPage }, pages));
+  }
+  if (series) {
+    lines.push(estimateLine('series volume summary', { kind: 'chat', model: OPENAI_CHAT_MODEL, inputTokens: t.summary.input, outputTokens: t.summary.output }, 1));
+  }
+
+  const total = roundUSD(lines.reduce((sum, line) => sum + line.cost, 0));
+  const repairs = PLAN_REPAIR_ATTEMPTS * (priceUsage({ ...planCall, inputTokens: planCall.inputTokens + planCall.outputTokens }) || 0);
+  const redraws = lines.filter(line => line.item === 'redrawn illustrations').reduce((sum, line) => sum + line.cost, 0);
+  const drawing = lines.filter(line => line.item === 'illustrations' || line.item === 'prompts and reference images').reduce((sum, line) => sum + line.cost, 0);
+  const upperBound = roundUSD(total - redraws + repairs + drawing);
+  const unpriced = [...new Set(lines.filter(line => !MODEL_PRICES[line.model]).map(line => line.model))];
+  return { currency: 'USD', total, upperBound, lines, unpriced };
+}
+
+// Body: the same fields as /api/generate; nothing is generated
+app.post('/api/estimate', (req, res) => {
+  const { numImages, characters, narrate, seriesId } = req.body || {};
+  const account = accountFor(req);
+  const pages = storyPageCount(numImages);
+  if (pages === null) {
+    return res.status(400).json({ error: STORY_PAGES_ERROR });
+  }
+  const problems = characterProblems(characters);
+  if (problems.length > 0) {
+    return res.status(400).json({ error: `Invalid characters: ${problems[0]}`, problems });
+  }
+  const series = seriesId && account ? readSeries(account.id, String(seriesId)) : null;
+  let bookCharacters;
+  try {
+    bookCharacters = series ? seriesCharacters(account, series, characters || []) : resolveSavedCharacters(account, characters || []);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const estimate = estimateBookCost({ numImages: pages, characters: bookCharacters, narrate: !!narrate, series });
+  const budget = accountBudget(account);
+  res.json({
+    ...estimate,
+    ...(account && budget !== null && { budget: { monthly: budget, spent: readMonthlyUsage(account.id).cost } }),
+    refusal: budgetRefusal(account, estimate.total)
+  });
+});
+
+// Query: ?month=YYYY-MM (default: this month)
+app.get('/api/usage', (req, res) => {
+  const account = requireAccount(req, res);
+  if (!account) return;
+  const month = /^\d{4}-\d{2}$/.test(req.query.month || '') ? req.query.month : usageMonth();
+  const usage = readMonthlyUsage(account.id, month);
+  const budget = accountBudget(account);
+  res.json({
+    ...usage,
+    budget,
+    remaining: budget === null ? null : roundUSD(Math.max(0, budget - usage.cost)),
+    jobs: Object.entries(usage.jobs).map(([jobId, job]) => ({ jobId, ...job })).sort((a, b) => b.cost - a.cost)
+  });
+});
+
+// Body: { monthlyBudget: dollars, or null for the server default }
+app.patch('/api/account', (req, res) => {
+  const account = requireAccount(req, res);
+  if (!account) return;
+  const monthlyBudget = req.body?.monthlyBudget;
+  if (monthlyBudget !== null && !(typeof monthlyBudget === 'number' && monthlyBudget >= 0)) {
+    return res.status(400).json({ error: 'monthlyBudget must be a number of dollars (0 or more) or null' });
+  }
+  if (MAX_MONTHLY_BUDGET_USD !== null && monthlyBudget > MAX_MONTHLY_BUDGET_USD) {
+    return res.status(400).json({ error: `monthlyBudget cannot be above ${formatUSD(MAX_MONTHLY_BUDGET_USD)}` });
+  }
+  const updated = { ...account, monthlyBudget };
+  writeCheckpoint(ACCOUNTS_DIR, `${account.id}.json`, updated);
+  log('info', 'Account budget updated', { accountId: account.id, monthlyBudget });
+  res.json(accountView(updated));
+});
+
+// ---- Library ----
+// Finished books are copied out of their (temporary) run directory into the
+// owner's library: book.json metadata, the plan and inputs, and the output files
+// under fixed names. Jobs started with an API key are saved automatically;
+// anonymous jobs can be claimed afterwards with POST /api/library.
+const SHARES_DIR = path.join(LIBRARY_DIR, 'shares');
+const LIBRARY_FILES = { pdf: 'book.pdf', epub: 'book.epub', cover: 'cover.pdf', audio: 'audio.zip' };
+const SHARE_TOKEN_PATTERN = /^[\w-]{16,64}$/;
+
+function libraryBookDir(accountId, bookId) {
+  return path.join(LIBRARY_DIR, 'books', path.basename(accountId), path.basename(bookId));
+}
+
+// Books are keyed by the id of the job that produced them
+function saveBookToLibrary(accountId, job, result = job.result) {
+  const outDir = runDir(job.runId);
+  const plan = readCheckpoint(outDir, 'plan.json');
+  const input = readCheckpoint(outDir, 'input.json');
+  if (!plan || !input) {
+    throw new Error('Book artifacts are no longer available');
+  }
+
+  const dir = libraryBookDir(accountId, job.id);
+  fs.mkdirSync(dir, { recursive: true });
+  const previous = readCheckpoint(dir, 'book.json');
+  // Copies rather than links: rebuilding a run rewrites its output files in place
+  const files = {};
+  for (const [kind, stored] of Object.entries(LIBRARY_FILES)) {
+    const file = result?.[kind];
+    if (!file || !fs.existsSync(path.join(outDir, file.filename))) {
+      fs.rmSync(path.join(dir, stored), { force: true });
+      continue;
+    }
+    fs.copyFileSync(path.join(outDir, file.filename), path.join(dir, stored));
+    files[kind] = { filename: file.filename, contentType: file.contentType, size: fs.statSync(path.join(dir, stored)).size };
+  }
+  writeCheckpoint(dir, 'plan.json', plan);
+  writeCheckpoint(dir, 'input.json', input);
+
+  const now = new Date().toISOString();
+  const book = {
+    id: job.id,
+    accountId,
+    runId: job.runId,
+    title: plan.title || input.title,
+    author: input.author || plan.author || '',
+    language: bookLanguage(input),
+    artStyle: input.artStyle,
+    numImages: input.numImages,
+    characterCount: (input.characters || []).length,
+    editionOf: input.editionOf || null,
+    series: input.series ? { id: input.series.id, title: input.series.title, volume: input.series.volume } : null,
+    files,
+    shares: previous?.shares || [],
+    createdAt: previous?.createdAt || now,
+    updatedAt: now
+  };
+  writeCheckpoint(dir, 'book.json', book);
+  log('info', 'Book saved to library', { accountId, bookId: job.id, files: Object.keys(files) });
+  return book;
+}
+
+// Called as a job finishes; a library failure never fails the book itself
+function saveFinishedJobToLibrary(jobId, result) {
+  const job = getJob(jobId);
+  if (!job?.accountId) return;
+  try {
+    saveBookToLibrary(job.accountId, job, result);
+  } catch (error) {
+    addJobWarning(jobId, `The book is ready but could not be added to your library: ${error.message}`);
+    log('error', 'Saving book to library failed', { jobId, accountId: job.accountId, error: error.message });
+  }
+}
+
+function listLibraryBooks(accountId) {
+  const dir = path.join(LIBRARY_DIR, 'books', path.basename(accountId));
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(bookId => readCheckpoint(path.join(dir, bookId), 'book.json'))
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function libraryView({ accountId, shares, ...book }, filesUrl) {
+  const files = {};
+  for (const [kind, file] of Object.entries(book.files)) {
+    files[kind] = { ...file, url: `${filesUrl}/${kind}` };
+  }
+  return { ...book, files };
+}
+
+function loadLibraryBook(req, res) {
+  const account = requireAccount(req, res);
+  if (!account) return null;
+  const dir = libraryBookDir(account.id, req.params.bookId);
+  const book = readCheckpoint(dir, 'book.json');
+  if (!book) {
+    res.status(404).json({ error: 'Book not found in your library' });
+    return null;
+  }
+  return { account, dir, book };
+}
+
+function sendLibraryFile(req, res, dir, book) {
+  const file = Object.hasOwn(LIBRARY_FILES, req.params.kind) && book.files[req.params.kind];
+  if (!file) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  const filePath = path.resolve(dir, LIBRARY_FILES[req.params.kind]);
+  if (req.query.download) {
+    return res.download(filePath, file.filename);
+  }
+  res.type(file.contentType);
+  res.sendFile(filePath);
+}
+
+// Body: { jobId } to add a finished book that was generated without an API key
+app.post('/api/library', (req, res) => {
+  const account = requireAccount(req, res);
+  if (!account) return;
+  const job = getJob(req.body?.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (job.status !== 'completed') {
+    return res.status(409).json({ error: `Only finished books can be added to a library (status: ${job.status})` });
+  }
+  if (job.accountId && job.accountId !== account.id) {
+    return res.status(403).json({ error: 'This book belongs to another account' });
+  }
+  try {
+    const book = saveBookToLibrary(account.id, job);
+    updateJob(job.id, { accountId: account.id });
+    res.status(201).json(libraryView(book, `/api/library/${book.id}/files`));
+  } catch (error) {
+    res.status(410).json({ error: error.message });
+  }
+});
+
+app.get('/api/library', (req, res) => {
+  const account = requireAccount(req, res);
+  if (!account) return;
+  res.json({ books: listLibraryBooks(account.id).map(book => libraryView(book, `/api/library/${book.id}/files`)) });
+});
+
+// Includes the plan and inputs; uploaded portraits are left out to keep the response small
+app.get('/api/library/:bookId', (req, res) => {
+  const entry = loadLibraryBook(req, res);
+  if (!entry) return;
+  const input = readCheckpoint(entry.dir, 'input.json') || {};
+  res.json({
+    ...libraryView(entry.book, `/api/library/${entry.book.id}/files`),
+    plan: readCheckpoint(entry.dir, 'plan.json'),
+    input: { ...input, characters: (input.characters || []).map(({ image, ...ch }) => ({ ...ch, hasImage: !!image })) }
+  });
+});
+
+app.get('/api/library/:bookId/files/:kind', (req, res) => {
+  const entry = loadLibraryBook(req, res);
+  if (!entry) return;
+  sendLibraryFile(req, res, entry.dir, entry.book);
+});
+
+app.delete('/api/library/:bookId', (req, res) => {
+  const entry = loadLibraryBook(req, res);
+  if (!entry) return;
+  entry.book.shares.forEach(token => fs.rmSync(path.join(SHARES_DIR, `${token}.json`), { force: true }));
+  fs.rmSync(entry.dir, { recursive: true, force: true });
+  log('info', 'Book deleted from library', { accountId: entry.account.id, bookId: entry.book.id, shares: entry.book.shares.length });
+  res.json({ deleted: entry.book.id });
+});
+
+// ---- Share Links ----
+// A share token gives read-only access to one library book without an API key.
+// Links may expire; revoking deletes the token.
+function shareView(req, share) {
+  return {
+    token: share.token,
+    createdAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    expired: !!share.expiresAt && Date.parse(share.expiresAt) <= Date.now(),
+    url: `${req.protocol}://${req.get('host')}/?share=${share.token}`
+  };
+}
+
+function loadShare(req, res) {
+  const token = req.params.token;
+  const share = SHARE_TOKEN_PATTERN.test(token) ? readCheckpoint(SHARES_DIR, `${token}.json`) : null;
+  if (!share) {
+    res.status(404).json({ error: 'Share link not found' });
+    return null;
+  }
+  if (share.expiresAt && Date.parse(share.expiresAt) <= Date.now()) {
+    res.status(410).json({ error: 'This share link has expired' });
+    return null;
+  }
+  const dir = libraryBookDir(share.accountId, share.bookId);
+  const book = readCheckpoint(dir, 'book.json');
+  if (!book) {
+    res.status(404).json({ error: 'The shared book is no longer available' });
+    return null;
+  }
+  return { share, dir, book };
+}
+
+// Body: { expiresInHours } (optional; omit for a link that never expires)
+app.post('/api/library/:bookId/shares', (req, res) => {
+  const entry = loadLibraryBook(req, res);
+  if (!entry) return;
+  const hours = req.body?.expiresInHours;
+  if (hours !== undefined && hours !== null && !(Number(hours) > 0)) {
+    return res.status(400).json({ error: 'expiresInHours must be a positive number' });
+  }
+
+  const share = {
+    token: crypto.randomBytes(18).toString('base64url'),
+    accountId: entry.account.id,
+    bookId: entry.book.id,
+    createdAt: new Date().toISOString(),
+    expiresAt: hours ? new Date(Date.now() + Number(hours) * 60 * 60 * 1000).toISOString() : null
+  };
+  fs.mkdirSync(SHARES_DIR, { recursive: true });
+  writeCheckpoint(SHARES_DIR, `${share.token}.json`, share);
+  writeCheckpoint(entry.dir, 'book.json', { ...entry.book, shares: [...entry.book.shares, share.token] });
+  log('info', 'Share link created', { bookId: entry.book.id, expiresAt: share.expiresAt });
+  res.status(201).json(shareView(req, share));
+});
+
+app.get('/api/library/:bookId/shares', (req, res) => {
+  const entry = loadLibraryBook(req, res);
+  if (!entry) return;
+  res.json({
+    shares: entry.book.shares
+      .map(token => readCheckpoint(SHARES_DIR, `${token}.json`))
+      .filter(Boolean)
+      .map(share => shareView(req, share))
+  });
+});
+
+app.delete('/api/library/:bookId/shares/:token', (req, res) => {
+  const entry = loadLibraryBook(req, res);
+  if (!entry) return;
+  const token = req.params.token;
+  if (!entry.book.shares.includes(token)) {
+    return res.status(404).json({ error: 'Share link not found' });
+  }
+  fs.rmSync(path.join(SHARES_DIR, `${token}.json`), { force: true });
+  writeCheckpoint(entry.dir, 'book.json', { ...entry.book, shares: entry.book.shares.filter(t => t !== token) });
+  log('info', 'Share link revoked', { bookId: entry.book.id });
+  res.json({ revoked: token });
+});
+
+app.get('/api/shared/:token', (req, res) => {
+  const shared = loadShare(req, res);
+  if (!shared) return;
+  const { runId, ...book } = libraryView(shared.book, `/api/shared/${shared.share.token}/files`);
+  res.json({ ...book, expiresAt: shared.share.expiresAt });
+});
+
+app.get('/api/shared/:token/files/:kind', (req, res) => {
+  const shared = loadShare(req, res);
+  if (!shared) return;
+  sendLibraryFile(req, res, shared.dir, shared.book);
+});
+
+// ---- Character Library ----
+// Recurring characters are saved per account with their photo and character
+// bible. The bible is written once (or edited by hand) and then reused as is,
+// so a child keeps the same look in every book. Books refer to saved characters
+// with { characterId } entries in characters[].
+const CHARACTERS_DIR = path.join(LIBRARY_DIR, 'characters');
+const CHARACTER_FIELDS = ['name', 'age', 'description', 'role'];
+const CHARACTER_PHOTO_MAX = 1024;
+const CHARACTER_THUMBNAIL_SIZE = 128;
+
+function characterDir(accountId, characterId) {
+  return path.join(CHARACTERS_DIR, path.basename(accountId), path.basename(characterId));
+}
+
+function characterPhotoDataURL(dir) {
+  if (!hasCheckpoint(dir, 'photo.png')) return '';
+  return `data:image/png;base64,${fs.readFileSync(path.join(dir, 'photo.png')).toString('base64')}`;
+}
+
+// Keeps a bounded PNG of the upload and returns a small JPEG thumbnail for listings
+async function saveCharacterPhoto(dir, dataUrl) {
+  const img = await Jimp.read(Buffer.from((dataUrl.split(',')[1] || dataUrl), 'base64'));
+  if (img.bitmap.width > CHARACTER_PHOTO_MAX || img.bitmap.height > CHARACTER_PHOTO_MAX) {
+    img.scaleToFit(CHARACTER_PHOTO_MAX, CHARACTER_PHOTO_MAX);
+  }
+  writeCheckpoint(dir, 'photo.png', await img.getBufferAsync(Jimp.MIME_PNG));
+  return await img.clone().cover(CHARACTER_THUMBNAIL_SIZE, CHARACTER_THUMBNAIL_SIZE).getBase64Async(Jimp.MIME_JPEG);
+}
+
+// Returns { bible, warning }; a failed analysis leaves the character without a bible
+async function analyzeSavedCharacter(dir, character, options) {
+  const image = characterPhotoDataURL(dir);
+  if (!image) return { bible: null };
+  try {
+    return { bible: await describeCharacterImage({ ...character, image }, options) };
+  } catch (error) {
+    log('warn', 'Saved character analysis failed', { characterId: character.id, error: error.message });
+    return { bible: null, warning: `Could not analyze the photo of ${character.name}: ${error.message}` };
+  }
+}
+
+function pickCharacterFields(body) {
+  const fields = {};
+  for (const field of CHARACTER_FIELDS) {
+    if (body?.[field] !== undefined) fields[field] = String(body[field]).trim().slice(0, 500);
+  }
+  return fields;
+}
+
+function characterView({ accountId, ...character }) {
+  return character;
+}
+
+function listCharacters(accountId) {
+  const dir = path.join(CHARACTERS_DIR, path.basename(accountId));
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(characterId => readCheckpoint(path.join(dir, characterId), 'character.json'))
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function loadSavedCharacter(req, res) {
+  const account = requireAccount(req, res);
+  if (!account) return null;
+  const dir = characterDir(account.id, req.params.characterId);
+  const character = readCheckpoint(dir, 'character.json');
+  if (!character) {
+    res.status(404).json({ error: 'Character not found' });
+    return null;
+  }
+  return { account, dir, character };
+}
+
+// Swap { characterId } entries for the saved character: photo and bible always come
+// from the library, the text fields may be overridden per book (e.g. a different role)
+function resolveSavedCharacters(account, characters) {
+  const resolved = [];
+  for (const ch of characters) {
+    if (!ch?.characterId) {
+      resolved.push(ch);
+      continue;
     }
-    
-    const selectedStyle = artStyle || 'Watercolor';
-    const totalImages = numImages + 2; // story images + covers
-    
-    // Create job and return immediately
-    const job = createJob(jobId, title);
-    updateJob(jobId, {
-      totalSteps: totalImages + 3, // character analysis + planning + images + PDF
-      currentPhase: 'Analyzing characters...'
+    const dir = account ? characterDir(account.id, String(ch.characterId)) : null;
+    const saved = dir ? readCheckpoint(dir, 'character.json') : null;
+    if (!saved) {
+      throw new Error(`Saved character "${ch.name || ch.characterId}" was not found${account ? '' : ' (send your API key to use saved characters)'}`);
+    }
+    const overrides = Object.fromEntries(CHARACTER_FIELDS.filter(field => ch[field]).map(field => [field, ch[field]]));
+    resolved.push({
+      ...pickCharacterFields(saved),
+      ...overrides,
+      image: characterPhotoDataURL(dir),
+      bible: saved.bible,
+      characterId: saved.id
     });
-    
-    // Return job ID immediately
-    res.json({ jobId, status: 'started' });
-    
-    // Start generation in background
-    generateBookAsync(jobId, { title, story, numImages, artStyle: selectedStyle, characters });
-    
-  } catch(err) {
-    failJob(jobId, err);
-    log('error', 'Book generation setup failed', { error: err.message, jobId });
-    if (!res.headersSent) {
-      res.status(500).json({ error: err.message });
+  }
+  return resolved;
+}
+
+// Query: ?q= matches name, description and role
+app.get('/api/characters', (req, res) => {
+  const account = requireAccount(req, res);
+  if (!account) return;
+  const query = String(req.query.q || '').trim().toLowerCase();
+  const characters = listCharacters(account.id).filter(character => !query ||
+    [character.name, character.description, character.role].some(value => (value || '').toLowerCase().includes(query)));
+  res.json({ characters: characters.map(characterView) });
+});
+
+// Body: { name, age, description, role, image (data URL, optional) }
+app.post('/api/characters', limitRequests('generation'), async (req, res) => {
+  const account = requireAccount(req, res);
+  if (!account) return;
+  const fields = pickCharacterFields(req.body);
+  if (!fields.name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+  const imageProblem = req.body?.image ? imageDataURLProblem(req.body.image) : null;
+  if (imageProblem) {
+    return res.status(400).json({ error: `The photo ${imageProblem}` });
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const dir = characterDir(account.id, id);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const thumbnail = req.body?.image ? await saveCharacterPhoto(dir, req.body.image) : '';
+    const now = new Date().toISOString();
+    const character = { id, accountId: account.id, ...fields, hasPhoto: !!thumbnail, thumbnail, bible: null, createdAt: now, updatedAt: now };
+    const { bible, warning } = await analyzeSavedCharacter(dir, character);
+    character.bible = bible;
+    writeCheckpoint(dir, 'character.json', character);
+    log('info', 'Character saved', { accountId: account.id, characterId: id, hasPhoto: character.hasPhoto, bible: !!bible });
+    res.status(201).json({ ...characterView(character), ...(warning && { warning }) });
+  } catch (error) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    log('error', 'Saving character failed', { accountId: account.id, error: error.message });
+    res.status(400).json({ error: `Could not save the character: ${error.message}` });
+  }
+});
+
+app.get('/api/characters/:characterId', (req, res) => {
+  const entry = loadSavedCharacter(req, res);
+  if (!entry) return;
+  res.json(characterView(entry.character));
+});
+
+app.get('/api/characters/:characterId/photo', (req, res) => {
+  const entry = loadSavedCharacter(req, res);
+  if (!entry) return;
+  if (!entry.character.hasPhoto) {
+    return res.status(404).json({ error: 'This character has no photo' });
+  }
+  res.sendFile(path.resolve(entry.dir, 'photo.png'));
+});
+
+// Body: any of the text fields, a new image, and/or a hand-edited bible.
+// A new photo is analyzed again unless a bible is sent with it.
+app.patch('/api/characters/:characterId', limitRequests('generation'), async (req, res) => {
+  const entry = loadSavedCharacter(req, res);
+  if (!entry) return;
+  const { dir } = entry;
+  const character = { ...entry.character, ...pickCharacterFields(req.body) };
+  if (!character.name) {
+    return res.status(400).json({ error: 'name cannot be empty' });
+  }
+  if (req.body?.bible !== undefined && req.body.bible !== null && !validateCharacterBible(req.body.bible)) {
+    return res.status(400).json({ error: `Invalid character bible: ${formatSchemaErrors(validateCharacterBible.errors)}` });
+  }
+  const imageProblem = req.body?.image ? imageDataURLProblem(req.body.image) : null;
+  if (imageProblem) {
+    return res.status(400).json({ error: `The photo ${imageProblem}` });
+  }
+
+  let warning;
+  try {
+    if (req.body?.image) {
+      character.thumbnail = await saveCharacterPhoto(dir, req.body.image);
+      character.hasPhoto = true;
+      if (req.body.bible === undefined) ({ bible: character.bible, warning } = await analyzeSavedCharacter(dir, character));
     }
+  } catch (error) {
+    return res.status(400).json({ error: `Could not read the photo: ${error.message}` });
+  }
+  if (req.body?.bible !== undefined) character.bible = req.body.bible;
+  character.updatedAt = new Date().toISOString();
+  writeCheckpoint(dir, 'character.json', character);
+  log('info', 'Character updated', { characterId: character.id, fields: Object.keys(req.body || {}) });
+  res.json({ ...characterView(character), ...(warning && { warning }) });
+});
+
+// Re-describe the saved photo, replacing the locked bible
+app.post('/api/characters/:characterId/analyze', limitRequests('generation'), async (req, res) => {
+  const entry = loadSavedCharacter(req, res);
+  if (!entry) return;
+  const { bible, warning } = await analyzeSavedCharacter(entry.dir, entry.character, { useCache: false });
+  if (!bible) {
+    return res.status(422).json({ error: warning || 'This character has no photo to analyze' });
   }
+  const character = { ...entry.character, bible, updatedAt: new Date().toISOString() };
+  writeCheckpoint(entry.dir, 'character.json', character);
+  res.json(characterView(character));
+});
+
+app.delete('/api/characters/:characterId', (req, res) => {
+  const entry = loadSavedCharacter(req, res);
+  if (!entry) return;
+  fs.rmSync(entry.dir, { recursive: true, force: true });
+  log('info', 'Character deleted', { accountId: entry.account.id, characterId: entry.character.id });
+  res.json({ deleted: entry.character.id });
 });
 
-async function generateBookAsync(jobId, { title, story, numImages, artStyle, characters }) {
+// ---- Series ----
+// A series fixes the art style, cast and world for a run of books. Each finished
+// volume leaves a short summary behind, and the next volume is planned against
+// those summaries so places, props and characters carry over between stories.
+const SERIES_DIR = path.join(LIBRARY_DIR, 'series');
+const SERIES_SUMMARY_VOLUMES = 5; // older volumes are only listed by title in the planning prompt
+
+function readSeries(accountId, seriesId) {
+  return readCheckpoint(path.join(SERIES_DIR, path.basename(accountId)), `${path.basename(seriesId)}.json`);
+}
+
+function writeSeries(series) {
+  const dir = path.join(SERIES_DIR, path.basename(series.accountId));
+  fs.mkdirSync(dir, { recursive: true });
+  writeCheckpoint(dir, `${series.id}.json`, series);
+}
+
+// Cast entries are saved characters ({ characterId, role? }) or written-out characters without photos
+function pickSeriesCast(cast) {
+  if (!Array.isArray(cast)) return null;
+  return cast.map(ch => ch?.characterId
+    ? { characterId: String(ch.characterId), ...(ch.role && { role: String(ch.role) }) }
+    : pickCharacterFields(ch))
+    .filter(ch => ch.characterId || ch.name);
+}
+
+function pickSeriesFields(body) {
+  const fields = {};
+  if (body?.title !== undefined) fields.title = String(body.title).trim().slice(0, 200);
+  if (body?.artStyle !== undefined) fields.artStyle = String(body.artStyle).trim().slice(0, 200);
+  if (body?.setting !== undefined) fields.setting = String(body.setting).trim().slice(0, 2000);
+  if (body?.cast !== undefined) fields.cast = pickSeriesCast(body.cast);
+  return fields;
+}
+
+// The series cast comes first; extra characters in the request join as guests for this volume
+function seriesCharacters(account, series, extra) {
+  const cast = resolveSavedCharacters(account, series.cast);
+  const castNames = cast.map(ch => (ch.name || '').toLowerCase());
+  const guests = resolveSavedCharacters(account, extra)
+    .filter(ch => ch.name && !castNames.includes(ch.name.toLowerCase()));
+  return [...cast, ...guests];
+}
+
+// What a new volume's input records about the series at the time it was requested
+function seriesContext(series) {
+  return {
+    id: series.id,
+    title: series.title,
+    volume: series.volumes.length + 1,
+    setting: series.setting || '',
+    previously: series.volumes.map(({ number, title, summary, recurring }) => ({ number, title, summary, recurring }))
+  };
+}
+
+function seriesPromptSection(series) {
+  const recent = series.previously.slice(-SERIES_SUMMARY_VOLUMES);
+  const older = series.previously.slice(0, -SERIES_SUMMARY_VOLUMES);
+  return `
+Series: this is volume ${series.volume} of the series "${series.title}".
+${series.setting ? `World and setting: ${series.setting}` : ''}
+${older.length > 0 ? `Earlier volumes: ${older.map(v => `${v.number}. "${v.title}"`).join('; ')}` : ''}
+${recent.length > 0 ? `Previous volumes:\n${recent.map(v => `- Volume ${v.number} "${v.title}": ${v.summary}${v.recurring?.length ? ` (recurring: ${v.recurring.join(', ')})` : ''}`).join('\n')}` : 'This is the first volume of the series.'}
+Continuity: reuse the recurring places and props where they fit, keep every character's look and personality, let the characters grow from what happened before, and tell a new story instead of repeating an earlier plot.
+`;
+}
+
+// Returns { summary, recurring } for the series record; falls back to the page text
+async function summarizeVolume(plan) {
+  const pages = plan.images.map(imageObj => imageObj.text).filter(Boolean);
+  const messages = [
+    {role:'system', content:"You keep the story bible for a children's book series. Output valid JSON only."},
+    {role:'user', content:`Summarize this finished volume so the next one can follow on from it.
+
+Title: "${plan.title}"
+Pages:
+${pages.map((text, i) => `${i + 1}. ${text}`).join('\n')}
+Settings: ${[...new Set(plan.images.map(imageObj => imageObj.environment).filter(Boolean))].join('; ')}
+
+Return JSON: {"summary":"2-3 sentences: what happened and how the characters changed", "recurring":["places and props worth bringing back"]}`}
+  ];
   try {
+    const response = await ai.chat(messages, { task: 'volume-summary', context: { title: plan.title, pages, environments: plan.images.map(imageObj => imageObj.environment) } });
+    const parsed = parseJSONResponse(response);
+    if (typeof parsed.summary !== 'string' || !parsed.summary.trim()) throw new Error('summary is missing');
+    return {
+      summary: parsed.summary.trim(),
+      recurring: Array.isArray(parsed.recurring) ? parsed.recurring.map(String).filter(Boolean).slice(0, 12) : []
+    };
+  } catch (error) {
+    log('warn', 'Volume summary failed, using the page text', { error: error.message });
+    return { summary: pages.slice(1, -1).join(' ').substring(0, 600), recurring: [] };
+  }
+}
 
-    // 1) Character analyses - TEMPORARILY SKIPPED FOR DEBUGGING
-    log('info', 'PHASE START: Character analysis (SKIPPED FOR DEBUGGING)', { jobId, totalCharacters: characters.length });
-    
-    // Create simple character summaries without OpenAI analysis
-    const analyses = characters.map(ch => ({
-      name: ch.name || 'Character',
-      role: ch.role || 'Character',
-      analysis: `${ch.name || 'Character'}: ${ch.age || 'Child'} character for a children's book. ${ch.description || 'Friendly appearance'}. Role: ${ch.role || 'Supporting character'}. Appearance suitable for ${artStyle} art style.`
-    }));
-    
-    updateJob(jobId, { completedSteps: 1, currentPhase: 'Planning book structure...' });
-    log('info', 'PHASE END: Character analysis (SKIPPED)', { characterCount: analyses.length, jobId });
-
-    // 2) Planning (JSON): gpt-4o
-    const totalImages = numImages + 2; // story images + front cover + back cover
-    log('info', 'PHASE START: Book planning');
-    const characterInfo = analyses.length > 0 
-      ? `Characters with detailed bibles: ${analyses.map(a=>`${a.name} - ${a.analysis.substring(0,200)}...`).join('; ')}`
-      : `Characters from story: ${characters.map(c => `${c.name} (${c.role})`).join(', ') || 'Create characters from story context'}`;
-
-    const planningPrompt = [
-      {role:'system', content:"You are a children's book art director. Create a JSON plan with image descriptions. Output valid JSON only."},
-      {role:'user', content:`Create a JSON plan for ${totalImages} images:
+async function recordSeriesVolume(jobId, input, plan) {
+  const accountId = getJob(jobId)?.accountId;
+  const series = accountId ? readSeries(accountId, input.series.id) : null;
+  if (!series) {
+    addJobWarning(jobId, 'The series for this book no longer exists, so it was not added as a volume');
+    return;
+  }
+  log('info', 'PHASE START: Series volume summary', { jobId, seriesId: series.id });
+  const { summary, recurring } = await summarizeVolume(plan);
+  const volumes = series.volumes.filter(volume => volume.jobId !== jobId);
+  volumes.push({
+    number: Math.max(0, ...volumes.map(volume => volume.number)) + 1,
+    jobId,
+    title: plan.title || input.title,
+    summary,
+    recurring,
+    createdAt: new Date().toISOString()
+  });
+  writeSeries({ ...series, volumes, updatedAt: new Date().toISOString() });
+  log('info', 'PHASE END: Series volume summary', { jobId, seriesId: series.id, volume: volumes.length });
+}
+
+function loadSeries(req, res) {
+  const account = requireAccount(req, res);
+  if (!account) return null;
+  const series = readSeries(account.id, req.params.seriesId);
+  if (!series) {
+    res.status(404).json({ error: 'Series not found' });
+    return null;
+  }
+  return { account, series };
+}
+
+// Saved cast members are shown with their current name
+function seriesView({ accountId, ...series }) {
+  const cast = series.cast.map(ch => ch.characterId
+    ? { ...ch, name: readCheckpoint(characterDir(accountId, ch.characterId), 'character.json')?.name || '' }
+    : ch);
+  return { ...series, cast, nextVolume: series.volumes.length + 1 };
+}
+
+// Body: { title, artStyle, setting, cast: [{ characterId } | { name, age, description, role }] }
+app.post('/api/series', (req, res) => {
+  const account = requireAccount(req, res);
+  if (!account) return;
+  const fields = pickSeriesFields(req.body);
+  if (!fields.title || !fields.artStyle || !fields.cast?.length) {
+    return res.status(400).json({ error: 'A series needs a title, an art style and at least one cast member' });
+  }
+  try {
+    resolveSavedCharacters(account, fields.cast);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const now = new Date().toISOString();
+  const series = { id: crypto.randomBytes(8).toString('hex'), accountId: account.id, setting: '', ...fields, volumes: [], createdAt: now, updatedAt: now };
+  writeSeries(series);
+  log('info', 'Series created', { accountId: account.id, seriesId: series.id, cast: series.cast.length });
+  res.status(201).json(seriesView(series));
+});
+
+app.get('/api/series', (req, res) => {
+  const account = requireAccount(req, res);
+  if (!account) return;
+  const dir = path.join(SERIES_DIR, path.basename(account.id));
+  const series = fs.existsSync(dir)
+    ? fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => readCheckpoint(dir, f)).filter(Boolean)
+    : [];
+  res.json({ series: series.sort((a, b) => a.title.localeCompare(b.title)).map(seriesView) });
+});
+
+app.get('/api/series/:seriesId', (req, res) => {
+  const entry = loadSeries(req, res);
+  if (!entry) return;
+  res.json(seriesView(entry.series));
+});
+
+// Body: any of title, artStyle, setting, cast; volume summaries can be corrected with { volumes: [{ number, summary, recurring }] }
+app.patch('/api/series/:seriesId', (req, res) => {
+  const entry = loadSeries(req, res);
+  if (!entry) return;
+  const fields = pickSeriesFields(req.body);
+  if (fields.title === '' || fields.artStyle === '' || (fields.cast && fields.cast.length === 0)) {
+    return res.status(400).json({ error: 'title, artStyle and cast cannot be empty' });
+  }
+  if (fields.cast) {
+    try {
+      resolveSavedCharacters(entry.account, fields.cast);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+  const corrections = Array.isArray(req.body?.volumes) ? req.body.volumes : [];
+  const volumes = entry.series.volumes.map(volume => {
+    const correction = corrections.find(c => c?.number === volume.number);
+    if (!correction) return volume;
+    return {
+      ...volume,
+      ...(typeof correction.summary === 'string' && { summary: correction.summary.trim() }),
+      ...(Array.isArray(correction.recurring) && { recurring: correction.recurring.map(String).filter(Boolean) })
+    };
+  });
+  const series = { ...entry.series, ...fields, volumes, updatedAt: new Date().toISOString() };
+  writeSeries(series);
+  res.json(seriesView(series));
+});
+
+// Books already made stay in the library; only the series record goes
+app.delete('/api/series/:seriesId', (req, res) => {
+  const entry = loadSeries(req, res);
+  if (!entry) return;
+  fs.rmSync(path.join(SERIES_DIR, path.basename(entry.account.id), `${entry.series.id}.json`), { force: true });
+  log('info', 'Series deleted', { accountId: entry.account.id, seriesId: entry.series.id });
+  res.json({ deleted: entry.series.id });
+});
+
+// ---- Plan Review ----
+// Jobs started with planOnly stop after planning in 'awaiting_approval'. The
+// plan can then be fetched, edited and approved, which continues the same job
+// from its checkpoints straight into illustration.
+function loadPlanForReview(req, res) {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  if (job.status !== 'awaiting_approval') {
+    res.status(409).json({ error: `Job is not waiting for plan approval (status: ${job.status})` });
+    return null;
+  }
+  const outDir = runDir(job.runId);
+  const plan = readCheckpoint(outDir, 'plan.json');
+  const input = readCheckpoint(outDir, 'input.json');
+  if (!plan || !input) {
+    res.status(410).json({ error: 'Plan is no longer available' });
+    return null;
+  }
+  return { job, outDir, plan, input };
+}
+
+// Renumber pages and re-derive roles so reordered, added or removed pages stay consistent
+function normalizeEditedPlan(plan) {
+  const images = Array.isArray(plan?.images) ? plan.images : [];
+  return {
+    ...plan,
+    images: images.map((imageObj, imageIndex) => {
+      const { image, ...fields } = imageObj || {};
+      return {
+        ...fields,
+        page: imageIndex + 1,
+        role: pageRole(imageIndex, images.length),
+        characters: Array.isArray(fields.characters) ? fields.characters : [],
+        environment: fields.environment || '',
+        text: fields.text || ''
+      };
+    })
+  };
+}
+
+app.get('/api/job/:jobId/plan', (req, res) => {
+  const review = loadPlanForReview(req, res);
+  if (!review) return;
+  res.json({
+    jobId: review.job.id,
+    cast: review.input.characters.map(c => c.name).filter(Boolean),
+    plan: review.plan
+  });
+});
+
+app.post('/api/job/:jobId/approve', limitRequests('generation'), (req, res) => {
+  const review = loadPlanForReview(req, res);
+  if (!review) return;
+  const { job, outDir, input } = review;
+
+  let plan = review.plan;
+  if (req.body?.plan) {
+    plan = normalizeEditedPlan({ ...review.plan, ...req.body.plan });
+    if (plan.images.length < 3) {
+      return res.status(400).json({ error: 'A book needs a front cover, at least one story page and a back cover' });
+    }
+    const problems = validatePlan(plan, { cast: input.characters.map(c => c.name).filter(Boolean) });
+    if (problems.length > 0) {
+      return res.status(400).json({ error: 'Edited plan is invalid', problems });
+    }
+    writeCheckpoint(outDir, 'plan.json', plan);
+  }
+
+  log('info', 'Plan approved, continuing to illustration', { jobId: job.id, pages: plan.images.length, edited: !!req.body?.plan });
+  updateJob(job.id, {
+    status: 'started',
+    planApproved: true,
+    currentPhase: 'Starting image generation...'
+  });
+  auditLog('plan.approved', { jobId: job.id, edited: !!req.body?.plan }, req);
+  res.json({ jobId: job.id, status: 'started' });
+
+  enqueueJob(job.id, () => generateBookAsync(job.id, input));
+});
+
+async function planBook(jobId, { title, story, numImages, artStyle, characters, author, language, series }, analyses) {
+  const totalImages = numImages + 2; // story images + front cover + back cover
+  const languageName = BOOK_LANGUAGES[bookLanguage({ language })].name;
+  log('info', 'PHASE START: Book planning');
+  const characterInfo = analyses.length > 0 
+    ? `Characters with detailed bibles: ${analyses.map(a=>`${a.name} - ${a.analysis.substring(0,200)}...`).join('; ')}`
+    : `Characters from story: ${characters.map(c => `${c.name} (${c.role})`).join(', ') || 'Create characters from story context'}`;
+
+  const planningPrompt = [
+    {role:'system', content:"You are a children's book author and art director. Create a JSON plan with image descriptions and the words printed on each page. Output valid JSON only."},
+    {role:'user', content:`Create a JSON plan for ${totalImages} images:
 - Image 1: Front cover (flat 2D artwork, not book mockup)
 - Images 2-${numImages + 1}: Story scenes (${numImages} total)
 - Image ${totalImages}: Back cover (flat 2D artwork, not book mockup)
@@ -501,16 +5418,37 @@ Book: "${title}"
 Story: ${story || 'Create scenes from title'}
 Art Style: ${artStyle}
 ${characterInfo}
+${author ? `Author line: "${author}"` : 'Author line: invent a short byline such as "Written by ..."'}
+Language: write the book "title", the author line and every image's "title" and "text" in ${languageName}. Keep "description", "environment", "lighting" and "palette" in English for the illustrator.
+${series ? seriesPromptSection(series) : ''}
+Each image object needs a "text" field with the words printed on that page:
+- Front cover: the book title
+- Story scenes: 1-3 short, simple sentences for ages 3-8 that continue the story from the previous page
+- Back cover: a 1-2 sentence blurb inviting the reader in
 
-Return JSON: {"images": [{"page":1, "title":"scene name", "description":"detailed scene", "characters":["name1"], "environment":"setting"}]}
+Rules:
+- "page" numbers run from 1 to ${totalImages} in order
+- "role" is "cover" for image 1, "back" for image ${totalImages} and "story" for every other image
+- "characters" may only use these names: ${characters.map(c => c.name).filter(Boolean).join(', ') || 'any characters from the story'}
 
-Make ${totalImages} image objects with engaging scenes that tell the story.`}
-    ];
-    
-    log('info', 'Calling OpenAI for book planning');
+Return JSON: {"title":"book title", "author":"author line", "images": [{"page":1, "role":"cover", "title":"scene name", "description":"detailed scene", "characters":["name1"], "environment":"setting", "lighting":"lighting", "palette":"colour palette", "text":"words printed on the page"}]}
+
+Make exactly ${totalImages} image objects with engaging scenes that tell the story.`}
+  ];
+  
+  const cast = characters.map(c => c.name).filter(Boolean);
+  const context = { title, author, pageCount: totalImages, characters: cast, language: bookLanguage({ language }) };
+  let messages = planningPrompt;
+  let plan = null;
+  let problems = [];
+
+  // Ask for the plan, then feed validation errors back until it passes or attempts run out
+  for (let attempt = 0; attempt <= PLAN_REPAIR_ATTEMPTS; attempt++) {
+    const task = attempt === 0 ? 'plan' : 'plan-repair';
+    log('info', `Calling ${ai.name} provider for book planning`, { attempt, task });
     
     // Add timeout protection for planning phase
-    const planningPromise = openAIChat(planningPrompt, 'gpt-5-nano');
+    const planningPromise = ai.chat(messages, { task, context });
     const planningTimeoutPromise = new Promise((_, reject) => 
       setTimeout(() => reject(new Error('Planning phase timeout after 45 seconds')), 45000)
     );
@@ -518,232 +5456,236 @@ Make ${totalImages} image objects with engaging scenes that tell the story.`}
     const planText = await Promise.race([planningPromise, planningTimeoutPromise]);
     log('debug', 'Raw planning response', { responseLength: planText.length, preview: planText.substring(0, 300) });
     
-    let plan;
-    try{ 
-      plan = JSON.parse(planText);
-      updateJob(jobId, { completedSteps: 2, currentPhase: 'Starting image generation...' });
-      log('info', 'PHASE END: Book planning (parsed JSON)', { 
-        imageCount: plan.images?.length || 0,
-        expectedCount: totalImages,
-        jobId
-      });
-    }
-    catch(e){
-      log('warn', 'Failed to parse planning JSON, trying to extract', { error: e.message });
-      const m = planText.match(/\{[\s\S]*\}$/);
-      if(m) {
-        try {
-          plan = JSON.parse(m[0]);
-          log('info', 'PHASE END: Book planning (extracted JSON)', { 
-            imageCount: plan.images?.length || 0,
-            expectedCount: totalImages
-          });
-        } catch (extractError) {
-          log('error', 'Extracted text was not valid JSON', { extractError: extractError.message, extractedTextPreview: m[0].substring(0, 200) });
-          throw new Error('Failed to generate valid book plan');
-        }
-      }
-      else {
-        log('error', 'No valid JSON found in planning response', { response: planText });
-        throw new Error('Failed to generate valid book plan');
-      }
-    }
-    
-    // Validate plan structure
-    if (!plan.images || !Array.isArray(plan.images)) {
-      log('error', 'Plan validation failed - no images array', plan);
-      throw new Error('Plan must contain an "images" array');
+    try {
+      plan = parseJSONResponse(planText);
+      problems = validatePlan(plan, { pageCount: totalImages, cast });
+    } catch (e) {
+      plan = null;
+      problems = [`response was not valid JSON (${e.message})`];
     }
     
-    // Flexible image count handling - adjust to what AI generated
-    const actualImages = plan.images.length;
-    if (actualImages !== totalImages) {
-      log('warn', 'AI generated different image count than expected, adjusting', { 
-        expectedImages: totalImages, 
-        actualImages: actualImages
-      });
-      // Update job total steps to match actual images
-      updateJob(jobId, { 
-        totalSteps: actualImages + 3 // character analysis + planning + actual images + PDF
-      });
-    }
+    if (problems.length === 0) break;
     
-    log('info', 'Plan validation passed', { 
-      expectedImages: totalImages,
-      actualImages: actualImages,
-      jobId
-    });
+    addJobWarning(jobId, attempt < PLAN_REPAIR_ATTEMPTS
+      ? `Plan had ${problems.length} problem(s), asking for a repair: ${problems[0]}`
+      : `Plan still has ${problems.length} problem(s) after ${attempt} repair attempt(s): ${problems[0]}`, { attempt, problems });
+    messages = [
+      ...planningPrompt,
+      {role:'assistant', content: planText},
+      {role:'user', content:`That plan cannot be used. Fix these problems and return the complete corrected JSON plan (all ${totalImages} images, same format):
+${problems.map(p => `- ${p}`).join('\n')}`}
+    ];
+  }
+  
+  if (problems.length > 0) {
+    log('error', 'Plan still invalid after repair attempts', { problems, attempts: PLAN_REPAIR_ATTEMPTS + 1, jobId });
+    throw new Error(`Failed to generate a valid book plan: ${problems.slice(0, 5).join('; ')}`);
+  }
+  
+  updateJob(jobId, { currentPhase: 'Starting image generation...' });
+  log('info', 'PHASE END: Book planning (validated)', { 
+    imageCount: plan.images.length,
+    expectedCount: totalImages,
+    jobId
+  });
 
-    // 3) Generate images and build PDF simultaneously
-    log('info', 'PHASE START: Image generation and PDF creation');
-    const runId = Date.now().toString(36);
+  return plan;
+}
+
+async function generateBookAsync(jobId, input) {
+  const { title, story, numImages, artStyle, characters, author, language, textLayout, series } = input;
+  try {
+    // Reuse the run directory of an earlier attempt when resuming
+    const runId = getJob(jobId)?.runId || Date.now().toString(36);
     // Use /tmp directory for serverless environments
-    const outDir = path.join('/tmp', runId);
+    const outDir = runDir(runId);
     fs.mkdirSync(outDir, { recursive: true });
-    log('info', `Created output directory: ${outDir}`);
+    updateJob(jobId, { runId });
+    if (!hasCheckpoint(outDir, 'input.json')) {
+      writeCheckpoint(outDir, 'input.json', input);
+    }
+    log('info', `Using output directory: ${outDir}`, { jobId });
+    startProgress(jobId, input);
+    startStep(jobId, 'analysis');
+    await checkInputSafety(jobId, outDir, input);
 
-    const charImages = characters.filter(c => c.image).map(c => c.image);
-    log('info', `Creating character board from ${charImages.length} character images`);
-    const board = await makeCharacterBoard(charImages);
-    if (board) {
-      fs.writeFileSync(path.join(outDir, 'characters-board.png'), board);
-      log('info', 'Character board saved');
+    // 1) Character analyses: vision model bibles for characters with photos
+    let analyses = readCheckpoint(outDir, 'analyses.json');
+    if (analyses) {
+      log('info', 'PHASE SKIP: Character analysis (resumed from checkpoint)', { characterCount: analyses.length, jobId });
+    } else {
+      log('info', 'PHASE START: Character analysis', { jobId, totalCharacters: characters.length, withPhotos: characters.filter(c => c.image).length });
+      analyses = await analyzeCharacters(characters, artStyle);
+      analyses.filter(a => a.warning).forEach(a => addJobWarning(jobId, a.warning));
+      writeCheckpoint(outDir, 'analyses.json', analyses);
+      log('info', 'PHASE END: Character analysis', { characterCount: analyses.length, bibles: analyses.filter(a => a.bible).length, jobId });
     }
+    currentSignal()?.throwIfAborted();
+    finishStep(jobId, 'analysis');
+    startStep(jobId, 'planning', 'Planning book structure...');
 
-    const charSummary = analyses.length > 0 
-      ? analyses.map(a => `${a.name}: ${a.analysis}`).join('\n')
-      : characters.map(c => `${c.name}: ${c.role}`).join('\n');
-    const hasCharacterBoard = !!board;
+    // 2) Planning (JSON), unless a plan was checkpointed by an earlier attempt
+    let plan = readCheckpoint(outDir, 'plan.json');
+    if (plan) {
+      log('info', 'PHASE SKIP: Book planning (resumed from checkpoint)', { imageCount: plan.images.length, jobId });
+      updateJob(jobId, { currentPhase: 'Resuming image generation...' });
+    } else {
+      plan = await planBook(jobId, { title, story, numImages, artStyle, characters, author, language, series }, analyses);
+    }
+    assignImageFiles(plan);
+    writeCheckpoint(outDir, 'plan.json', plan);
+    await checkPlanSafety(jobId, outDir, plan, input.readerAge);
+    finishStep(jobId, 'planning');
+    setProgressPages(jobId, plan, characters);
 
-    function scenePrompt(imageObj, imageIndex) {
-      const isFirstImage = imageIndex === 0;
-      const isLastImage = imageIndex === plan.images.length - 1;
-      
-      // Determine if this is a cover
-      const isCover = isFirstImage || isLastImage;
-      const coverType = isFirstImage ? 'FRONT COVER ARTWORK' : (isLastImage ? 'BACK COVER ARTWORK' : '');
-      
-      const prompt = [
-        // Main description - emphasize SINGLE SCENE
-        isCover ? `${coverType} (flat 2D illustration, full-bleed portrait)` : `SINGLE SCENE: ${imageObj.title || 'Story Scene'}`,
-        `Scene: ${imageObj.description || ''}`,
-        
-        // Character references  
-        imageObj.characters && imageObj.characters.length > 0 ? `Characters: ${imageObj.characters.join(', ')}` : '',
-        hasCharacterBoard ? `Reference: match faces, hair, clothing and palette from the attached character board (internal)` : '',
-        analyses.length > 0 ? `Character Bible:\n${charSummary}` : `Character Info:\n${charSummary}`,
-        
-        // Visual specifications
-        `Environment: ${imageObj.environment || ''}`,
-        `Lighting: ${imageObj.lighting || 'warm, consistent lighting'}`,
-        `Composition: ${imageObj.composition || ''}`,
-        `Color Palette: ${imageObj.palette || ''} (maintain consistency across all images)`,
-        `Props: ${imageObj.props || ''}`,
-        `Continuity: ${imageObj.continuity || ''}`,
-        
-        // Style specifications
-        `Art Style: ${artStyle} - maintain absolute consistency`,
-        imageObj.style_notes ? `Style Notes: ${imageObj.style_notes}` : '',
-        
-        // Quality and constraints
-        `Quality: professional children's book illustration, consistent art style, warm cozy lighting, soft textures, gentle outlines, child-safe`,
-        
-        // Critical constraints
-        `CRITICAL CONSTRAINTS:`,
-        `- Show ONLY ONE SCENE, not multiple scenes or montages`,
-        `- NEVER include any text, letters, or words in the illustration`,
-        `- Maintain perfect character consistency using character bible`,
-        `- Keep lighting and color palette consistent with other images`,
-        isCover ? `- This is ${coverType.toLowerCase()}, NOT a photo of a book or book mockup` : '',
-        isCover ? `- Flat 2D illustration only, full-bleed portrait format` : '',
-        `- ${artStyle} style maintained throughout`,
-        
-        // Negative prompts
-        `AVOID: text, letters, words, signatures, watermarks, book mockups, 3D book renders, photo of book${isCover ? ', book covers with visible spines or thickness' : ''}, multiple scenes, scene montages, comic panels`,
-        
-        // Strong style enforcement at the end
-        `Make all as one scene, style: ${artStyle}`
-      ].filter(Boolean).join('\n');
-      
-      log('debug', `Generated scene prompt for ${isCover ? coverType : 'story scene'} ${imageObj.page}`, { 
-        title: imageObj.title, 
-        promptLength: prompt.length,
-        isCover,
-        hasCharacterBoard
-      });
-      return prompt;
+    // Plan-only jobs pause here until a person approves the plan
+    if (input.planOnly && !getJob(jobId)?.planApproved) {
+      updateJob(jobId, { status: 'awaiting_approval', currentPhase: 'Plan ready for review' });
+      log('info', 'PHASE PAUSE: Waiting for plan approval', { jobId, pages: plan.images.length });
+      emitJobEvent(jobId, 'awaiting_approval', { job: getJob(jobId) });
+      return;
     }
 
-    // Create PDF filename from book title (sanitize for filesystem)
-    const sanitizedTitle = title.replace(/[^\w\s-]/g, '').replace(/\s+/g, '_').substring(0, 50);
-    const pdfFilename = sanitizedTitle ? `${sanitizedTitle}.pdf` : 'book.pdf';
-    const pdfPath = path.join(outDir, pdfFilename);
-    const doc = new PDFDocument({ autoFirstPage: false });
-    const stream = fs.createWriteStream(pdfPath);
-    doc.pipe(stream);
-    const A4 = { w: 595.28, h: 841.89 };
+    // 3) Generate images and build PDF simultaneously
+    log('info', 'PHASE START: Image generation and PDF creation');
 
-    function addFull(imagePath) {
-      log('debug', `Adding page to PDF: ${path.basename(imagePath)}`);
-      doc.addPage({ size: 'A4', margin: 0 });
-      doc.image(imagePath, 0, 0, { width: A4.w, height: A4.h });
-    }
+    await writeCharacterReferences(outDir, characters);
+    const sceneContext = { outDir, plan, artStyle, analyses, characters, referenceMode: referenceModeFor(outDir) };
+    log('info', 'Illustration reference mode', { jobId, referenceMode: sceneContext.referenceMode || 'text-only', provider: ai.name });
 
-    // Generate all images with limited concurrency
-    const CONCURRENCY_LIMIT = 3; // Generate max 3 images simultaneously
-    log('info', `PHASE START: Generating ${plan.images.length} images with concurrency ${CONCURRENCY_LIMIT}`, { jobId });
+    // Illustrate with a pool of IMAGE_WORKERS: the next page starts as soon as any
+    // page finishes. The PDF is typeset alongside and takes each page once it and
+    // the pages before it are drawn. A failed page is retried on its own and never
+    // stops the others, so every image that can be produced is checkpointed.
+    log('info', `PHASE START: Generating ${plan.images.length} images with ${IMAGE_WORKERS} workers`, { jobId, pageRetries: IMAGE_PAGE_RETRIES });
     
-    async function generateSingleImage(imageObj, imageIndex) {
+    async function generateSingleImage(imageIndex) {
+      const imageObj = plan.images[imageIndex];
       const imageNum = imageIndex + 1;
+      const imagePath = path.join(outDir, imageObj.image);
+      const imageEvent = { page: imageNum, total: plan.images.length, title: imageObj.title || '' };
+      if (hasCheckpoint(outDir, imageObj.image)) {
+        log('info', `Reusing checkpointed image ${imageNum}/${plan.images.length}`, { jobId });
+        updatePageStatus(jobId, imageIndex, { status: 'done', reused: true });
+        emitJobEvent(jobId, 'image-done', { ...imageEvent, reused: true, thumbnailUrl: thumbnailUrl(jobId, imageNum) });
+        return { imagePath, imageIndex };
+      }
       
-      // Update progress for this image
-      updateJob(jobId, { 
-        completedSteps: 2 + imageIndex,
-        currentPhase: `Generating image ${imageNum}/${plan.images.length}: ${imageObj.title || 'Untitled'}...`,
-        progress: Math.round(((2 + imageIndex) / (plan.images.length + 3)) * 100)
-      });
-      
-      log('info', `Starting generation of image ${imageNum}/${plan.images.length}: ${imageObj.title || 'Untitled'}`, { jobId });
-      const buf = await openAIImage(scenePrompt(imageObj, imageIndex));
-      const imagePath = path.join(outDir, `image-${String(imageNum).padStart(2,'0')}.png`);
-      fs.writeFileSync(imagePath, buf);
+      updateJob(jobId, { currentPhase: `Generating image ${imageNum}/${plan.images.length}: ${imageObj.title || 'Untitled'}...` });
+      for (let attempt = 1; ; attempt++) {
+        currentSignal()?.throwIfAborted();
+        log('info', `Starting generation of image ${imageNum}/${plan.images.length}: ${imageObj.title || 'Untitled'}`, { jobId, attempt });
+        updatePageStatus(jobId, imageIndex, { status: 'drawing', attempts: attempt, startedAt: Date.now() });
+        emitJobEvent(jobId, 'image-start', { ...imageEvent, attempt });
+        try {
+          await generatePageImage(sceneContext, imageObj, imageIndex);
+          if (SAFETY_CHECK_IMAGES) await checkIllustrationSafety(jobId, imagePath, imageIndex, input.readerAge);
+          break;
+        } catch (error) {
+          const retry = attempt <= IMAGE_PAGE_RETRIES && !currentSignal()?.aborted;
+          log(retry ? 'warn' : 'error', `Image ${imageNum} attempt ${attempt} failed`, { jobId, error: error.message, retrying: retry });
+          if (!retry) {
+            updatePageStatus(jobId, imageIndex, { status: 'failed', error: error.message, finishedAt: Date.now() });
+            emitJobEvent(jobId, 'image-failed', { ...imageEvent, error: error.message });
+            throw error;
+          }
+        }
+      }
       log('info', `Image ${imageNum} generated successfully`, { jobId });
+      updatePageStatus(jobId, imageIndex, { status: 'done', finishedAt: Date.now() });
+      emitJobEvent(jobId, 'image-done', { ...imageEvent, thumbnailUrl: thumbnailUrl(jobId, imageNum) });
       
       return { imagePath, imageIndex };
     }
     
-    // Process images with limited concurrency
-    const imageResults = [];
-    for (let i = 0; i < plan.images.length; i += CONCURRENCY_LIMIT) {
-      const batch = plan.images.slice(i, i + CONCURRENCY_LIMIT);
-      const batchPromises = batch.map((imageObj, batchIndex) => 
-        generateSingleImage(imageObj, i + batchIndex)
-      );
-      
-      log('info', `Processing batch ${Math.floor(i/CONCURRENCY_LIMIT) + 1} with ${batch.length} images`, { jobId });
-      const batchResults = await Promise.all(batchPromises);
-      imageResults.push(...batchResults);
-      
-      log('info', `Batch ${Math.floor(i/CONCURRENCY_LIMIT) + 1} completed`, { jobId });
-    }
-    
-    // Add all images to PDF in correct order
-    log('info', 'Adding all images to PDF in correct order', { jobId });
-    imageResults
-      .sort((a, b) => a.imageIndex - b.imageIndex)
-      .forEach(({ imagePath }) => addFull(imagePath));
-    log('info', 'PHASE END: All images generated and added to PDF', { jobId });
-
-    // Finalize the PDF
-    updateJob(jobId, { 
-      completedSteps: plan.images.length + 2, 
-      currentPhase: 'Finalizing PDF...', 
-      progress: 95 
+    // One slot per page, settled when its image is on disk or has failed for good
+    const pageSlots = plan.images.map(() => {
+      const slot = {};
+      slot.ready = new Promise((resolve, reject) => Object.assign(slot, { resolve, reject }));
+      return slot;
     });
-    log('info', 'PHASE START: Finalizing PDF', { jobId });
-    doc.end();
+    log('info', 'PHASE START: Building PDF', { jobId, textLayout });
+    const pdfBuild = buildAndStorePDF(outDir, input, plan, { pageReady: imageIndex => pageSlots[imageIndex].ready });
+    pdfBuild.catch(() => {}); // awaited below unless an image failed
+
+    const imageOutcomes = await runWorkerPool(plan.images.length, IMAGE_WORKERS, async imageIndex => {
+      try {
+        const generated = await generateSingleImage(imageIndex);
+        pageSlots[imageIndex].resolve();
+        return generated;
+      } catch (error) {
+        pageSlots[imageIndex].reject(error);
+        throw error;
+      }
+    });
+    const imageFailures = [];
+    imageOutcomes.forEach((outcome, imageIndex) => {
+      if (outcome.status === 'rejected') imageFailures.push({ imageIndex, error: outcome.reason });
+    });
+    
+    if (imageFailures.length > 0) {
+      log('error', 'Some images failed to generate', {
+        jobId,
+        failedPages: imageFailures.map(f => f.imageIndex + 1),
+        errors: imageFailures.map(f => f.error?.message || String(f.error))
+      });
+      throw new Error(`${imageFailures.length} of ${plan.images.length} images failed (${imageFailures[0].error?.message || imageFailures[0].error}). Resume the job to regenerate only the missing images.`);
+    }
     
-    // Wait for PDF to finish writing
-    await new Promise(r=>stream.on('finish', r));
-    log('info', 'PHASE END: PDF finalized and written to disk', { pdfPath, jobId });
+    log('info', 'PHASE END: All images generated', { jobId });
+    currentSignal()?.throwIfAborted();
 
-    // Read PDF file and upload to storage or return as download
-    const pdfBuffer = fs.readFileSync(pdfPath);
-    const pdfResult = await uploadPDFToStorage(pdfBuffer, pdfFilename);
+    // The last pages are typeset and the PDF stored
+    startStep(jobId, 'pdf', 'Finalizing PDF...');
+    const { pdfResult, coverResult, pdfFilename, pdfSize } = await pdfBuild;
+    finishStep(jobId, 'pdf', { timingKey: 'local/pdf' });
+    log('info', 'PHASE END: PDF finalized and stored', { jobId });
+
+    let narration = null;
+    let audioResult = null;
+    if (input.narrate) {
+      log('info', 'PHASE START: Narration', { jobId, voice: input.narrationVoice || 'default' });
+      startStep(jobId, 'narration', 'Recording narration...');
+      narration = await narrateBook(outDir, plan, input, (page, total) =>
+        updateJob(jobId, { currentPhase: `Recording narration for page ${page} of ${total}...` }));
+      ({ audioResult } = await buildAndStoreAudioBundle(outDir, input, plan, narration));
+      finishStep(jobId, 'narration');
+      log('info', 'PHASE END: Narration', { jobId, tracks: narration.filter(Boolean).length });
+    }
+
+    log('info', 'PHASE START: Building EPUB', { jobId, narrated: !!narration });
+    startStep(jobId, 'epub', 'Building EPUB...');
+    const { epubResult, epubSize } = await buildAndStoreEPUB(outDir, input, plan, narration);
+    finishStep(jobId, 'epub', { timingKey: 'local/epub' });
+    log('info', 'PHASE END: EPUB finalized and stored', { jobId, epubSize });
     
+    // Nothing is stored or added to the library for a job cancelled meanwhile
+    currentSignal()?.throwIfAborted();
+    startStep(jobId, 'upload', 'Saving the book...');
     const result = { 
       pdf: pdfResult,
+      epub: epubResult,
+      ...(audioResult && { audio: audioResult }),
+      ...(coverResult && { cover: coverResult }),
+      artifacts: await storeRunArtifacts(outDir, plan),
       runId 
     };
+    if (series) await recordSeriesVolume(jobId, input, plan);
+    saveFinishedJobToLibrary(jobId, result);
+    finishStep(jobId, 'upload', { timingKey: 'local/upload' });
     completeJob(jobId, result);
     log('info', 'Book generation completed successfully', { 
       filename: pdfFilename, 
-      pdfSize: pdfBuffer.length, 
-      storageType: pdfResult.type,
+      pdfSize, 
+      storageDriver: pdfResult.driver,
       jobId 
     });
     
   } catch(err){
+    if (getJob(jobId)?.status === 'cancelled') {
+      log('info', 'Book generation stopped after cancellation', { jobId });
+      return;
+    }
     failJob(jobId, err);
     log('error', 'Book generation failed', { 
       error: err.message, 
@@ -754,6 +5696,18 @@ Make ${totalImages} image objects with engaging scenes that tell the story.`}
   }
 }
 
+// Bodies the JSON parser refused get a JSON answer like every other refusal
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    log('warn', 'Request body too large', { path: req.originalUrl, length: error.length, limit: JSON_BODY_LIMIT });
+    return res.status(413).json({ error: `The request is larger than the ${JSON_BODY_LIMIT} allowed; use smaller character photos` });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'The request body is not valid JSON' });
+  }
+  next(error);
+});
+
 // For local development
 if (process.env.NODE_ENV !== 'production') {
   app.listen(PORT, ()=> {
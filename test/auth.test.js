@@ -0,0 +1,118 @@
+// Sign-in, job ownership, same-site checks, rate limits, photo validation and the audit log
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { ADMIN_KEY, bookRequest, startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer({ ADMIN_API_KEY: ADMIN_KEY, GENERATION_LIMIT_PER_ACCOUNT: '2', JSON_BODY_LIMIT: '100kb' });
+});
+
+after(() => server?.stop());
+
+async function signIn(apiKey) {
+  const session = await server.request('POST', '/api/session', { body: { apiKey } });
+  assert.equal(session.status, 201);
+  return { Cookie: session.headers.get('set-cookie').split(';')[0] };
+}
+
+test('refuses anonymous requests and closed sign-up', async () => {
+  assert.equal((await server.request('POST', '/api/generate', { body: bookRequest() })).status, 401);
+  assert.equal((await server.request('GET', '/api/library')).status, 401);
+  const signup = await server.request('POST', '/api/accounts', { body: { name: 'Stranger' } });
+  assert.equal(signup.status, 403);
+  const wrongKey = await server.request('POST', '/api/accounts', { body: { name: 'Stranger' }, headers: { Authorization: 'Bearer not-the-admin-key' } });
+  assert.equal(wrongKey.status, 403);
+});
+
+test('signs in with an API key and out again', async () => {
+  const account = await server.createAccount('Session');
+  assert.equal((await server.request('POST', '/api/session', { body: { apiKey: 'bk_0000000000000000_wrong' } })).status, 401);
+
+  const cookie = await signIn(account.apiKey);
+  const me = await server.request('GET', '/api/account', { headers: cookie });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.name, 'Session');
+
+  assert.equal((await server.request('DELETE', '/api/session', { headers: cookie })).status, 200);
+  assert.equal((await server.request('GET', '/api/account', { headers: cookie })).status, 401);
+});
+
+test('refuses cross-site changes made with the session cookie', async () => {
+  const account = await server.createAccount('Cookie');
+  const cookie = await signIn(account.apiKey);
+  const crossSite = await server.request('PATCH', '/api/account', { body: { monthlyBudget: 1 }, headers: { ...cookie, Origin: 'https://evil.example' } });
+  assert.equal(crossSite.status, 403);
+  const sameSite = await server.request('PATCH', '/api/account', { body: { monthlyBudget: 1 }, headers: { ...cookie, Origin: server.base } });
+  assert.equal(sameSite.status, 200);
+  // An API key is not sent by the browser on its own, so any origin may use one
+  const withKey = await server.request('PATCH', '/api/account', { body: { monthlyBudget: 2 }, headers: { ...account.headers, Origin: 'https://elsewhere.example' } });
+  assert.equal(withKey.status, 200);
+});
+
+test('hides a job from other accounts', async () => {
+  const owner = await server.createAccount('Owner');
+  const other = await server.createAccount('Other');
+  const started = await server.request('POST', '/api/generate', { body: bookRequest(), headers: owner.headers });
+  assert.equal(started.status, 200);
+  const { jobId } = started.body;
+
+  assert.equal((await server.request('GET', `/api/job/${jobId}`, { headers: other.headers })).status, 404);
+  assert.equal((await server.request('DELETE', `/api/job/${jobId}`, { headers: other.headers })).status, 404);
+  assert.equal((await server.request('POST', `/api/job/${jobId}/resume`, { headers: other.headers })).status, 404);
+  assert.equal((await server.waitForJob(jobId, owner.headers)).status, 'completed');
+});
+
+test('rate limits generation per account with 429 and Retry-After', async () => {
+  const account = await server.createAccount('Busy');
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await server.request('POST', '/api/generate-story-idea', { body: {}, headers: account.headers })).status, 200);
+  }
+  const limited = await server.request('POST', '/api/generate-story-idea', { body: {}, headers: account.headers });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+  // Other accounts keep their own allowance
+  const fresh = await server.createAccount('Fresh');
+  assert.equal((await server.request('POST', '/api/generate-story-idea', { body: {}, headers: fresh.headers })).status, 200);
+});
+
+test('validates character photos and the body size', async () => {
+  const account = await server.createAccount('Photos');
+  const photo = image => bookRequest({ characters: [{ name: 'Milo', image }] });
+  const cases = [
+    ['data:image/webp;base64,UklGRg==', /PNG, JPEG, GIF or BMP/],
+    ['data:image/png;base64,aGVsbG8gd29ybGQ=', /not a PNG/],
+    ['https://example.com/milo.png', /data URL/]
+  ];
+  for (const [image, message] of cases) {
+    const refused = await server.request('POST', '/api/estimate', { body: photo(image), headers: account.headers });
+    assert.equal(refused.status, 400, image);
+    assert.match(refused.body.error, message);
+  }
+
+  const tooLarge = await server.request('POST', '/api/estimate', { body: photo(`data:image/png;base64,${'A'.repeat(200 * 1024)}`), headers: account.headers });
+  assert.equal(tooLarge.status, 413);
+  assert.match(tooLarge.body.error, /larger than the 100kb allowed/);
+
+  const notJSON = await server.request('POST', '/api/estimate', { body: '{"numImages":', headers: { ...account.headers, 'Content-Type': 'application/json' } });
+  assert.equal(notJSON.status, 400);
+});
+
+test('records requests in the audit log', async () => {
+  const account = await server.createAccount('Audited');
+  await signIn(account.apiKey);
+  const started = await server.request('POST', '/api/generate', { body: bookRequest(), headers: account.headers });
+  await server.waitForJob(started.body.jobId, account.headers);
+
+  const audit = await server.request('GET', '/api/account/audit', { headers: account.headers });
+  assert.equal(audit.status, 200);
+  const actions = audit.body.entries.map(entry => entry.action);
+  for (const action of ['account.created', 'session.created', 'book.requested', 'job.completed']) {
+    assert.ok(actions.includes(action), `${action} in ${actions.join(', ')}`);
+  }
+  const requested = audit.body.entries.find(entry => entry.action === 'book.requested');
+  assert.equal(requested.jobId, started.body.jobId);
+  assert.equal(requested.via, 'api-key');
+});
@@ -0,0 +1,66 @@
+// Estimates, monthly budgets and the per-book cap refuse books before any model is called
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { ADMIN_KEY, bookRequest, startServer } from './helpers.js';
+
+let server;
+
+before(async () => {
+  server = await startServer({ ADMIN_API_KEY: ADMIN_KEY, MAX_JOB_COST_USD: '0.5' });
+});
+
+after(() => server?.stop());
+
+test('refuses numImages that is missing, not a number or out of range', async () => {
+  const account = await server.createAccount('Pages');
+  for (const numImages of [undefined, 'abc', -1, 31]) {
+    const estimate = await server.request('POST', '/api/estimate', { body: bookRequest({ numImages }), headers: account.headers });
+    assert.equal(estimate.status, 400, `estimate for ${JSON.stringify(numImages)}`);
+    const generate = await server.request('POST', '/api/generate', { body: bookRequest({ numImages }), headers: account.headers });
+    assert.equal(generate.status, 400, `generate for ${JSON.stringify(numImages)}`);
+  }
+  const estimate = await server.request('POST', '/api/estimate', { body: bookRequest({ numImages: '2' }), headers: account.headers });
+  assert.equal(estimate.status, 200);
+  assert.equal(estimate.body.lines.find(line => line.item === 'illustrations').count, 4);
+});
+
+test('refuses a book over the monthly budget with 402', async () => {
+  const account = await server.createAccount('Thrifty');
+  const budget = await server.request('PATCH', '/api/account', { body: { monthlyBudget: 0.01 }, headers: account.headers });
+  assert.equal(budget.status, 200);
+
+  const estimate = await server.request('POST', '/api/estimate', { body: bookRequest(), headers: account.headers });
+  assert.ok(estimate.body.total > 0.01);
+  assert.match(estimate.body.refusal, /monthly budget/);
+
+  const refused = await server.request('POST', '/api/generate', { body: bookRequest(), headers: account.headers });
+  assert.equal(refused.status, 402);
+  assert.match(refused.body.error, /monthly budget/);
+  assert.equal(refused.body.estimate.total, estimate.body.total);
+});
+
+test('counts spend toward the budget once a book is made', async () => {
+  const account = await server.createAccount('Spender');
+  const { body: estimate } = await server.request('POST', '/api/estimate', { body: bookRequest(), headers: account.headers });
+  // Room for one book but not two
+  await server.request('PATCH', '/api/account', { body: { monthlyBudget: estimate.total * 1.5 }, headers: account.headers });
+
+  const first = await server.request('POST', '/api/generate', { body: bookRequest(), headers: account.headers });
+  assert.equal(first.status, 200);
+  const job = await server.waitForJob(first.body.jobId, account.headers);
+  assert.equal(job.status, 'completed', job.error);
+
+  const usage = await server.request('GET', '/api/usage', { headers: account.headers });
+  assert.ok(usage.body.cost > 0);
+  assert.ok(usage.body.jobs.find(entry => entry.jobId === job.id).calls > 0);
+
+  const second = await server.request('POST', '/api/generate', { body: bookRequest(), headers: account.headers });
+  assert.equal(second.status, 402);
+});
+
+test('refuses a book above MAX_JOB_COST_USD', async () => {
+  const account = await server.createAccount('Big spender');
+  const refused = await server.request('POST', '/api/generate', { body: bookRequest({ numImages: 20 }), headers: account.headers });
+  assert.equal(refused.status, 402);
+  assert.match(refused.body.error, /limit per book/);
+});
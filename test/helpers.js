@@ -0,0 +1,124 @@
+// Runs server.js in a child process with the mock AI provider and its own
+// temporary directories, so tests never call OpenAI or touch real data.
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const STARTUP_TIMEOUT_MS = 15000;
+const JOB_TIMEOUT_MS = 60000;
+// Pass as ADMIN_API_KEY to startServer to create accounts with createAccount
+export const ADMIN_KEY = 'test-admin-key';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// env is merged over the test defaults; anything set here wins over a local .env.
+// Pass the `dir` of a stopped server to start again on its jobs, runs and library.
+export async function startServer(env = {}, { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'book-maker-test-')) } = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      AI_PROVIDER: 'mock',
+      OPENAI_API_KEY: '',
+      FIREBASE_SERVICE_ACCOUNT: '',
+      FIREBASE_STORAGE_BUCKET: '',
+      STORAGE_DRIVER: 'local',
+      JOB_STORE_DIR: path.join(dir, 'jobs'),
+      RUNS_DIR: path.join(dir, 'runs'),
+      CACHE_DIR: path.join(dir, 'cache'),
+      LIBRARY_DIR: path.join(dir, 'library'),
+      STORAGE_DIR: path.join(dir, 'storage'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const server = {
+    base: `http://127.0.0.1:${port}`,
+    dir,
+    output: () => output,
+
+    // JSON in and out; `body` is parsed when the response is JSON
+    async request(method, url, { body, headers = {} } = {}) {
+      const res = await fetch(server.base + url, {
+        method,
+        headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+        body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+      });
+      const isJSON = (res.headers.get('content-type') || '').includes('application/json');
+      return { status: res.status, headers: res.headers, body: isJSON ? await res.json() : Buffer.from(await res.arrayBuffer()) };
+    },
+
+    // Polls a job until it leaves the queue and the pipeline
+    async waitForJob(jobId, headers = {}) {
+      const deadline = Date.now() + JOB_TIMEOUT_MS;
+      while (Date.now() < deadline) {
+        const { body: job } = await server.request('GET', `/api/job/${jobId}`, { headers });
+        if (['completed', 'failed', 'cancelled', 'awaiting_approval'].includes(job.status) || job.error === 'Job not found') return job;
+        await sleep(100);
+      }
+      throw new Error(`Job ${jobId} did not finish within ${JOB_TIMEOUT_MS / 1000}s`);
+    },
+
+    // A new account and the headers that authenticate as it
+    async createAccount(name) {
+      const { status, body } = await server.request('POST', '/api/accounts', { body: { name }, headers: { Authorization: `Bearer ${ADMIN_KEY}` } });
+      if (status !== 201) throw new Error(`Could not create account: ${status} ${JSON.stringify(body)}`);
+      return { ...body, headers: { Authorization: `Bearer ${body.apiKey}` } };
+    },
+
+    async stop({ keepDir = false } = {}) {
+      if (child.exitCode === null) child.kill();
+      await exited;
+      if (!keepDir) fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  for (;;) {
+    if (child.exitCode !== null) throw new Error(`server.js exited with code ${child.exitCode}:\n${output}`);
+    try {
+      await fetch(server.base + '/');
+      return server;
+    } catch (error) {
+      if (Date.now() > deadline) {
+        await server.stop();
+        throw new Error(`server.js did not start within ${STARTUP_TIMEOUT_MS / 1000}s:\n${output}`);
+      }
+      await sleep(100);
+    }
+  }
+}
+
+// A small book request that passes validation
+export function bookRequest(overrides = {}) {
+  return {
+    title: 'The Lighthouse Cat',
+    story: 'A cat keeps the lighthouse lamp burning through a storm.',
+    numImages: 2,
+    characters: [{ name: 'Milo', role: 'main', description: 'a small grey cat' }],
+    ...overrides
+  };
+}
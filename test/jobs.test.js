@@ -0,0 +1,57 @@
+// Job records and their run directories over time: expiry and restarts
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { test } from 'node:test';
+import { ADMIN_KEY, bookRequest, startServer } from './helpers.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('removes the run directory of an expired job', async t => {
+  const server = await startServer({ ADMIN_API_KEY: ADMIN_KEY, JOB_TTL_MS: '1500', JOB_SWEEP_INTERVAL_MS: '300' });
+  t.after(() => server.stop());
+  const account = await server.createAccount('Sweeper');
+
+  const started = await server.request('POST', '/api/generate', { body: bookRequest(), headers: account.headers });
+  const job = await server.waitForJob(started.body.jobId, account.headers);
+  assert.equal(job.status, 'completed', job.error);
+  const runPath = path.join(server.dir, 'runs', job.runId);
+  assert.ok(fs.existsSync(path.join(runPath, 'plan.json')));
+
+  await sleep(2500);
+  assert.equal((await server.request('GET', `/api/job/${job.id}`, { headers: account.headers })).status, 404);
+  assert.equal(fs.existsSync(runPath), false);
+  // The book itself stays in the account's library
+  const library = await server.request('GET', '/api/library', { headers: account.headers });
+  assert.ok(library.body.books.some(book => book.id === job.id));
+  assert.doesNotMatch(server.output(), /Job sweep failed/);
+});
+
+test('queues waiting jobs again after a restart', async t => {
+  const env = { ADMIN_API_KEY: ADMIN_KEY, MAX_ACTIVE_JOBS: '1', MOCK_LATENCY_MS: '300' };
+  const first = await startServer(env);
+  let second;
+  t.after(async () => {
+    await second?.stop({ keepDir: true });
+    await first.stop();
+  });
+  const account = await first.createAccount('Restart');
+  const startBook = async () => (await first.request('POST', '/api/generate', { body: bookRequest(), headers: account.headers })).body.jobId;
+  const running = await startBook();
+  const waiting = await startBook();
+  const broken = await startBook();
+  assert.equal((await first.request('GET', `/api/job/${waiting}`, { headers: account.headers })).body.status, 'queued');
+  await first.stop({ keepDir: true });
+
+  // A job whose input went missing while the server was down cannot run again
+  const brokenJob = JSON.parse(fs.readFileSync(path.join(first.dir, 'jobs', `${broken}.json`), 'utf8'));
+  fs.rmSync(path.join(first.dir, 'runs', brokenJob.runId, 'input.json'));
+
+  second = await startServer(env, { dir: first.dir });
+  const requeued = await second.waitForJob(waiting, account.headers);
+  assert.equal(requeued.status, 'completed', requeued.error);
+  const failed = await second.waitForJob(broken, account.headers);
+  assert.equal(failed.status, 'failed');
+  assert.match(failed.error, /server restarted before this job started/);
+  assert.notEqual((await second.request('GET', `/api/job/${running}`, { headers: account.headers })).body.status, 'queued');
+});
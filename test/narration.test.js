@@ -0,0 +1,46 @@
+// A narrated book comes with an audio bundle and an EPUB whose pages read themselves aloud
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import JSZip from 'jszip';
+import { ADMIN_KEY, bookRequest, startServer } from './helpers.js';
+
+let server;
+let account;
+
+before(async () => {
+  server = await startServer({ ADMIN_API_KEY: ADMIN_KEY });
+  account = await server.createAccount('Narrator');
+});
+
+after(() => server?.stop());
+
+test('narrates every page into the audio bundle and the EPUB', async () => {
+  const started = await server.request('POST', '/api/generate', { body: bookRequest({ narrate: true }), headers: account.headers });
+  assert.equal(started.status, 200, JSON.stringify(started.body));
+  const job = await server.waitForJob(started.body.jobId, account.headers);
+  assert.equal(job.status, 'completed', job.error);
+  assert.ok(job.steps.some(step => step.id === 'narration' && step.status === 'done'));
+
+  const audio = await server.request('GET', job.result.audio.url);
+  assert.equal(audio.status, 200);
+  const tracks = Object.keys((await JSZip.loadAsync(audio.body)).files).filter(name => name !== 'playlist.m3u8');
+  assert.ok(tracks.length > 0, 'audio bundle has tracks');
+
+  const epub = await JSZip.loadAsync((await server.request('GET', job.result.epub.url)).body);
+  const names = Object.keys(epub.files);
+  const overlays = names.filter(name => name.endsWith('.smil'));
+  assert.equal(overlays.length, names.filter(name => name.startsWith('OEBPS/audio/') && !name.endsWith('/')).length);
+  assert.ok(overlays.length > 0, 'EPUB has media overlays');
+  assert.equal(overlays.length, tracks.length);
+  const opf = await epub.file(names.find(name => name.endsWith('.opf'))).async('string');
+  assert.match(opf, /media-overlay="mo-\d+"/);
+});
+
+test('leaves unnarrated books without audio', async () => {
+  const started = await server.request('POST', '/api/generate', { body: bookRequest(), headers: account.headers });
+  const job = await server.waitForJob(started.body.jobId, account.headers);
+  assert.equal(job.status, 'completed', job.error);
+  assert.equal(job.result.audio, undefined);
+  const epub = await JSZip.loadAsync((await server.request('GET', job.result.epub.url)).body);
+  assert.equal(Object.keys(epub.files).filter(name => name.endsWith('.smil')).length, 0);
+});
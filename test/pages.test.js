@@ -0,0 +1,53 @@
+// Page edits are checked before they reach plan.json, so a bad edit cannot break the book
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { ADMIN_KEY, bookRequest, startServer } from './helpers.js';
+
+let server;
+let account;
+let jobId;
+
+before(async () => {
+  server = await startServer({ ADMIN_API_KEY: ADMIN_KEY });
+  account = await server.createAccount('Editor');
+  const started = await server.request('POST', '/api/generate', { body: bookRequest(), headers: account.headers });
+  jobId = started.body.jobId;
+  assert.equal((await server.waitForJob(jobId, account.headers)).status, 'completed');
+});
+
+after(() => server?.stop());
+
+const readPages = async () => (await server.request('GET', `/api/job/${jobId}/pages`, { headers: account.headers })).body.pages;
+const editPage = (page, body) => server.request('PATCH', `/api/job/${jobId}/pages/${page}`, { body, headers: account.headers });
+
+test('refuses edits of the wrong type and keeps the plan', async () => {
+  const original = await readPages();
+  for (const body of [{ characters: 'Milo' }, { characters: [7] }, { title: 5 }, { text: { en: 'Hi' } }, { description: null }]) {
+    const refused = await editPage(2, body);
+    assert.equal(refused.status, 400, JSON.stringify(body));
+    assert.match(refused.body.error, /^Invalid page edits/);
+  }
+  assert.deepEqual(await readPages(), original);
+});
+
+test('refuses characters who are not in the cast', async () => {
+  const refused = await editPage(2, { characters: ['Milo', 'Stranger'] });
+  assert.equal(refused.status, 400);
+  assert.match(refused.body.error, /"Stranger", not in the cast/);
+});
+
+test('saves valid edits', async () => {
+  const saved = await editPage(2, { title: 'Storm night', characters: ['milo'] });
+  assert.equal(saved.status, 200, JSON.stringify(saved.body));
+  assert.equal(saved.body.title, 'Storm night');
+  assert.deepEqual(saved.body.characters, ['milo']);
+  assert.equal((await readPages())[1].title, 'Storm night');
+});
+
+test('checks edits sent with a page regeneration', async () => {
+  const refused = await server.request('POST', `/api/job/${jobId}/pages/2/regenerate`, { body: { characters: 'Milo' }, headers: account.headers });
+  assert.equal(refused.status, 400);
+  const regenerated = await server.request('POST', `/api/job/${jobId}/pages/2/regenerate`, { body: { environment: 'a windy cliff' }, headers: account.headers });
+  assert.equal(regenerated.status, 200, JSON.stringify(regenerated.body));
+  assert.equal(regenerated.body.environment, 'a windy cliff');
+});
@@ -0,0 +1,76 @@
+// One job runs at a time here: the rest wait in priority order and can be cancelled
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { ADMIN_KEY, bookRequest, startServer } from './helpers.js';
+
+let server;
+let account;
+
+before(async () => {
+  server = await startServer({ ADMIN_API_KEY: ADMIN_KEY, MAX_ACTIVE_JOBS: '1', MOCK_LATENCY_MS: '300' });
+  account = await server.createAccount('Queue');
+});
+
+after(() => server?.stop());
+
+async function startBook(overrides) {
+  const { status, body } = await server.request('POST', '/api/generate', { body: bookRequest(overrides), headers: account.headers });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.jobId;
+}
+
+const readJob = async jobId => (await server.request('GET', `/api/job/${jobId}`, { headers: account.headers })).body;
+const cancel = jobId => server.request('DELETE', `/api/job/${jobId}`, { headers: account.headers });
+
+test('queues jobs beyond MAX_ACTIVE_JOBS and runs high priority first', async () => {
+  const running = await startBook();
+  const low = await startBook({ priority: 'low' });
+  const high = await startBook({ priority: 'high' });
+
+  assert.equal((await readJob(running)).status, 'started');
+  const [lowJob, highJob] = [await readJob(low), await readJob(high)];
+  assert.equal(lowJob.status, 'queued');
+  assert.equal(highJob.queuePosition, 1);
+  assert.equal(lowJob.queuePosition, 2);
+
+  const finished = [];
+  for (const jobId of [running, high, low]) finished.push(await server.waitForJob(jobId, account.headers));
+  assert.deepEqual(finished.map(job => job.status), ['completed', 'completed', 'completed']);
+  // One at a time, so the high priority job finished before the low one started
+  assert.ok(finished[1].endTime < finished[2].endTime);
+});
+
+test('cancels a running job and starts the next one', async () => {
+  const running = await startBook();
+  const waiting = await startBook();
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  const cancelled = await cancel(running);
+  assert.equal(cancelled.status, 200);
+  const job = await readJob(running);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.currentPhase, 'Cancelled');
+
+  assert.equal((await server.waitForJob(waiting, account.headers)).status, 'completed');
+  // Aborted work never completes the cancelled job afterwards
+  assert.equal((await readJob(running)).status, 'cancelled');
+});
+
+test('cancels a queued job before it starts', async () => {
+  const running = await startBook();
+  const queued = await startBook();
+  assert.equal((await cancel(queued)).status, 200);
+  await server.waitForJob(running, account.headers);
+  const job = await readJob(queued);
+  assert.equal(job.status, 'cancelled');
+  assert.equal(fs.existsSync(path.join(server.dir, 'runs', job.runId)), false);
+});
+
+test('refuses to cancel a finished job', async () => {
+  const jobId = await startBook();
+  await server.waitForJob(jobId, account.headers);
+  const refused = await cancel(jobId);
+  assert.equal(refused.status, 409);
+});
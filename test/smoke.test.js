@@ -0,0 +1,45 @@
+// End to end with the mock provider: the PWA is served, /api/generate runs the
+// whole pipeline and the finished PDF and EPUB can be downloaded.
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { ADMIN_KEY, bookRequest, startServer } from './helpers.js';
+
+let server;
+let account;
+
+before(async () => {
+  server = await startServer({ ADMIN_API_KEY: ADMIN_KEY });
+  account = await server.createAccount('Smoke');
+});
+
+after(() => server?.stop());
+
+test('serves the PWA', async () => {
+  const page = await server.request('GET', '/');
+  assert.equal(page.status, 200);
+  assert.match(page.body.toString(), /<script[^>]+app\.js/);
+  const script = await server.request('GET', '/app.js');
+  assert.equal(script.status, 200);
+});
+
+test('generates a book and its PDF', async () => {
+  const started = await server.request('POST', '/api/generate', { body: bookRequest(), headers: account.headers });
+  assert.equal(started.status, 200, JSON.stringify(started.body));
+
+  const job = await server.waitForJob(started.body.jobId, account.headers);
+  assert.equal(job.status, 'completed', job.error);
+  assert.equal(job.progress, 100);
+  assert.equal(job.currentPhase, 'Completed');
+  assert.deepEqual(job.pages.map(page => page.status), ['done', 'done', 'done', 'done']);
+
+  const pdf = await server.request('GET', job.result.pdf.url);
+  assert.equal(pdf.status, 200);
+  assert.equal(pdf.body.subarray(0, 5).toString(), '%PDF-');
+  assert.equal(pdf.body.length, job.result.pdf.size);
+  // Two story pages and both covers
+  assert.equal(pdf.body.toString('latin1').match(/\/Type \/Page\b/g).length, 4);
+
+  const epub = await server.request('GET', job.result.epub.url);
+  assert.equal(epub.status, 200);
+  assert.equal(epub.body.subarray(0, 2).toString(), 'PK');
+});